@@ -0,0 +1,315 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const { createRepositories } = require('./repositories');
+const { authenticate } = require('./middleware/auth');
+const { auditMutations } = require('./middleware/audit');
+const { rateLimit } = require('./middleware/rateLimit');
+const { createRateLimitStore } = require('./services/rateLimit');
+
+// Server modes: live scrapes providers into MongoDB, fixture replays recorded
+// provider pages into MongoDB, demo serves in-memory sample data without a database
+const MODES = ['live', 'fixture', 'demo'];
+
+// Routers and how to build them. Crypto and article routers run on whichever
+// repository the mode provides and are rate limited; alerts, webhooks, scrape
+// runs, portfolios, watchlists and admin are stored in MongoDB only
+const ROUTERS = {
+  crypto: {
+    requiresDatabase: false,
+    metered: true,
+    create: (repositories, services) => require('./routes/crypto')(repositories.crypto, services.eventRelay)
+  },
+  articles: {
+    requiresDatabase: false,
+    metered: true,
+    create: repositories => require('./routes/articles')(repositories.articles)
+  },
+  alerts: {
+    requiresDatabase: true,
+    create: () => require('./routes/alerts')
+  },
+  webhooks: {
+    requiresDatabase: true,
+    create: () => require('./routes/webhooks')
+  },
+  'scrape-runs': {
+    requiresDatabase: true,
+    create: () => require('./routes/scrape-runs')
+  },
+  portfolios: {
+    requiresDatabase: true,
+    create: repositories => require('./routes/portfolios')(repositories.crypto)
+  },
+  watchlists: {
+    requiresDatabase: true,
+    create: repositories => require('./routes/watchlists')(repositories.crypto)
+  },
+  admin: {
+    requiresDatabase: true,
+    create: (repositories, services) => require('./routes/admin')(services)
+  }
+};
+
+// Endpoints listed on the root endpoint for each mounted router
+const ENDPOINTS = {
+  crypto: {
+    crypto: '/api/crypto',
+    top: '/api/crypto/top',
+    latest: '/api/crypto/latest',
+    stream: '/api/crypto/stream',
+    history: '/api/crypto/symbol/:symbol/history',
+    candles: '/api/crypto/symbol/:symbol/candles',
+    stats: '/api/crypto/stats',
+    scrape: 'POST /api/crypto/scrape'
+  },
+  articles: {
+    articles: '/api/articles',
+    recentArticles: '/api/articles/recent',
+    topArticles: '/api/articles/top'
+  },
+  alerts: {
+    alerts: '/api/alerts',
+    alertEvents: '/api/alerts/events'
+  },
+  webhooks: {
+    webhooks: '/api/webhooks'
+  },
+  'scrape-runs': {
+    scrapeRuns: '/api/scrape-runs',
+    scrapeRunSummary: '/api/scrape-runs/summary'
+  },
+  portfolios: {
+    portfolios: '/api/portfolios',
+    valuation: '/api/portfolios/:id/valuation',
+    history: '/api/portfolios/:id/history'
+  },
+  watchlists: {
+    watchlists: '/api/watchlists',
+    watchlistStats: '/api/watchlists/:id/stats'
+  },
+  admin: {
+    apiKeys: '/api/admin/api-keys',
+    auditLog: '/api/admin/audit-log',
+    usage: '/api/admin/usage',
+    jobs: '/api/admin/jobs',
+    retention: '/api/admin/retention'
+  }
+};
+
+// WebSocket subscriptions are fed by the scrapers, so only database modes offer them
+const DATABASE_ENDPOINTS = {
+  websocket: '/ws'
+};
+
+/**
+ * Check whether a mode reads and writes MongoDB
+ * @param {string} mode - Server mode
+ * @returns {boolean} True for live and fixture modes
+ */
+const usesDatabase = mode => mode !== 'demo';
+
+/**
+ * While MongoDB is unavailable, reads are served from the last snapshot and marked
+ * stale (X-Data-Stale header and stale field); writes are refused
+ * @param {DatabaseMonitor} databaseMonitor - Tells whether MongoDB is reachable
+ * @param {SnapshotStore} snapshotStore - Holds the snapshot being served
+ * @returns {Function} Express middleware
+ */
+const serveStaleWhileDegraded = (databaseMonitor, snapshotStore) => (req, res, next) => {
+  if (databaseMonitor.isLive()) {
+    return next();
+  }
+
+  const staleAsOf = snapshotStore ? snapshotStore.getSavedAt() : null;
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return res.status(503).json({
+      success: false,
+      message: 'Database unavailable, the API is read-only until it reconnects',
+      stale: true,
+      staleAsOf
+    });
+  }
+
+  res.set('X-Data-Stale', 'true');
+  if (staleAsOf) {
+    res.set('X-Data-As-Of', staleAsOf);
+  }
+
+  const json = res.json.bind(res);
+  res.json = body => json(body && typeof body === 'object' && !Array.isArray(body)
+    ? { ...body, stale: true, staleAsOf }
+    : body);
+
+  next();
+};
+
+/**
+ * Refuse requests to routers that have no snapshot to fall back to while MongoDB is unavailable
+ * @param {DatabaseMonitor} databaseMonitor - Tells whether MongoDB is reachable
+ * @returns {Function} Express middleware
+ */
+const requireDatabase = databaseMonitor => (req, res, next) => {
+  if (databaseMonitor.isLive()) {
+    return next();
+  }
+
+  res.status(503).json({
+    success: false,
+    message: 'Database unavailable, try again once it reconnects'
+  });
+};
+
+/**
+ * Build the Express app from a config object
+ * @param {Object} config - App configuration
+ * @param {string} config.APP_MODE - live, fixture or demo
+ * @param {Array<string>} config.ROUTERS - Routers to mount (crypto, articles, alerts, webhooks, scrape-runs, portfolios, watchlists, admin)
+ * @param {string} config.ADMIN_API_KEY - Optional bootstrap admin key accepted without the database
+ * @param {string|Array<string>} config.CORS_ORIGIN - Allowed CORS origin(s)
+ * @param {string} config.NODE_ENV - Node environment
+ * @param {Object} config.repositories - Optional { crypto, articles } repositories to use instead of the mode's
+ * @param {DatabaseMonitor} config.databaseMonitor - Optional monitor; enables stale responses while MongoDB is down
+ * @param {SnapshotStore} config.snapshotStore - Optional snapshot served while MongoDB is down
+ * @param {boolean} config.RATE_LIMIT_ENABLED - Meter the crypto and article routers
+ * @param {string} config.RATE_LIMIT_STORE - memory or mongo
+ * @param {RateLimitStore} config.rateLimitStore - Optional store to use instead of RATE_LIMIT_STORE
+ * @param {JobRegistry} config.jobRegistry - Optional cron jobs to control through /api/admin/jobs
+ * @param {EventRelay} config.eventRelay - Optional database-backed source of live price updates
+ * @returns {Object} { app, mode, routers, repositories, rateLimitStore } where routers lists the mounted routers
+ */
+const createApp = (config) => {
+  const mode = config.APP_MODE || 'live';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown server mode "${mode}". Use one of: ${MODES.join(', ')}`);
+  }
+
+  const isAvailable = name => ROUTERS[name] && (usesDatabase(mode) || !ROUTERS[name].requiresDatabase);
+  const requested = config.ROUTERS || Object.keys(ROUTERS);
+  const unavailable = requested.filter(name => !isAvailable(name));
+  if (unavailable.length > 0) {
+    console.log(`Routers not available in ${mode} mode, skipping: ${unavailable.join(', ')}`);
+  }
+  const routers = requested.filter(isAvailable);
+
+  // Demo mode keeps sample data in memory; other modes read MongoDB
+  const repositories = config.repositories || createRepositories(mode);
+  const { databaseMonitor, snapshotStore } = config;
+
+  // Anonymous callers are limited per IP, API keys per key
+  const rateLimitStore = config.RATE_LIMIT_ENABLED === false
+    ? null
+    : config.rateLimitStore || createRateLimitStore(config.RATE_LIMIT_STORE || 'memory');
+  const limiter = rateLimitStore && rateLimit({
+    store: rateLimitStore,
+    anonymous: {
+      capacity: config.RATE_LIMIT_BURST || 60,
+      refillPerSecond: (config.RATE_LIMIT_PER_MINUTE || 60) / 60
+    },
+    apiKey: {
+      capacity: config.RATE_LIMIT_KEY_BURST || 600,
+      refillPerSecond: (config.RATE_LIMIT_KEY_PER_MINUTE || 600) / 60
+    }
+  });
+
+  // Initialize Express app
+  const app = express();
+
+  // Security middleware
+  app.use(helmet());
+
+  // CORS configuration
+  app.use(cors({
+    origin: config.CORS_ORIGIN,
+    credentials: true
+  }));
+
+  // Logging middleware
+  app.use(morgan('combined'));
+
+  // Body parsing middleware
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: databaseMonitor && !databaseMonitor.isLive() ? 'DEGRADED' : 'OK',
+      mode,
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      environment: config.NODE_ENV,
+      ...(databaseMonitor && {
+        database: databaseMonitor.getStatus(),
+        snapshotSavedAt: snapshotStore ? snapshotStore.getSavedAt() : null
+      })
+    });
+  });
+
+  // Audit every mutating call and identify callers by API key; routes guard themselves by role
+  app.use('/api', auditMutations);
+
+  if (databaseMonitor) {
+    app.use('/api', serveStaleWhileDegraded(databaseMonitor, snapshotStore));
+  }
+
+  app.use('/api', authenticate({ adminKey: config.ADMIN_API_KEY }));
+
+  // API routes
+  routers.forEach(name => {
+    const guards = [
+      ...(databaseMonitor && ROUTERS[name].requiresDatabase ? [requireDatabase(databaseMonitor)] : []),
+      ...(limiter && ROUTERS[name].metered ? [limiter] : [])
+    ];
+    app.use(`/api/${name}`, ...guards, ROUTERS[name].create(repositories, { rateLimitStore, jobRegistry: config.jobRegistry, eventRelay: config.eventRelay }));
+  });
+
+  // Root endpoint
+  const endpoints = { health: '/health' };
+  routers.forEach(name => {
+    Object.assign(endpoints, ENDPOINTS[name]);
+    if (name === 'crypto' && usesDatabase(mode)) {
+      Object.assign(endpoints, DATABASE_ENDPOINTS);
+    }
+  });
+
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'Web Scraper API Server',
+      version: '1.0.0',
+      mode,
+      endpoints,
+      documentation: 'See README.md for API documentation'
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({
+      success: false,
+      message: 'Endpoint not found',
+      path: req.originalUrl
+    });
+  });
+
+  // Global error handler
+  app.use((error, req, res, next) => {
+    console.error('Global error handler:', error);
+
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.message || 'Internal server error',
+      ...(config.NODE_ENV === 'development' && { stack: error.stack })
+    });
+  });
+
+  return { app, mode, routers, repositories, rateLimitStore };
+};
+
+module.exports = {
+  MODES,
+  createApp,
+  usesDatabase
+};
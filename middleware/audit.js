@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+// Request methods that change nothing and are not audited
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Body fields never written to the audit log
+const SECRET_FIELDS = ['secret', 'password', 'token', 'key', 'apiKey'];
+
+/**
+ * Copy a request body with secret fields masked
+ * @param {*} value - Request body or nested value
+ * @returns {*} Value safe to store
+ */
+const maskSecrets = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(maskSecrets);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([field, fieldValue]) => [
+    field,
+    SECRET_FIELDS.includes(field) ? '****' : maskSecrets(fieldValue)
+  ]));
+};
+
+/**
+ * Record every mutating call once its response is sent, including the ones
+ * that were refused. Entries are logged to the console while MongoDB is unavailable
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const auditMutations = (req, res, next) => {
+  if (READ_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const startedAt = Date.now();
+
+  res.on('finish', () => {
+    const entry = {
+      apiKey: req.apiKey ? req.apiKey.id : null,
+      actor: req.apiKey ? req.apiKey.name : 'anonymous',
+      role: req.apiKey ? req.apiKey.role : null,
+      method: req.method,
+      path: req.originalUrl,
+      body: req.body && Object.keys(req.body).length > 0 ? maskSecrets(req.body) : null,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      durationMs: Date.now() - startedAt
+    };
+
+    if (mongoose.connection.readyState !== 1) {
+      console.log('Audit:', JSON.stringify(entry));
+      return;
+    }
+
+    AuditLog.create(entry).catch(error => {
+      console.error('Error writing audit log:', error.message);
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  auditMutations,
+  maskSecrets
+};
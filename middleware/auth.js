@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * Read the API key from an X-API-Key or Authorization: Bearer header
+ * @param {Object} req - Express request
+ * @returns {string|null} Presented key
+ */
+const readApiKey = (req) => {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header.trim();
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const match = /^Bearer\s+(.+)$/i.exec(authorization);
+  return match ? match[1].trim() : null;
+};
+
+/**
+ * Compare two keys without leaking their contents through timing
+ * @param {string} a - First key
+ * @param {string} b - Second key
+ * @returns {boolean} True if equal
+ */
+const keysEqual = (a, b) => crypto.timingSafeEqual(
+  Buffer.from(ApiKey.hashKey(a), 'hex'),
+  Buffer.from(ApiKey.hashKey(b), 'hex')
+);
+
+/**
+ * Identify the caller from their API key and attach it as req.apiKey
+ * Requests without a key continue anonymously; an unknown or revoked key is rejected.
+ * The configured admin key works without the database so the first stored keys can be created
+ * @param {Object} options - Authentication options
+ * @param {string} options.adminKey - Bootstrap admin key from the config
+ * @returns {Function} Express middleware
+ */
+const authenticate = ({ adminKey } = {}) => async (req, res, next) => {
+  req.apiKey = null;
+
+  const key = readApiKey(req);
+  if (!key) {
+    return next();
+  }
+
+  try {
+    if (adminKey && keysEqual(key, adminKey)) {
+      req.apiKey = { id: null, name: 'bootstrap admin', role: 'admin', prefix: null };
+      return next();
+    }
+
+    // Stored keys can only be checked while MongoDB is connected; reads stay open meanwhile
+    if (mongoose.connection.readyState !== 1) {
+      req.apiKeyUnverified = true;
+      return next();
+    }
+
+    const apiKey = await ApiKey.findActiveByKey(key);
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked API key'
+      });
+    }
+
+    req.apiKey = { id: apiKey._id, name: apiKey.name, role: apiKey.role, prefix: apiKey.prefix };
+
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(error => {
+      console.error('Error recording API key use:', error.message);
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Require an API key with at least a given role
+ * @param {string} role - reader, operator or admin
+ * @returns {Function} Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+  if (!req.apiKey && req.apiKeyUnverified) {
+    return res.status(503).json({
+      success: false,
+      message: 'API keys cannot be verified while the database is unavailable'
+    });
+  }
+
+  if (!req.apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: `An API key with the ${role} role is required`
+    });
+  }
+
+  if (!ApiKey.hasRole(req.apiKey.role, role)) {
+    return res.status(403).json({
+      success: false,
+      message: `This action requires the ${role} role`
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireRole,
+  readApiKey
+};
@@ -0,0 +1,66 @@
+/**
+ * Identify the client a request is metered against
+ * @param {Object} req - Express request (after authentication)
+ * @returns {Object} { id, name, role } keyed by API key, or by IP for anonymous callers
+ */
+const identifyClient = (req) => {
+  if (req.apiKey) {
+    return {
+      id: `key:${req.apiKey.prefix || 'bootstrap'}`,
+      name: req.apiKey.name,
+      role: req.apiKey.role
+    };
+  }
+
+  return { id: `ip:${req.ip}`, name: null, role: null };
+};
+
+/**
+ * Token bucket rate limiter with RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset and RateLimit-Policy headers. API keys get their own
+ * allowance; anonymous callers are limited per IP. If the store fails, the
+ * request is let through rather than taking the API down with it
+ * @param {Object} options - Limiter options
+ * @param {RateLimitStore} options.store - Bucket and usage store
+ * @param {Object} options.anonymous - { capacity, refillPerSecond } for callers without a key
+ * @param {Object} options.apiKey - { capacity, refillPerSecond } for callers with a key
+ * @returns {Function} Express middleware
+ */
+const rateLimit = ({ store, anonymous, apiKey }) => async (req, res, next) => {
+  const client = identifyClient(req);
+  const limits = req.apiKey ? apiKey : anonymous;
+
+  let result;
+  try {
+    result = await store.consume(client.id, limits, 1);
+  } catch (error) {
+    console.error('Rate limiter unavailable, allowing request:', error.message);
+    return next();
+  }
+
+  store.recordUsage(client, result.allowed);
+
+  res.set({
+    'RateLimit-Limit': String(limits.capacity),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+    'RateLimit-Policy': `${limits.capacity};w=${Math.round(limits.capacity / limits.refillPerSecond)}`
+  });
+
+  if (!result.allowed) {
+    const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      message: 'Rate limit exceeded, retry later',
+      retryAfter
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  rateLimit,
+  identifyClient
+};
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Alert event schema for recording every time a rule triggers
+const alertEventSchema = new mongoose.Schema({
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+    required: true
+  },
+  ruleName: {
+    type: String,
+    default: ''
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  metric: {
+    type: String,
+    required: true
+  },
+  condition: {
+    type: String,
+    required: true
+  },
+  threshold: {
+    type: Number,
+    default: null
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  // Average value over the rule window (spike rules only)
+  baseline: {
+    type: Number,
+    default: null
+  },
+  currency: {
+    type: String,
+    default: 'usd'
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  triggeredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index for better query performance
+alertEventSchema.index({ triggeredAt: -1 });
+alertEventSchema.index({ rule: 1, triggeredAt: -1 });
+alertEventSchema.index({ symbol: 1, triggeredAt: -1 });
+
+// Static method to get recent events
+alertEventSchema.statics.getRecentEvents = function(limit = 50) {
+  return this.find()
+    .sort({ triggeredAt: -1 })
+    .limit(limit);
+};
+
+module.exports = mongoose.model('AlertEvent', alertEventSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Alert rule schema for price/volume conditions evaluated after every scrape
+const alertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Optional registry asset, for tickers shared by several coins
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    default: null
+  },
+  metric: {
+    type: String,
+    enum: ['price', 'change24h', 'volume24h', 'marketCap'],
+    default: 'price'
+  },
+  // above/below hold while the value is past the threshold, crosses_* fire on the crossing
+  // itself, and spike compares the value with its average over windowDays
+  condition: {
+    type: String,
+    enum: ['above', 'below', 'crosses_above', 'crosses_below', 'spike'],
+    required: true
+  },
+  threshold: {
+    type: Number,
+    required: function() {
+      return this.condition !== 'spike';
+    }
+  },
+  multiplier: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  windowDays: {
+    type: Number,
+    default: 7,
+    min: 1,
+    max: 90
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true
+  },
+  // Minimum time between two triggers of the same rule
+  cooldownMinutes: {
+    type: Number,
+    default: 60,
+    min: 0
+  },
+  state: {
+    conditionMet: { type: Boolean, default: false },
+    lastValue: { type: Number, default: null },
+    lastEvaluatedAt: { type: Date, default: null },
+    lastTriggeredAt: { type: Date, default: null },
+    triggerCount: { type: Number, default: 0 }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index for better query performance
+alertRuleSchema.index({ isActive: 1, symbol: 1 });
+
+// Static method to get active rules
+alertRuleSchema.statics.getActiveRules = function() {
+  return this.find({ isActive: true });
+};
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
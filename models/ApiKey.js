@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Roles in increasing order of privilege; each role can do everything the ones before it can
+const ROLES = ['reader', 'operator', 'admin'];
+
+// API key schema. Only a SHA-256 hash of the key is stored; the key itself is shown once on creation
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Random public part of the key, used to look it up and to identify it in lists and logs
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'reader'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+/**
+ * Hash an API key for storage and comparison
+ * @param {string} key - Full API key
+ * @returns {string} Hex SHA-256 digest
+ */
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+/**
+ * Generate a new API key
+ * @returns {Object} { key, prefix, keyHash }
+ */
+apiKeySchema.statics.generate = function() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `sk_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  return { key, prefix, keyHash: this.hashKey(key) };
+};
+
+/**
+ * Find the active key matching a presented API key
+ * @param {string} key - API key from the request
+ * @returns {Promise<Document|null>} Matching active key, or null
+ */
+apiKeySchema.statics.findActiveByKey = async function(key) {
+  const match = /^sk_([0-9a-f]{12})_/.exec(String(key));
+  if (!match) {
+    return null;
+  }
+
+  const apiKey = await this.findOne({ prefix: match[1], isActive: true }).select('+keyHash');
+  if (!apiKey) {
+    return null;
+  }
+
+  const expected = Buffer.from(apiKey.keyHash, 'hex');
+  const actual = Buffer.from(this.hashKey(key), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+/**
+ * Check whether a role includes the privileges of another
+ * @param {string} role - Role held
+ * @param {string} required - Role required
+ * @returns {boolean} True if role is at least as privileged as required
+ */
+apiKeySchema.statics.hasRole = function(role, required) {
+  return ROLES.includes(role) && ROLES.includes(required) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+};
+
+apiKeySchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
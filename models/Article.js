@@ -44,6 +44,7 @@ const articleSchema = new mongoose.Schema({
 articleSchema.index({ scrapedAt: -1 });
 articleSchema.index({ title: 'text', author: 'text' }); // Text search index
 articleSchema.index({ isActive: 1, scrapedAt: -1 });
+articleSchema.index({ createdAt: 1 }); // New articles relayed to every instance
 
 // Static method to get recent articles
 articleSchema.statics.getRecentArticles = function(limit = 50) {
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Provider-specific identifier for an asset (e.g. { provider: 'coingecko', id: 'bitcoin' })
+const providerIdSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  id: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// Token contract deployed on a chain
+const platformSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  contractAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  }
+}, { _id: false });
+
+// Asset schema for the canonical registry of coins, independent of ticker symbols
+const assetSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  providerIds: {
+    type: [providerIdSchema],
+    default: []
+  },
+  platforms: {
+    type: [platformSchema],
+    default: []
+  },
+  // Previous tickers and names the asset has been listed under
+  aliases: {
+    type: [String],
+    default: []
+  },
+  image: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index for better query performance
+assetSchema.index({ 'providerIds.provider': 1, 'providerIds.id': 1 }, { unique: true, sparse: true });
+assetSchema.index({ symbol: 1 });
+assetSchema.index({ aliases: 1 });
+assetSchema.index({ 'platforms.contractAddress': 1 });
+
+// Static method to find an asset by a provider's identifier
+assetSchema.statics.findByProviderId = function(provider, id) {
+  return this.findOne({
+    providerIds: { $elemMatch: { provider: provider.toLowerCase(), id } }
+  });
+};
+
+// Static method to find an asset by contract address, optionally on a specific chain
+assetSchema.statics.findByContract = function(contractAddress, chain) {
+  const match = { contractAddress: contractAddress.toLowerCase() };
+  if (chain) {
+    match.chain = chain.toLowerCase();
+  }
+
+  return this.findOne({ platforms: { $elemMatch: match } });
+};
+
+// Method to get this asset's identifier at a provider
+assetSchema.methods.getProviderId = function(provider) {
+  const entry = this.providerIds.find(providerId => providerId.provider === provider.toLowerCase());
+  return entry ? entry.id : null;
+};
+
+module.exports = mongoose.model('Asset', assetSchema);
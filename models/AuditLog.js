@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Audit log schema recording every mutating API call, allowed or not
+const auditLogSchema = new mongoose.Schema({
+  // API key that made the call (null for anonymous calls)
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  actor: {
+    type: String,
+    default: 'anonymous'
+  },
+  role: {
+    type: String,
+    default: null
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Request body with secrets masked
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  statusCode: {
+    type: Number,
+    required: true
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for browsing the log by time, actor and outcome
+auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ apiKey: 1, timestamp: -1 });
+auditLogSchema.index({ statusCode: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { CANDLE_RESOLUTIONS } = require('../utils/timeBuckets');
+
+// Candle schema for storing precomputed OHLCV data built from crypto snapshots
+const candleSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    default: null
+  },
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true
+  },
+  resolution: {
+    type: String,
+    required: true,
+    enum: Object.keys(CANDLE_RESOLUTIONS)
+  },
+  openTime: {
+    type: Date,
+    required: true
+  },
+  closeTime: {
+    type: Date,
+    required: true
+  },
+  open: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  close: {
+    type: Number,
+    required: true
+  },
+  // Snapshots only carry a rolling 24h volume, so this is the value at candle close
+  volume: {
+    type: Number,
+    default: 0
+  },
+  samples: {
+    type: Number,
+    default: 0
+  },
+  isClosed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index for better query performance
+candleSchema.index({ symbol: 1, asset: 1, currency: 1, resolution: 1, openTime: 1 }, { unique: true });
+candleSchema.index({ resolution: 1, openTime: -1 });
+
+// Static method to get the latest candles for a symbol within a time range, oldest first
+candleSchema.statics.getCandles = function(symbol, resolution, { from, to, limit = 500, currency = 'usd', asset = null } = {}) {
+  const query = {
+    symbol: symbol.toUpperCase(),
+    currency,
+    resolution,
+    openTime: { $gte: from, $lte: to }
+  };
+
+  if (asset) {
+    query.asset = new mongoose.Types.ObjectId(asset);
+  }
+
+  // The limit keeps the most recent candles, as Crypto.getHistory does
+  return this.aggregate([
+    { $match: query },
+    { $sort: { openTime: -1 } },
+    { $limit: limit },
+    { $sort: { openTime: 1 } },
+    { $project: { _id: 0, __v: 0, createdAt: 0, updatedAt: 0 } }
+  ]);
+};
+
+const Candle = mongoose.model('Candle', candleSchema);
+
+// Retention tier each resolution is kept under
+Candle.RETENTION_TIERS = {
+  '5m': 'intraday',
+  '15m': 'intraday',
+  '1h': 'hourly',
+  '4h': 'hourly',
+  '1d': 'daily'
+};
+
+module.exports = Candle;
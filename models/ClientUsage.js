@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Requests per client per UTC day, used for usage reports and billing
+const clientUsageSchema = new mongoose.Schema({
+  // 'key:<prefix>' for API keys, 'ip:<address>' for anonymous callers
+  client: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    default: null
+  },
+  role: {
+    type: String,
+    default: null
+  },
+  // YYYY-MM-DD (UTC)
+  day: {
+    type: String,
+    required: true
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  // Requests refused with 429
+  limited: {
+    type: Number,
+    default: 0
+  },
+  lastRequestAt: {
+    type: Date,
+    default: null
+  }
+});
+
+clientUsageSchema.index({ client: 1, day: 1 }, { unique: true });
+clientUsageSchema.index({ day: -1 });
+
+module.exports = mongoose.model('ClientUsage', clientUsageSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// Crawl state schema for tracking paginated provider crawls so they can resume.
+// Each crawl is also a versioned market snapshot: the rows it saves carry its version
+const crawlStateSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    default: null
+  },
+  provider: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  depth: {
+    type: Number,
+    required: true
+  },
+  pageSize: {
+    type: Number,
+    required: true
+  },
+  totalPages: {
+    type: Number,
+    required: true
+  },
+  lastCompletedPage: {
+    type: Number,
+    default: 0
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  counts: {
+    saved: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  error: {
+    type: String,
+    default: ''
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Set once retention has deleted the snapshot's rows
+  prunedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index for better query performance
+crawlStateSchema.index({ status: 1, startedAt: -1 });
+crawlStateSchema.index({ version: 1 }, { unique: true, partialFilterExpression: { version: { $type: 'number' } } });
+crawlStateSchema.index({ status: 1, completedAt: -1 });
+
+// Static method to find an interrupted crawl with the same shape that is recent enough to resume
+crawlStateSchema.statics.findResumable = function({ depth, pageSize, windowMinutes = 60, maxAttempts = 3 }) {
+  return this.findOne({
+    status: { $in: ['running', 'failed'] },
+    depth,
+    pageSize,
+    provider: { $ne: '' },
+    version: { $ne: null },
+    lastCompletedPage: { $gt: 0 },
+    attempts: { $lt: maxAttempts },
+    startedAt: { $gte: new Date(Date.now() - windowMinutes * 60 * 1000) }
+  }).sort({ startedAt: -1 });
+};
+
+// Static method to start a crawl under the next snapshot version, retrying if
+// another instance claimed the same version first
+crawlStateSchema.statics.createVersioned = async function(fields, maxAttempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    const last = await this.findOne({ version: { $ne: null } }).sort({ version: -1 }).select('version');
+
+    try {
+      return await this.create({ ...fields, version: last ? last.version + 1 : 1 });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= maxAttempts) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Static method to find a market snapshot that still has its rows: a given version
+// (complete or not), or else the latest completed one, optionally as of a time
+crawlStateSchema.statics.findSnapshot = function({ version, at } = {}) {
+  const query = { prunedAt: null };
+
+  if (version !== undefined) {
+    query.version = version;
+  } else {
+    query.version = { $ne: null };
+    query.status = 'completed';
+    query['counts.total'] = { $gt: 0 };
+    if (at) {
+      query.completedAt = { $lte: at };
+    }
+  }
+
+  return this.findOne(query).sort({ completedAt: -1 });
+};
+
+module.exports = mongoose.model('CrawlState', crawlStateSchema);
@@ -1,4 +1,45 @@
 const mongoose = require('mongoose');
+const { INTERVALS, bucketExpression } = require('../utils/timeBuckets');
+const { formatPrice, formatCompact } = require('../utils/currency');
+
+// Base currency stored in the top-level price fields
+const BASE_CURRENCY = 'usd';
+
+// Per-source quote kept for auditing consensus prices
+const quoteSourceSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true
+  },
+  accepted: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Price data in one quote currency
+const currencyQuoteSchema = new mongoose.Schema({
+  price: {
+    type: Number,
+    default: 0
+  },
+  marketCap: {
+    type: Number,
+    default: 0
+  },
+  volume24h: {
+    type: Number,
+    default: 0
+  },
+  change24h: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
 
 // Crypto schema for storing cryptocurrency price data
 const cryptoSchema = new mongoose.Schema({
@@ -13,6 +54,17 @@ const cryptoSchema = new mongoose.Schema({
     trim: true,
     uppercase: true
   },
+  // Canonical registry asset; tickers alone are not unique across coins
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    default: null
+  },
+  // Identifier of the coin at the provider that served this snapshot
+  coinId: {
+    type: String,
+    default: ''
+  },
   price: {
     type: Number,
     required: true,
@@ -39,10 +91,34 @@ const cryptoSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Prices keyed by lower-case quote currency (usd, eur, gbp, inr, btc, ...)
+  quotes: {
+    type: Map,
+    of: currencyQuoteSchema,
+    default: {}
+  },
+  source: {
+    type: String,
+    default: ''
+  },
+  sources: {
+    type: [quoteSourceSchema],
+    default: []
+  },
+  // Spread between the highest and lowest source quote, as a percentage of the median
+  priceSpread: {
+    type: Number,
+    default: 0
+  },
   timestamp: {
     type: Date,
     default: Date.now
   },
+  // Version of the market snapshot (crawl) that saved this row
+  snapshot: {
+    type: Number,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -54,27 +130,95 @@ const cryptoSchema = new mongoose.Schema({
 // Index for better query performance
 cryptoSchema.index({ timestamp: -1 });
 cryptoSchema.index({ symbol: 1, timestamp: -1 });
+cryptoSchema.index({ asset: 1, timestamp: -1 });
 cryptoSchema.index({ rank: 1 });
 cryptoSchema.index({ isActive: 1, timestamp: -1 });
+cryptoSchema.index({ snapshot: 1, rank: 1 });
 
-// Static method to get latest crypto prices
-cryptoSchema.statics.getLatestPrices = function(limit = 50) {
-  return this.find({ isActive: true })
+// Static method to get latest crypto prices, optionally from one snapshot's rows
+cryptoSchema.statics.getLatestPrices = function(limit = 50, filter = { isActive: true }) {
+  return this.find(filter)
     .sort({ rank: 1, timestamp: -1 })
     .limit(limit);
 };
 
-// Static method to get crypto by symbol
-cryptoSchema.statics.getBySymbol = function(symbol) {
-  return this.findOne({ 
-    symbol: symbol.toUpperCase(), 
-    isActive: true 
-  }).sort({ timestamp: -1 });
+// Static method to get crypto by symbol, optionally narrowed to one registry asset
+cryptoSchema.statics.getBySymbol = function(symbol, asset) {
+  const query = {
+    symbol: symbol.toUpperCase(),
+    isActive: true
+  };
+
+  if (asset) {
+    query.asset = asset;
+  }
+
+  return this.findOne(query).sort({ timestamp: -1 });
+};
+
+// Static method to list the distinct assets currently trading under a ticker,
+// with the latest snapshot of each (used to disambiguate shared symbols)
+cryptoSchema.statics.getSymbolCandidates = function(symbol) {
+  return this.aggregate([
+    { $match: { symbol: symbol.toUpperCase(), isActive: true } },
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: '$asset',
+        coinId: { $first: '$coinId' },
+        name: { $first: '$name' },
+        symbol: { $first: '$symbol' },
+        rank: { $first: '$rank' },
+        price: { $first: '$price' },
+        marketCap: { $first: '$marketCap' },
+        image: { $first: '$image' },
+        timestamp: { $first: '$timestamp' }
+      }
+    },
+    { $sort: { marketCap: -1 } },
+    {
+      $project: {
+        _id: 0,
+        asset: '$_id',
+        coinId: 1,
+        name: 1,
+        symbol: 1,
+        rank: 1,
+        price: 1,
+        marketCap: 1,
+        image: 1,
+        timestamp: 1
+      }
+    }
+  ]);
+};
+
+// Static method to get the latest snapshot of every coin, one per symbol and asset,
+// optionally limited to some symbols (returns plain objects)
+cryptoSchema.statics.getLatestSnapshots = function(symbols = null) {
+  const match = { isActive: true };
+
+  if (symbols) {
+    match.symbol = { $in: symbols };
+  }
+
+  return this.aggregate([
+    { $match: match },
+    { $sort: { timestamp: -1 } },
+    {
+      $group: {
+        _id: { symbol: '$symbol', asset: '$asset' },
+        snapshot: { $first: '$$ROOT' }
+      }
+    },
+    { $replaceRoot: { newRoot: '$snapshot' } },
+    { $sort: { rank: 1 } }
+  ]);
 };
 
-// Static method to get top cryptocurrencies
-cryptoSchema.statics.getTopCrypto = function(limit = 10) {
-  return this.find({ isActive: true })
+// Static method to get top cryptocurrencies, optionally from one snapshot's rows
+cryptoSchema.statics.getTopCrypto = function(limit = 10, filter = { isActive: true }) {
+  return this.find(filter)
     .sort({ rank: 1 })
     .limit(limit);
 };
@@ -96,22 +240,127 @@ cryptoSchema.statics.searchCrypto = function(query, limit = 20) {
   .limit(limit);
 };
 
-// Virtual for formatted price
+// Static method to get price history for a symbol, optionally bucketed by interval.
+// Inactive rows are included because they are still valid historical snapshots.
+// When the range holds more than `limit` points, the newest ones are kept
+cryptoSchema.statics.getHistory = function(symbol, { from, to, interval = 'raw', limit = 1000, currency = BASE_CURRENCY, asset = null } = {}) {
+  const prefix = currency === BASE_CURRENCY ? '$' : `$quotes.${currency}.`;
+  const match = {
+    symbol: symbol.toUpperCase(),
+    timestamp: { $gte: from, $lte: to }
+  };
+
+  if (asset) {
+    match.asset = new mongoose.Types.ObjectId(asset);
+  }
+
+  if (currency !== BASE_CURRENCY) {
+    match[`quotes.${currency}.price`] = { $exists: true };
+  }
+
+  // Raw points are single-snapshot buckets
+  const group = interval === 'raw'
+    ? [{ $sort: { timestamp: -1 } }, { $limit: limit }, {
+      $project: {
+        _id: '$timestamp',
+        price: `${prefix}price`,
+        marketCap: `${prefix}marketCap`,
+        volume24h: `${prefix}volume24h`,
+        samples: { $literal: 1 }
+      }
+    }]
+    : [{ $sort: { timestamp: 1 } }, {
+      // Each bucket reports the last snapshot observed inside it
+      $group: {
+        _id: bucketExpression('$timestamp', INTERVALS[interval]),
+        price: { $last: `${prefix}price` },
+        marketCap: { $last: `${prefix}marketCap` },
+        volume24h: { $last: `${prefix}volume24h` },
+        samples: { $sum: 1 }
+      }
+    }, { $sort: { _id: -1 } }, { $limit: limit }];
+
+  return this.aggregate([
+    { $match: match },
+    ...group,
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        timestamp: '$_id',
+        price: 1,
+        marketCap: 1,
+        volume24h: 1,
+        samples: 1
+      }
+    }
+  ]);
+};
+
+/**
+ * Get price data in a quote currency, falling back to the base fields for USD
+ * @param {string} currency - Quote currency code
+ * @returns {Object|null} { price, marketCap, volume24h, change24h } or null if not quoted
+ */
+cryptoSchema.methods.getQuote = function(currency = BASE_CURRENCY) {
+  const code = currency.toLowerCase();
+  const quote = this.quotes && this.quotes.get(code);
+
+  if (quote) {
+    return {
+      price: quote.price,
+      marketCap: quote.marketCap,
+      volume24h: quote.volume24h,
+      change24h: quote.change24h
+    };
+  }
+
+  if (code === BASE_CURRENCY) {
+    return {
+      price: this.price,
+      marketCap: this.marketCap,
+      volume24h: this.volume24h,
+      change24h: this.change24h
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Serialize with price fields expressed in a quote currency
+ * @param {string} currency - Quote currency code
+ * @returns {Object} Plain object with currency-specific price fields and formatting
+ */
+cryptoSchema.methods.toCurrencyJSON = function(currency = BASE_CURRENCY) {
+  const code = currency.toLowerCase();
+  const quote = this.getQuote(code);
+  const json = this.toJSON();
+  delete json.__v;
+
+  this.$locals.currency = code;
+
+  return {
+    ...json,
+    ...(quote || { price: null, marketCap: null, volume24h: null, change24h: null }),
+    currency: code,
+    formattedPrice: quote ? this.formattedPrice : null,
+    formattedMarketCap: quote ? this.formattedMarketCap : null
+  };
+};
+
+// Virtual for formatted price (in the currency selected by toCurrencyJSON, USD otherwise)
 cryptoSchema.virtual('formattedPrice').get(function() {
-  return this.price ? `$${this.price.toLocaleString()}` : '$0';
+  const currency = this.$locals.currency || BASE_CURRENCY;
+  const quote = this.getQuote(currency) || {};
+  return formatPrice(quote.price, currency);
 });
 
 // Virtual for formatted market cap
 cryptoSchema.virtual('formattedMarketCap').get(function() {
-  if (this.marketCap >= 1e12) {
-    return `$${(this.marketCap / 1e12).toFixed(2)}T`;
-  } else if (this.marketCap >= 1e9) {
-    return `$${(this.marketCap / 1e9).toFixed(2)}B`;
-  } else if (this.marketCap >= 1e6) {
-    return `$${(this.marketCap / 1e6).toFixed(2)}M`;
-  } else {
-    return `$${this.marketCap.toLocaleString()}`;
-  }
+  const currency = this.$locals.currency || BASE_CURRENCY;
+  const quote = this.getQuote(currency) || {};
+  return formatCompact(quote.marketCap, currency);
 });
 
 // Virtual for change color
@@ -119,4 +368,7 @@ cryptoSchema.virtual('changeColor').get(function() {
   return this.change24h >= 0 ? 'green' : 'red';
 });
 
-module.exports = mongoose.model('Crypto', cryptoSchema);
+const Crypto = mongoose.model('Crypto', cryptoSchema);
+Crypto.BASE_CURRENCY = BASE_CURRENCY;
+
+module.exports = Crypto;
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Crypto = require('./Crypto');
+const { INTERVALS, bucketExpression } = require('../utils/timeBuckets');
+
+// Rollup resolutions: raw snapshots compact into hourly rollups, hourly into daily
+const ROLLUP_RESOLUTIONS = {
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Summary of the crypto snapshots of one coin within one hour or day, kept once
+// the snapshots themselves have been pruned by the retention tiers
+const cryptoRollupSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    default: null
+  },
+  name: {
+    type: String,
+    default: ''
+  },
+  resolution: {
+    type: String,
+    required: true,
+    enum: Object.keys(ROLLUP_RESOLUTIONS)
+  },
+  openTime: {
+    type: Date,
+    required: true
+  },
+  closeTime: {
+    type: Date,
+    required: true
+  },
+  // Base currency prices over the period
+  open: {
+    type: Number,
+    required: true
+  },
+  high: {
+    type: Number,
+    required: true
+  },
+  low: {
+    type: Number,
+    required: true
+  },
+  close: {
+    type: Number,
+    required: true
+  },
+  // Values of the last snapshot in the period
+  marketCap: {
+    type: Number,
+    default: 0
+  },
+  volume24h: {
+    type: Number,
+    default: 0
+  },
+  change24h: {
+    type: Number,
+    default: 0
+  },
+  rank: {
+    type: Number,
+    default: 0
+  },
+  // Quotes of the last snapshot in the period, keyed by quote currency
+  quotes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Raw snapshots summarized
+  samples: {
+    type: Number,
+    default: 0
+  },
+  // Times of the first and last snapshot summarized, so rows compacted into the
+  // bucket by a later run merge in time order
+  firstAt: {
+    type: Date,
+    default: null
+  },
+  lastAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index for better query performance
+cryptoRollupSchema.index({ symbol: 1, asset: 1, resolution: 1, openTime: 1 }, { unique: true });
+cryptoRollupSchema.index({ resolution: 1, openTime: 1 });
+
+// Static method to get price history from rollups, in the same shape as Crypto.getHistory.
+// Each rollup is a point at its open time; coarser intervals report the last rollup in each bucket.
+// When the range holds more than `limit` points, the newest ones are kept
+cryptoRollupSchema.statics.getHistory = function(symbol, { from, to, interval = 'raw', limit = 1000, currency = Crypto.BASE_CURRENCY, asset = null } = {}) {
+  const quote = currency === Crypto.BASE_CURRENCY ? null : `$quotes.${currency}.`;
+  const match = {
+    symbol: symbol.toUpperCase(),
+    openTime: { $gte: from, $lte: to }
+  };
+
+  if (asset) {
+    match.asset = new mongoose.Types.ObjectId(asset);
+  }
+
+  if (quote) {
+    match[`quotes.${currency}.price`] = { $exists: true };
+  }
+
+  const bucketMs = INTERVALS[interval];
+
+  return this.aggregate([
+    { $match: match },
+    { $sort: { openTime: 1 } },
+    {
+      $group: {
+        _id: bucketMs ? bucketExpression('$openTime', bucketMs) : '$openTime',
+        price: { $last: quote ? `${quote}price` : '$close' },
+        marketCap: { $last: quote ? `${quote}marketCap` : '$marketCap' },
+        volume24h: { $last: quote ? `${quote}volume24h` : '$volume24h' },
+        samples: { $sum: '$samples' }
+      }
+    },
+    { $sort: { _id: -1 } },
+    { $limit: limit },
+    { $sort: { _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        timestamp: '$_id',
+        price: 1,
+        marketCap: 1,
+        volume24h: 1,
+        samples: 1
+      }
+    }
+  ]);
+};
+
+const CryptoRollup = mongoose.model('CryptoRollup', cryptoRollupSchema);
+CryptoRollup.ROLLUP_RESOLUTIONS = ROLLUP_RESOLUTIONS;
+
+module.exports = CryptoRollup;
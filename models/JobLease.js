@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Lease on a cron job. Whichever instance holds an unexpired lease runs the job;
+// a crashed holder's lease simply expires and the next instance takes over
+const jobLeaseSchema = new mongoose.Schema({
+  // Job id, e.g. crypto.scraping
+  job: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Instance holding (or that last held) the lease
+  owner: {
+    type: String,
+    required: true
+  },
+  acquiredAt: {
+    type: Date,
+    required: true
+  },
+  renewedAt: {
+    type: Date,
+    default: null
+  },
+  // Released leases are expired immediately, so they keep who ran the job last
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  // Scheduled time of the last cron run to take the lease. Instances whose cron task
+  // fires for the same time later on skip it, even once the lease is released
+  firedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+module.exports = mongoose.model('JobLease', jobLeaseSchema);
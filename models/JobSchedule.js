@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Schedule overrides set through /api/admin/jobs, re-applied when the cron services start
+const jobScheduleSchema = new mongoose.Schema({
+  // Job id, e.g. crypto.scraping or articles.cleanup
+  job: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Cron expression replacing the configured schedule, null to keep it
+  schedule: {
+    type: String,
+    default: null
+  },
+  paused: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+module.exports = mongoose.model('JobSchedule', jobScheduleSchema);
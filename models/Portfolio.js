@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { COST_BASIS_METHODS, replayTransactions } = require('../utils/costBasis');
+
+// A buy, sell or transfer of one coin. Prices and fees are in the portfolio's currency
+const transactionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['buy', 'sell', 'transfer'],
+    required: true
+  },
+  // Transfers move units in or out of the portfolio without realizing P&L
+  direction: {
+    type: String,
+    enum: ['in', 'out', null],
+    default: null,
+    required: function() {
+      return this.type === 'transfer';
+    }
+  },
+  symbol: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // Optional registry asset, for tickers shared by several coins
+  asset: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Asset',
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [Number.MIN_VALUE, 'quantity must be positive']
+  },
+  // Unit price of buys and sells; unit cost basis of transfers in (unused for transfers out)
+  price: {
+    type: Number,
+    min: 0,
+    required: function() {
+      return this.type !== 'transfer' || this.direction === 'in';
+    }
+  },
+  fee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  executedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    default: '',
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Portfolio schema: a list of transactions, with the holdings they add up to, belonging to one API key
+const portfolioSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // API key that owns the portfolio (null for the bootstrap admin key)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  description: {
+    type: String,
+    default: '',
+    trim: true
+  },
+  // Currency of transaction prices, and of valuations
+  currency: {
+    type: String,
+    default: 'usd',
+    lowercase: true
+  },
+  // Default cost basis method for valuations (each request may override it)
+  costBasisMethod: {
+    type: String,
+    enum: COST_BASIS_METHODS,
+    default: 'fifo'
+  },
+  transactions: [transactionSchema],
+  // Units held per coin, derived from the transactions on every save
+  holdings: [{
+    _id: false,
+    symbol: String,
+    asset: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Asset',
+      default: null
+    },
+    quantity: Number
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index for better query performance
+portfolioSchema.index({ owner: 1, isActive: 1, createdAt: -1 });
+
+// Recompute holdings, rejecting transactions that sell or transfer out more than was held at the time.
+// Quantities held do not depend on the cost basis method
+portfolioSchema.pre('validate', function(next) {
+  if (!this.isModified('transactions') && !this.isNew) {
+    return next();
+  }
+
+  // Malformed transactions are reported by their own validators; they cannot be replayed
+  if (this.transactions.some(transaction => transaction.validateSync())) {
+    return next();
+  }
+
+  try {
+    const positions = replayTransactions(this.transactions, 'fifo');
+    this.holdings = positions
+      .filter(position => position.quantity > 0)
+      .map(position => ({ symbol: position.symbol, asset: position.asset, quantity: position.quantity }));
+  } catch (error) {
+    this.invalidate('transactions', error.message);
+  }
+
+  next();
+});
+
+// Static method to find an active portfolio by ID, only if it belongs to an owner
+portfolioSchema.statics.findOwned = function(id, owner) {
+  if (!mongoose.isValidObjectId(id)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: id, owner, isActive: true }).select('-__v');
+};
+
+module.exports = mongoose.model('Portfolio', portfolioSchema);
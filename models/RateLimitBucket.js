@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Token bucket per client, shared by every server instance
+const rateLimitBucketSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  tokens: {
+    type: Number,
+    required: true
+  },
+  refilledAt: {
+    type: Date,
+    required: true
+  },
+  // Whether the last request was allowed
+  allowed: {
+    type: Boolean,
+    default: true
+  },
+  // When the bucket will have refilled completely and can be forgotten
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Full buckets are equivalent to missing ones, so let MongoDB drop them
+rateLimitBucketSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitBucket', rateLimitBucketSchema);
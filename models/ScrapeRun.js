@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+
+// What started a run: a cron job, a manual trigger from code, or POST /scrape
+const TRIGGERS = ['cron', 'manual', 'api'];
+
+// Run outcomes; running until the scrape finishes
+const STATUSES = ['running', 'succeeded', 'failed'];
+
+// Scrape run schema recording the outcome of every crypto and article scrape
+const scrapeRunSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['crypto', 'articles'],
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: TRIGGERS,
+    default: 'cron'
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'running'
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  counts: {
+    saved: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    total: { type: Number, default: 0 }
+  },
+  // Per-row save errors and the run error, capped
+  errorMessages: {
+    type: [String],
+    default: []
+  },
+  // Provider (or site) that served the data, and the HTTP status of its last response
+  provider: {
+    type: String,
+    default: ''
+  },
+  httpStatus: {
+    type: Number,
+    default: null
+  },
+  // Providers that failed before one succeeded (or before the run gave up)
+  providerErrors: [{
+    _id: false,
+    provider: String,
+    httpStatus: Number,
+    message: String
+  }],
+  pages: {
+    type: Number,
+    default: null
+  },
+  // Market snapshot version the run saved into (crypto crawls only)
+  snapshot: {
+    type: Number,
+    default: null
+  }
+});
+
+// Indexes for browsing runs by time, source and outcome
+scrapeRunSchema.index({ startedAt: -1 });
+scrapeRunSchema.index({ source: 1, status: 1, startedAt: -1 });
+
+// Most error messages kept on a run
+const MAX_ERRORS = 100;
+
+/**
+ * Record the start of a run. Failing to record never stops the scrape itself
+ * @param {Object} options - { source, trigger }
+ * @returns {Promise<Document|null>} Run, or null if it could not be recorded
+ */
+scrapeRunSchema.statics.begin = async function({ source, trigger = 'cron' }) {
+  try {
+    return await this.create({ source, trigger: TRIGGERS.includes(trigger) ? trigger : 'manual' });
+  } catch (error) {
+    console.error(`Error recording ${source} scrape run:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Record the outcome of a run
+ * @param {Document|null} run - Run returned by begin()
+ * @param {Object} outcome - Scraper result: { success, message, result }
+ * @returns {Promise<Document|null>} Updated run
+ */
+scrapeRunSchema.statics.finish = async function(run, { success, message, result = {} }) {
+  if (!run) {
+    return null;
+  }
+
+  const errors = (result.errors || []).map(rowError =>
+    typeof rowError === 'string' ? rowError : `${rowError.key || rowError.index}: ${rowError.message}`
+  );
+  if (!success) {
+    errors.unshift(message);
+  }
+
+  run.status = success ? 'succeeded' : 'failed';
+  run.message = message;
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  run.counts = {
+    saved: result.saved || 0,
+    updated: result.updated || 0,
+    skipped: result.skipped || 0,
+    total: result.total || 0
+  };
+  run.errorMessages = errors.slice(0, MAX_ERRORS);
+  run.provider = result.provider || '';
+  run.httpStatus = result.httpStatus ?? null;
+  run.providerErrors = result.providerErrors || [];
+  run.pages = result.pages ?? null;
+  run.snapshot = result.snapshot ?? null;
+
+  try {
+    return await run.save();
+  } catch (saveError) {
+    console.error(`Error recording ${run.source} scrape run result:`, saveError.message);
+    return null;
+  }
+};
+
+/**
+ * Fail runs left running past a maximum duration, such as those of a process
+ * that died mid-scrape, so they count as failures in the ingestion summary
+ * @param {number} maxDurationMs - Longest a run may take
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} Runs failed
+ */
+scrapeRunSchema.statics.failStale = async function(maxDurationMs, now = new Date()) {
+  const message = `Run did not finish within ${Math.round(maxDurationMs / 60000)} minutes (the process may have stopped)`;
+
+  try {
+    const result = await this.updateMany(
+      { status: 'running', startedAt: { $lt: new Date(now.getTime() - maxDurationMs) } },
+      [{
+        $set: {
+          status: 'failed',
+          message,
+          finishedAt: now,
+          durationMs: { $subtract: [now, '$startedAt'] },
+          errorMessages: [message]
+        }
+      }]
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`Marked ${result.modifiedCount} unfinished scrape runs as failed`);
+    }
+    return result.modifiedCount;
+  } catch (error) {
+    console.error('Error failing unfinished scrape runs:', error.message);
+    return 0;
+  }
+};
+
+scrapeRunSchema.statics.TRIGGERS = TRIGGERS;
+scrapeRunSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('ScrapeRun', scrapeRunSchema);
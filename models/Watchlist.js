@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Most symbols a watchlist may hold
+const MAX_SYMBOLS = 200;
+
+// Watchlist schema: a named list of symbols belonging to one API key
+const watchlistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // API key that owns the watchlist (null for the bootstrap admin key)
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  symbols: {
+    type: [{
+      type: String,
+      trim: true,
+      uppercase: true
+    }],
+    validate: {
+      validator: symbols => symbols.length <= MAX_SYMBOLS,
+      message: `A watchlist holds at most ${MAX_SYMBOLS} symbols`
+    }
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index for better query performance
+watchlistSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Drop empty and repeated symbols, keeping the order they were added in
+watchlistSchema.pre('validate', function(next) {
+  if (this.isModified('symbols')) {
+    this.symbols = [...new Set(this.symbols.filter(Boolean))];
+  }
+  next();
+});
+
+// Static method to find a watchlist by ID, only if it belongs to an owner
+watchlistSchema.statics.findOwned = function(id, owner) {
+  if (!mongoose.isValidObjectId(id)) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ _id: id, owner }).select('-__v');
+};
+
+module.exports = mongoose.model('Watchlist', watchlistSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Webhook schema for registered event receivers
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^https?:\/\/.+/i, 'URL must start with http:// or https://']
+  },
+  // Shared secret used to sign payloads (HMAC-SHA256)
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Event names to deliver, or '*' for every event
+  events: {
+    type: [String],
+    default: ['*']
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index for better query performance
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// Static method to get active webhooks subscribed to an event
+webhookSchema.statics.getSubscribers = function(event) {
+  return this.find({
+    isActive: true,
+    events: { $in: [event, '*'] }
+  }).select('+secret');
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Webhook delivery schema for the delivery log and retry queue
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Stable id shared by the original delivery and its replays, sent to receivers for idempotency
+  eventId: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: String,
+    default: ''
+  },
+  lastError: {
+    type: String,
+    default: ''
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index for better query performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+// Static method to get deliveries due for a (re)try
+webhookDeliverySchema.statics.getDueDeliveries = function(limit = 50) {
+  return this.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  })
+  .sort({ nextAttemptAt: 1 })
+  .limit(limit);
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,71 @@
+/**
+ * Article data repository interface
+ * The articles router only talks to this interface, so the MongoDB and in-memory
+ * implementations serve identical filtering, sorting and pagination semantics.
+ * Methods returning articles resolve to Article documents (saved or not)
+ */
+class ArticleRepository {
+  /**
+   * List active articles
+   * @param {Object} options - { page, limit, search, sortBy, sortOrder (1 or -1) }
+   * @returns {Promise<Object>} { items, total }
+   */
+  async list(options) {
+    throw new Error(`${this.constructor.name} must implement list()`);
+  }
+
+  /**
+   * Get articles scraped in the last hours, newest first
+   * @param {Object} options - { limit, hours }
+   * @returns {Promise<Array>} Articles
+   */
+  async getRecent(options) {
+    throw new Error(`${this.constructor.name} must implement getRecent()`);
+  }
+
+  /**
+   * Get the highest scoring articles scraped in the last days
+   * @param {Object} options - { limit, days }
+   * @returns {Promise<Array>} Articles
+   */
+  async getTop(options) {
+    throw new Error(`${this.constructor.name} must implement getTop()`);
+  }
+
+  /**
+   * Find an article by id
+   * @param {string} id - Article id
+   * @returns {Promise<Object|null>} Article, or null if missing or not a valid id
+   */
+  async findById(id) {
+    throw new Error(`${this.constructor.name} must implement findById()`);
+  }
+
+  /**
+   * Get summary statistics
+   * @returns {Promise<Object>} { totalArticles, todayArticles, lastScrape, averageScore }
+   */
+  async getStats() {
+    throw new Error(`${this.constructor.name} must implement getStats()`);
+  }
+
+  /**
+   * Soft delete an article
+   * @param {string} id - Article id
+   * @returns {Promise<Object|null>} Deactivated article
+   */
+  async deactivate(id) {
+    throw new Error(`${this.constructor.name} must implement deactivate()`);
+  }
+
+  /**
+   * Refresh the stored data
+   * @param {Object} options - { trigger: 'cron', 'manual' or 'api' } recorded with the run
+   * @returns {Promise<Object>} { success, message, result }
+   */
+  async scrape(options) {
+    throw new Error(`${this.constructor.name} must implement scrape()`);
+  }
+}
+
+module.exports = ArticleRepository;
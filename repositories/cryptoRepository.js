@@ -0,0 +1,144 @@
+/**
+ * Crypto data repository interface
+ * The crypto router only talks to this interface, so the MongoDB and in-memory
+ * implementations serve identical filtering, sorting and pagination semantics.
+ * Methods returning coins resolve to Crypto documents (saved or not)
+ */
+class CryptoRepository {
+  /**
+   * Find the market snapshot a list request should be served from
+   * @param {Object} options - { version, at } (neither: the latest complete snapshot)
+   * @returns {Promise<Object|null>} { version, status, startedAt, completedAt, latest },
+   * or null if there is no such snapshot (or the repository keeps none)
+   */
+  async resolveSnapshot(options) {
+    throw new Error(`${this.constructor.name} must implement resolveSnapshot()`);
+  }
+
+  /**
+   * List active coins, or the coins of a snapshot
+   * @param {Object} options - { page, limit, search, sortBy, sortOrder (1 or -1), snapshot, symbols }
+   * where symbols optionally restricts the list to some upper-case tickers
+   * @returns {Promise<Object>} { items, total }
+   */
+  async list(options) {
+    throw new Error(`${this.constructor.name} must implement list()`);
+  }
+
+  /**
+   * Get the best-ranked active coins, or the best-ranked coins of a snapshot
+   * @param {number} limit - Number of coins
+   * @param {Object} snapshot - Optional snapshot from resolveSnapshot()
+   * @returns {Promise<Array>} Coins ordered by rank
+   */
+  async getTop(limit, snapshot) {
+    throw new Error(`${this.constructor.name} must implement getTop()`);
+  }
+
+  /**
+   * Get the latest active coins, or the coins of a snapshot
+   * @param {number} limit - Number of coins
+   * @param {Object} snapshot - Optional snapshot from resolveSnapshot()
+   * @param {Array<string>} symbols - Optional upper-case tickers to restrict the coins to
+   * @returns {Promise<Array>} Coins ordered by rank, newest first within a rank
+   */
+  async getLatest(limit, snapshot, symbols) {
+    throw new Error(`${this.constructor.name} must implement getLatest()`);
+  }
+
+  /**
+   * Get the latest snapshot of every coin, one per symbol and asset
+   * @param {Array<string>} symbols - Optional symbols to limit to
+   * @returns {Promise<Array>} Plain snapshot objects ordered by rank
+   */
+  async getLatestSnapshots(symbols) {
+    throw new Error(`${this.constructor.name} must implement getLatestSnapshots()`);
+  }
+
+  /**
+   * Find a coin by id
+   * @param {string} id - Coin id
+   * @returns {Promise<Object|null>} Coin, or null if missing or not a valid id
+   */
+  async findById(id) {
+    throw new Error(`${this.constructor.name} must implement findById()`);
+  }
+
+  /**
+   * Find the latest active coin trading under a symbol
+   * @param {string} symbol - Upper-case symbol
+   * @param {string} asset - Optional registry asset id
+   * @returns {Promise<Object|null>} Coin
+   */
+  async findBySymbol(symbol, asset) {
+    throw new Error(`${this.constructor.name} must implement findBySymbol()`);
+  }
+
+  /**
+   * Resolve an asset reference to a registry asset id
+   * @param {string} reference - Asset id or provider coin id
+   * @returns {Promise<Object|null>} Asset id, or null if unknown
+   */
+  async findAsset(reference) {
+    throw new Error(`${this.constructor.name} must implement findAsset()`);
+  }
+
+  /**
+   * List the distinct assets trading under a symbol
+   * @param {string} symbol - Symbol
+   * @returns {Promise<Array>} Candidates { asset, coinId, name, symbol, rank, price, marketCap, image, timestamp }
+   */
+  async getSymbolCandidates(symbol) {
+    throw new Error(`${this.constructor.name} must implement getSymbolCandidates()`);
+  }
+
+  /**
+   * Get price history for a symbol
+   * @param {string} symbol - Symbol
+   * @param {Object} options - { from, to, interval, limit, currency, asset }
+   * @returns {Promise<Array>} Points { timestamp, price, marketCap, volume24h, samples }
+   */
+  async getHistory(symbol, options) {
+    throw new Error(`${this.constructor.name} must implement getHistory()`);
+  }
+
+  /**
+   * Get OHLCV candles for a symbol
+   * @param {string} symbol - Symbol
+   * @param {string} resolution - Candle resolution
+   * @param {Object} options - { from, to, limit, currency, asset }
+   * @returns {Promise<Array>} Candles ordered by open time
+   */
+  async getCandles(symbol, resolution, options) {
+    throw new Error(`${this.constructor.name} must implement getCandles()`);
+  }
+
+  /**
+   * Get summary statistics
+   * @param {string} currency - Quote currency for the top coin price
+   * @returns {Promise<Object>} { totalCrypto, todayCrypto, lastScrape, currency, topCrypto }
+   */
+  async getStats(currency) {
+    throw new Error(`${this.constructor.name} must implement getStats()`);
+  }
+
+  /**
+   * Soft delete a coin
+   * @param {string} id - Coin id
+   * @returns {Promise<Object|null>} Deactivated coin
+   */
+  async deactivate(id) {
+    throw new Error(`${this.constructor.name} must implement deactivate()`);
+  }
+
+  /**
+   * Refresh the stored data
+   * @param {Object} options - { trigger: 'cron', 'manual' or 'api' } recorded with the run
+   * @returns {Promise<Object>} { success, message, result }
+   */
+  async scrape(options) {
+    throw new Error(`${this.constructor.name} must implement scrape()`);
+  }
+}
+
+module.exports = CryptoRepository;
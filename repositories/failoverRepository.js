@@ -0,0 +1,49 @@
+/**
+ * Repository that reads MongoDB while it is reachable and the last on-disk
+ * snapshot while it is not. Every method of the wrapped interface is forwarded
+ * to whichever side is current, so routers never notice the switch
+ */
+class FailoverRepository {
+  /**
+   * @param {Function} Repository - Repository interface class whose methods are forwarded
+   * @param {Object} options - Failover options
+   * @param {Object} options.primary - MongoDB repository
+   * @param {Function} options.createFallback - Builds an in-memory repository from a snapshot (or null)
+   * @param {DatabaseMonitor} options.databaseMonitor - Tells whether MongoDB is reachable
+   * @param {SnapshotStore} options.snapshotStore - Holds the last snapshot
+   */
+  constructor(Repository, options) {
+    this.primary = options.primary;
+    this.createFallback = options.createFallback;
+    this.databaseMonitor = options.databaseMonitor;
+    this.snapshotStore = options.snapshotStore;
+    this.fallback = null;
+    this.fallbackSnapshot = undefined;
+
+    Object.getOwnPropertyNames(Repository.prototype)
+      .filter(name => name !== 'constructor')
+      .forEach(name => {
+        this[name] = (...args) => this.current()[name](...args);
+      });
+  }
+
+  /**
+   * Pick the repository to read from, rebuilding the fallback when the snapshot changes
+   * @returns {Object} MongoDB repository when live, snapshot repository when degraded
+   */
+  current() {
+    if (this.databaseMonitor.isLive()) {
+      return this.primary;
+    }
+
+    const snapshot = this.snapshotStore.snapshot;
+    if (!this.fallback || this.fallbackSnapshot !== snapshot) {
+      this.fallback = this.createFallback(snapshot);
+      this.fallbackSnapshot = snapshot;
+    }
+
+    return this.fallback;
+  }
+}
+
+module.exports = FailoverRepository;
@@ -0,0 +1,59 @@
+const MongoCryptoRepository = require('./mongoCryptoRepository');
+const MemoryCryptoRepository = require('./memoryCryptoRepository');
+const MongoArticleRepository = require('./mongoArticleRepository');
+const MemoryArticleRepository = require('./memoryArticleRepository');
+const CryptoRepository = require('./cryptoRepository');
+const ArticleRepository = require('./articleRepository');
+const FailoverRepository = require('./failoverRepository');
+
+/**
+ * Create the repositories for a server mode
+ * Demo mode keeps sample data in memory; every other mode reads MongoDB
+ * @param {string} mode - Server mode (live, fixture or demo)
+ * @returns {Object} { crypto, articles }
+ */
+const createRepositories = (mode) => {
+  if (mode === 'demo') {
+    return {
+      crypto: new MemoryCryptoRepository(),
+      articles: new MemoryArticleRepository()
+    };
+  }
+
+  return {
+    crypto: new MongoCryptoRepository(),
+    articles: new MongoArticleRepository()
+  };
+};
+
+/**
+ * Wrap MongoDB repositories so reads fall back to the last on-disk snapshot
+ * while the database is unavailable
+ * @param {Object} primary - { crypto, articles } MongoDB repositories
+ * @param {Object} options - { databaseMonitor, snapshotStore }
+ * @returns {Object} { crypto, articles }
+ */
+const createFailoverRepositories = (primary, { databaseMonitor, snapshotStore }) => ({
+  crypto: new FailoverRepository(CryptoRepository, {
+    primary: primary.crypto,
+    createFallback: snapshot => new MemoryCryptoRepository(snapshot ? snapshot.cryptos : []),
+    databaseMonitor,
+    snapshotStore
+  }),
+  articles: new FailoverRepository(ArticleRepository, {
+    primary: primary.articles,
+    createFallback: snapshot => new MemoryArticleRepository(snapshot ? snapshot.articles : []),
+    databaseMonitor,
+    snapshotStore
+  })
+});
+
+module.exports = {
+  createRepositories,
+  createFailoverRepositories,
+  MongoCryptoRepository,
+  MemoryCryptoRepository,
+  MongoArticleRepository,
+  MemoryArticleRepository,
+  FailoverRepository
+};
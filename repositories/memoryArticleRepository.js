@@ -0,0 +1,90 @@
+const Article = require('../models/Article');
+const ArticleRepository = require('./articleRepository');
+const { sampleArticles } = require('./sampleData');
+const { matchesSearch, sortDocs, paginate, sampleId } = require('./memoryQuery');
+
+/**
+ * Article repository held in memory (demo mode)
+ * Articles are unsaved Article documents, so they serialize exactly like stored ones
+ */
+class MemoryArticleRepository extends ArticleRepository {
+  /**
+   * @param {Array} articles - Initial articles (defaults to the sample data)
+   */
+  constructor(articles = sampleArticles) {
+    super();
+    this.articles = articles.map((article, index) => new Article({ _id: sampleId(index), ...article }));
+  }
+
+  /**
+   * Get the active articles
+   * @returns {Array<Document>} Active articles
+   */
+  getActive() {
+    return this.articles.filter(article => article.isActive);
+  }
+
+  async list({ page, limit, search, sortBy, sortOrder }) {
+    const matches = this.getActive().filter(article => matchesSearch(article, ['title', 'author'], search));
+    const items = paginate(sortDocs(matches, { [sortBy]: sortOrder }), page, limit);
+
+    return { items, total: matches.length };
+  }
+
+  async getRecent({ limit, hours }) {
+    const cutoffDate = new Date();
+    cutoffDate.setHours(cutoffDate.getHours() - hours);
+
+    const recent = this.getActive().filter(article => article.scrapedAt >= cutoffDate);
+    return sortDocs(recent, { scrapedAt: -1 }).slice(0, limit);
+  }
+
+  async getTop({ limit, days }) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+
+    const top = this.getActive().filter(article => article.scrapedAt >= cutoffDate && article.score > 0);
+    return sortDocs(top, { score: -1, scrapedAt: -1 }).slice(0, limit);
+  }
+
+  async findById(id) {
+    return this.articles.find(article => article._id.toString() === String(id)) || null;
+  }
+
+  async getStats() {
+    const active = this.getActive();
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const lastScrape = sortDocs(active, { scrapedAt: -1 })[0];
+    const scored = active.filter(article => article.score > 0);
+    const avgScore = scored.length > 0
+      ? scored.reduce((sum, article) => sum + article.score, 0) / scored.length
+      : 0;
+
+    return {
+      totalArticles: active.length,
+      todayArticles: active.filter(article => article.scrapedAt >= today).length,
+      lastScrape: lastScrape ? lastScrape.scrapedAt : null,
+      averageScore: Math.round(avgScore)
+    };
+  }
+
+  async deactivate(id) {
+    const article = await this.findById(id);
+    if (article) {
+      article.isActive = false;
+    }
+    return article;
+  }
+
+  async scrape() {
+    return {
+      success: true,
+      message: 'In-memory data is static, nothing was scraped',
+      result: { saved: 0, updated: 0, skipped: 0, total: 0 }
+    };
+  }
+}
+
+module.exports = MemoryArticleRepository;
@@ -0,0 +1,237 @@
+const Crypto = require('../models/Crypto');
+const CryptoRepository = require('./cryptoRepository');
+const { sampleCryptos } = require('./sampleData');
+const { INTERVALS, CANDLE_RESOLUTIONS, floorDate } = require('../utils/timeBuckets');
+const { matchesSearch, sortDocs, paginate, sampleId } = require('./memoryQuery');
+
+/**
+ * Crypto repository held in memory (demo mode)
+ * Coins are unsaved Crypto documents, so they serialize exactly like stored ones
+ */
+class MemoryCryptoRepository extends CryptoRepository {
+  /**
+   * @param {Array} cryptos - Initial coin data (defaults to the sample data)
+   */
+  constructor(cryptos = sampleCryptos) {
+    super();
+    this.cryptos = cryptos.map((crypto, index) => new Crypto({ _id: sampleId(index), ...crypto }));
+  }
+
+  /**
+   * Get the active coins
+   * @returns {Array<Document>} Active coins
+   */
+  getActive() {
+    return this.cryptos.filter(crypto => crypto.isActive);
+  }
+
+  // Sample and fallback data are a single unversioned market state
+  async resolveSnapshot() {
+    return null;
+  }
+
+  async list({ page, limit, search, sortBy, sortOrder, symbols = null }) {
+    const matches = this.getActive().filter(crypto =>
+      matchesSearch(crypto, ['name', 'symbol'], search) && (!symbols || symbols.includes(crypto.symbol)));
+    const items = paginate(sortDocs(matches, { [sortBy]: sortOrder }), page, limit);
+
+    return { items, total: matches.length };
+  }
+
+  async getTop(limit = 10) {
+    return sortDocs(this.getActive(), { rank: 1 }).slice(0, limit);
+  }
+
+  async getLatest(limit = 50, snapshot = null, symbols = null) {
+    const matches = this.getActive().filter(crypto => !symbols || symbols.includes(crypto.symbol));
+    return sortDocs(matches, { rank: 1, timestamp: -1 }).slice(0, limit);
+  }
+
+  async getLatestSnapshots(symbols = null) {
+    const latest = new Map();
+
+    sortDocs(this.getActive(), { timestamp: -1 }).forEach(crypto => {
+      const key = `${crypto.symbol}:${crypto.asset}`;
+      if ((!symbols || symbols.includes(crypto.symbol)) && !latest.has(key)) {
+        latest.set(key, crypto);
+      }
+    });
+
+    return sortDocs(Array.from(latest.values()), { rank: 1 })
+      .map(crypto => crypto.toObject({ flattenMaps: true }));
+  }
+
+  async findById(id) {
+    return this.cryptos.find(crypto => crypto._id.toString() === String(id)) || null;
+  }
+
+  async findBySymbol(symbol, asset = null) {
+    const matches = this.getActive().filter(crypto =>
+      crypto.symbol === symbol.toUpperCase() &&
+      (!asset || String(crypto.asset) === String(asset))
+    );
+
+    return sortDocs(matches, { timestamp: -1 })[0] || null;
+  }
+
+  async findAsset(reference) {
+    const match = this.cryptos.find(crypto =>
+      crypto.asset && (String(crypto.asset) === String(reference) || crypto.coinId === reference)
+    );
+
+    return match ? match.asset : null;
+  }
+
+  async getSymbolCandidates(symbol) {
+    const byAsset = new Map();
+
+    sortDocs(this.getActive(), { timestamp: -1 })
+      .filter(crypto => crypto.symbol === symbol.toUpperCase())
+      .forEach(crypto => {
+        const key = String(crypto.asset);
+        if (!byAsset.has(key)) {
+          byAsset.set(key, {
+            asset: crypto.asset,
+            coinId: crypto.coinId,
+            name: crypto.name,
+            symbol: crypto.symbol,
+            rank: crypto.rank,
+            price: crypto.price,
+            marketCap: crypto.marketCap,
+            image: crypto.image,
+            timestamp: crypto.timestamp
+          });
+        }
+      });
+
+    return Array.from(byAsset.values()).sort((a, b) => b.marketCap - a.marketCap);
+  }
+
+  /**
+   * Get the snapshots of a symbol inside a range, oldest first, that are quoted in a currency
+   * Inactive rows are included because they are still valid historical snapshots
+   * @param {string} symbol - Symbol
+   * @param {Object} options - { from, to, currency, asset }
+   * @returns {Array<Object>} { timestamp, quote } pairs
+   */
+  getQuotedSnapshots(symbol, { from, to, currency = Crypto.BASE_CURRENCY, asset = null }) {
+    return sortDocs(this.cryptos, { timestamp: 1 })
+      .filter(crypto =>
+        crypto.symbol === symbol.toUpperCase() &&
+        (!asset || String(crypto.asset) === String(asset)) &&
+        crypto.timestamp >= from && crypto.timestamp <= to
+      )
+      .map(crypto => ({ timestamp: crypto.timestamp, quote: crypto.getQuote(currency) }))
+      .filter(snapshot => snapshot.quote);
+  }
+
+  async getHistory(symbol, { from, to, interval = 'raw', limit = 1000, currency = Crypto.BASE_CURRENCY, asset = null } = {}) {
+    const snapshots = this.getQuotedSnapshots(symbol, { from, to, currency, asset });
+
+    if (interval === 'raw') {
+      return snapshots.slice(-limit).map(({ timestamp, quote }) => ({
+        timestamp,
+        price: quote.price,
+        marketCap: quote.marketCap,
+        volume24h: quote.volume24h,
+        samples: 1
+      }));
+    }
+
+    // Each bucket reports the last snapshot observed inside it
+    const buckets = new Map();
+    snapshots.forEach(({ timestamp, quote }) => {
+      const bucket = floorDate(timestamp, INTERVALS[interval]).getTime();
+      const samples = buckets.has(bucket) ? buckets.get(bucket).samples + 1 : 1;
+      buckets.set(bucket, {
+        timestamp: new Date(bucket),
+        price: quote.price,
+        marketCap: quote.marketCap,
+        volume24h: quote.volume24h,
+        samples
+      });
+    });
+
+    return Array.from(buckets.values()).slice(-limit);
+  }
+
+  async getCandles(symbol, resolution, { from, to, limit = 500, currency = Crypto.BASE_CURRENCY, asset = null } = {}) {
+    const bucketMs = CANDLE_RESOLUTIONS[resolution];
+    const now = Date.now();
+    const candles = new Map();
+
+    // Built on the fly from the stored snapshots, as the candle job would
+    this.getQuotedSnapshots(symbol, { from: new Date(0), to: new Date(now), currency, asset })
+      .forEach(({ timestamp, quote }) => {
+        const openTime = floorDate(timestamp, bucketMs);
+        if (openTime < from || openTime > to) {
+          return;
+        }
+
+        const candle = candles.get(openTime.getTime());
+        if (candle) {
+          candle.high = Math.max(candle.high, quote.price);
+          candle.low = Math.min(candle.low, quote.price);
+          candle.close = quote.price;
+          candle.volume = quote.volume24h;
+          candle.samples++;
+          return;
+        }
+
+        const closeTime = new Date(openTime.getTime() + bucketMs);
+        candles.set(openTime.getTime(), {
+          symbol: symbol.toUpperCase(),
+          asset: asset || null,
+          currency,
+          resolution,
+          openTime,
+          closeTime,
+          open: quote.price,
+          high: quote.price,
+          low: quote.price,
+          close: quote.price,
+          volume: quote.volume24h,
+          samples: 1,
+          isClosed: closeTime.getTime() <= now
+        });
+      });
+
+    return Array.from(candles.values()).slice(-limit);
+  }
+
+  async getStats(currency = Crypto.BASE_CURRENCY) {
+    const active = this.getActive();
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const lastScrape = sortDocs(active, { timestamp: -1 })[0];
+    const topCrypto = sortDocs(active, { rank: 1 })[0];
+    const topQuote = topCrypto ? topCrypto.getQuote(currency) : null;
+
+    return {
+      totalCrypto: active.length,
+      todayCrypto: active.filter(crypto => crypto.timestamp >= today).length,
+      lastScrape: lastScrape ? lastScrape.timestamp : null,
+      currency,
+      topCrypto: topCrypto ? { name: topCrypto.name, price: topQuote ? topQuote.price : null } : null
+    };
+  }
+
+  async deactivate(id) {
+    const crypto = await this.findById(id);
+    if (crypto) {
+      crypto.isActive = false;
+    }
+    return crypto;
+  }
+
+  async scrape() {
+    return {
+      success: true,
+      message: 'In-memory data is static, nothing was scraped',
+      result: { saved: 0, updated: 0, skipped: 0, total: 0 }
+    };
+  }
+}
+
+module.exports = MemoryCryptoRepository;
@@ -0,0 +1,91 @@
+/**
+ * Query helpers for the in-memory repositories
+ * They mirror the MongoDB behaviour the Mongo repositories rely on: case-insensitive
+ * $regex search, multi-key sorts with missing values first, and skip/limit paging
+ */
+
+/**
+ * Order two field values the way MongoDB sorts them (missing values first)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+const compareValues = (a, b) => {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+
+  if (aMissing || bMissing) {
+    return aMissing === bMissing ? 0 : (aMissing ? -1 : 1);
+  }
+
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+
+  if (left < right) {
+    return -1;
+  }
+  return left > right ? 1 : 0;
+};
+
+/**
+ * Check whether any of a document's fields matches a search pattern
+ * @param {Document} doc - Document
+ * @param {Array<string>} fields - Fields to search
+ * @param {string} search - Regular expression source, matched case-insensitively
+ * @returns {boolean} True if any field matches
+ */
+const matchesSearch = (doc, fields, search) => {
+  if (!search) {
+    return true;
+  }
+
+  const pattern = new RegExp(search, 'i');
+  return fields.some(field => pattern.test(String(doc.get(field) ?? '')));
+};
+
+/**
+ * Sort documents by a MongoDB-style sort spec
+ * @param {Array<Document>} docs - Documents
+ * @param {Object} sort - Sort spec, e.g. { rank: 1, timestamp: -1 }
+ * @returns {Array<Document>} New sorted array
+ */
+const sortDocs = (docs, sort) => {
+  const keys = Object.entries(sort);
+
+  return [...docs].sort((a, b) => {
+    for (const [field, order] of keys) {
+      const result = compareValues(a.get(field), b.get(field));
+      if (result !== 0) {
+        return result * order;
+      }
+    }
+    return 0;
+  });
+};
+
+/**
+ * Apply skip/limit paging
+ * @param {Array} items - Sorted items
+ * @param {number} page - 1-based page
+ * @param {number} limit - Page size
+ * @returns {Array} Items on the page
+ */
+const paginate = (items, page, limit) => {
+  const skip = (page - 1) * limit;
+  return items.slice(skip, skip + limit);
+};
+
+/**
+ * Build a stable ObjectId for the nth sample document
+ * @param {number} index - 0-based index
+ * @returns {string} 24-character hex id
+ */
+const sampleId = index => (index + 1).toString(16).padStart(24, '0');
+
+module.exports = {
+  compareValues,
+  matchesSearch,
+  sortDocs,
+  paginate,
+  sampleId
+};
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const WebScraper = require('../services/scraper');
+const ArticleRepository = require('./articleRepository');
+
+/**
+ * Article repository backed by MongoDB
+ */
+class MongoArticleRepository extends ArticleRepository {
+  /**
+   * @param {Object} options - Repository options
+   * @param {WebScraper} options.scraper - Scraper used by scrape()
+   */
+  constructor(options = {}) {
+    super();
+    this.scraper = options.scraper || new WebScraper();
+  }
+
+  async list({ page, limit, search, sortBy, sortOrder }) {
+    const query = { isActive: true };
+
+    if (search) {
+      query.$or = [
+        { title: { $regex: search, $options: 'i' } },
+        { author: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const [items, total] = await Promise.all([
+      Article.find(query)
+        .sort({ [sortBy]: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v'),
+      Article.countDocuments(query)
+    ]);
+
+    return { items, total };
+  }
+
+  async getRecent({ limit, hours }) {
+    const cutoffDate = new Date();
+    cutoffDate.setHours(cutoffDate.getHours() - hours);
+
+    return Article.find({
+      isActive: true,
+      scrapedAt: { $gte: cutoffDate }
+    })
+    .sort({ scrapedAt: -1 })
+    .limit(limit)
+    .select('-__v');
+  }
+
+  async getTop({ limit, days }) {
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - days);
+
+    return Article.find({
+      isActive: true,
+      scrapedAt: { $gte: cutoffDate },
+      score: { $gt: 0 }
+    })
+    .sort({ score: -1, scrapedAt: -1 })
+    .limit(limit)
+    .select('-__v');
+  }
+
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return Article.findById(id).select('-__v');
+  }
+
+  async getStats() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const [totalArticles, todayArticles, lastScrape, avgScore] = await Promise.all([
+      Article.countDocuments({ isActive: true }),
+      Article.countDocuments({
+        isActive: true,
+        scrapedAt: { $gte: today }
+      }),
+      Article.findOne({ isActive: true })
+        .sort({ scrapedAt: -1 })
+        .select('scrapedAt'),
+      Article.aggregate([
+        { $match: { isActive: true, score: { $gt: 0 } } },
+        { $group: { _id: null, avgScore: { $avg: '$score' } } }
+      ])
+    ]);
+
+    return {
+      totalArticles,
+      todayArticles,
+      lastScrape: lastScrape ? lastScrape.scrapedAt : null,
+      averageScore: avgScore.length > 0 ? Math.round(avgScore[0].avgScore) : 0
+    };
+  }
+
+  async deactivate(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return Article.findByIdAndUpdate(id, { isActive: false }, { new: true });
+  }
+
+  async scrape(options) {
+    return this.scraper.performScraping(options);
+  }
+}
+
+module.exports = MongoArticleRepository;
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Crypto = require('../models/Crypto');
+const Asset = require('../models/Asset');
+const Candle = require('../models/Candle');
+const CryptoRollup = require('../models/CryptoRollup');
+const CrawlState = require('../models/CrawlState');
+const CryptoScraper = require('../services/cryptoScraper');
+const CryptoRepository = require('./cryptoRepository');
+
+/**
+ * Build the query selecting the coins of a snapshot. The latest snapshot hides
+ * deactivated rows; past snapshots show the market exactly as it was
+ * @param {Object|null} snapshot - Snapshot from resolveSnapshot(), or null for active rows
+ * @returns {Object} Crypto query
+ */
+const snapshotQuery = (snapshot) => {
+  if (!snapshot) {
+    return { isActive: true };
+  }
+  return snapshot.latest ? { snapshot: snapshot.version, isActive: true } : { snapshot: snapshot.version };
+};
+
+/**
+ * Crypto repository backed by MongoDB
+ */
+class MongoCryptoRepository extends CryptoRepository {
+  /**
+   * @param {Object} options - Repository options
+   * @param {CryptoScraper} options.scraper - Scraper used by scrape() and getStats()
+   */
+  constructor(options = {}) {
+    super();
+    this.scraper = options.scraper || new CryptoScraper();
+  }
+
+  async resolveSnapshot({ version, at } = {}) {
+    const [state, latest] = await Promise.all([
+      CrawlState.findSnapshot({ version, at }),
+      version === undefined && !at ? null : CrawlState.findSnapshot()
+    ]);
+
+    if (!state) {
+      return null;
+    }
+
+    return {
+      version: state.version,
+      status: state.status,
+      startedAt: state.startedAt,
+      completedAt: state.completedAt,
+      latest: !latest || latest.version === state.version
+    };
+  }
+
+  async list({ page, limit, search, sortBy, sortOrder, snapshot = null, symbols = null }) {
+    const query = snapshotQuery(snapshot);
+
+    if (symbols) {
+      query.symbol = { $in: symbols };
+    }
+
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { symbol: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const [items, total] = await Promise.all([
+      Crypto.find(query)
+        .sort({ [sortBy]: sortOrder })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v'),
+      Crypto.countDocuments(query)
+    ]);
+
+    return { items, total };
+  }
+
+  async getTop(limit, snapshot = null) {
+    return Crypto.getTopCrypto(limit, snapshotQuery(snapshot));
+  }
+
+  async getLatest(limit, snapshot = null, symbols = null) {
+    const query = snapshotQuery(snapshot);
+
+    if (symbols) {
+      query.symbol = { $in: symbols };
+    }
+
+    return Crypto.getLatestPrices(limit, query);
+  }
+
+  async getLatestSnapshots(symbols = null) {
+    return Crypto.getLatestSnapshots(symbols);
+  }
+
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return Crypto.findById(id).select('-__v');
+  }
+
+  async findBySymbol(symbol, asset = null) {
+    return Crypto.getBySymbol(symbol, asset);
+  }
+
+  async findAsset(reference) {
+    const asset = mongoose.isValidObjectId(reference)
+      ? await Asset.findById(reference)
+      : await Asset.findOne({ 'providerIds.id': reference });
+
+    return asset ? asset._id : null;
+  }
+
+  async getSymbolCandidates(symbol) {
+    return Crypto.getSymbolCandidates(symbol);
+  }
+
+  async getHistory(symbol, options) {
+    const limit = options.limit || 1000;
+    const points = await Crypto.getHistory(symbol, { ...options, limit });
+    if (points.length >= limit) {
+      return points;
+    }
+
+    // Snapshots past the raw retention tier only survive as rollups, so older points come from
+    // those. One extra rollup covers a bucket shared with the first raw point
+    const firstRaw = points.length > 0 ? points[0].timestamp : null;
+    const rollups = await CryptoRollup.getHistory(symbol, {
+      ...options,
+      ...(firstRaw && { to: firstRaw }),
+      limit: limit - points.length + 1
+    });
+    const older = firstRaw ? rollups.filter(point => point.timestamp < firstRaw) : rollups;
+
+    return [...older, ...points].slice(-limit);
+  }
+
+  async getCandles(symbol, resolution, options) {
+    return Candle.getCandles(symbol, resolution, options);
+  }
+
+  async getStats(currency) {
+    return this.scraper.getStats(currency);
+  }
+
+  async deactivate(id) {
+    if (!mongoose.isValidObjectId(id)) {
+      return null;
+    }
+    return Crypto.findByIdAndUpdate(id, { isActive: false }, { new: true });
+  }
+
+  async scrape(options) {
+    return this.scraper.performScraping(options);
+  }
+}
+
+module.exports = MongoCryptoRepository;
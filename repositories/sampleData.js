@@ -0,0 +1,214 @@
+// Sample data served by the in-memory repositories in demo mode
+
+const config = require('../config');
+
+// Sample exchange rates from USD, used to quote the sample coins in the configured quote
+// currencies the way live scrapes do. Crypto rates follow the sample BTC and ETH prices
+const SAMPLE_USD_RATES = {
+  usd: 1,
+  eur: 0.92,
+  gbp: 0.79,
+  inr: 83.2,
+  jpy: 149.5,
+  btc: 1 / 43250.50,
+  eth: 1 / 2650.75
+};
+
+/**
+ * Quote a sample coin in every configured quote currency that has a sample rate
+ * @param {Object} crypto - Sample coin with USD figures
+ * @returns {Object} Quotes keyed by currency code
+ */
+const sampleQuotes = (crypto) => config.QUOTE_CURRENCIES
+  .filter(currency => SAMPLE_USD_RATES[currency] !== undefined)
+  .reduce((quotes, currency) => {
+    const rate = SAMPLE_USD_RATES[currency];
+    quotes[currency] = {
+      price: crypto.price * rate,
+      marketCap: crypto.marketCap * rate,
+      volume24h: crypto.volume24h * rate,
+      change24h: crypto.change24h
+    };
+    return quotes;
+  }, {});
+
+const sampleCryptos = [
+  {
+    name: 'Bitcoin',
+    symbol: 'BTC',
+    price: 43250.50,
+    marketCap: 847500000000,
+    change24h: 2.45,
+    volume24h: 28500000000,
+    rank: 1,
+    image: 'https://assets.coingecko.com/coins/images/1/large/bitcoin.png',
+    timestamp: new Date(),
+    isActive: true
+  },
+  {
+    name: 'Ethereum',
+    symbol: 'ETH',
+    price: 2650.75,
+    marketCap: 318000000000,
+    change24h: -1.25,
+    volume24h: 15200000000,
+    rank: 2,
+    image: 'https://assets.coingecko.com/coins/images/279/large/ethereum.png',
+    timestamp: new Date(),
+    isActive: true
+  },
+  {
+    name: 'Binance Coin',
+    symbol: 'BNB',
+    price: 315.80,
+    marketCap: 47500000000,
+    change24h: 0.85,
+    volume24h: 1200000000,
+    rank: 3,
+    image: 'https://assets.coingecko.com/coins/images/825/large/bnb-icon2_2x.png',
+    timestamp: new Date(),
+    isActive: true
+  },
+  {
+    name: 'Cardano',
+    symbol: 'ADA',
+    price: 0.485,
+    marketCap: 17200000000,
+    change24h: 3.20,
+    volume24h: 850000000,
+    rank: 4,
+    image: 'https://assets.coingecko.com/coins/images/975/large/cardano.png',
+    timestamp: new Date(),
+    isActive: true
+  },
+  {
+    name: 'Solana',
+    symbol: 'SOL',
+    price: 98.45,
+    marketCap: 42000000000,
+    change24h: -2.15,
+    volume24h: 2100000000,
+    rank: 5,
+    image: 'https://assets.coingecko.com/coins/images/4128/large/solana.png',
+    timestamp: new Date(),
+    isActive: true
+  },
+  {
+    name: 'XRP',
+    symbol: 'XRP',
+    price: 0.625,
+    marketCap: 35000000000,
+    change24h: 1.85,
+    volume24h: 1800000000,
+    rank: 6,
+    image: 'https://assets.coingecko.com/coins/images/44/large/xrp-symbol-white-128.png',
+    timestamp: new Date(),
+    isActive: true
+  },
+  {
+    name: 'Polkadot',
+    symbol: 'DOT',
+    price: 7.25,
+    marketCap: 8500000000,
+    change24h: -0.95,
+    volume24h: 450000000,
+    rank: 7,
+    image: 'https://assets.coingecko.com/coins/images/12171/large/polkadot.png',
+    timestamp: new Date(),
+    isActive: true
+  },
+  {
+    name: 'Dogecoin',
+    symbol: 'DOGE',
+    price: 0.085,
+    marketCap: 12000000000,
+    change24h: 5.75,
+    volume24h: 950000000,
+    rank: 8,
+    image: 'https://assets.coingecko.com/coins/images/5/large/dogecoin.png',
+    timestamp: new Date(),
+    isActive: true
+  },
+  {
+    name: 'Avalanche',
+    symbol: 'AVAX',
+    price: 35.20,
+    marketCap: 8500000000,
+    change24h: 2.10,
+    volume24h: 380000000,
+    rank: 9,
+    image: 'https://assets.coingecko.com/coins/images/12559/large/Avalanche_Circle_RedWhite_Trans.png',
+    timestamp: new Date(),
+    isActive: true
+  },
+  {
+    name: 'Chainlink',
+    symbol: 'LINK',
+    price: 14.85,
+    marketCap: 7500000000,
+    change24h: -1.45,
+    volume24h: 420000000,
+    rank: 10,
+    image: 'https://assets.coingecko.com/coins/images/877/large/chainlink-new-logo.png',
+    timestamp: new Date(),
+    isActive: true
+  }
+].map(crypto => ({ ...crypto, quotes: sampleQuotes(crypto) }));
+
+const sampleArticles = [
+  {
+    title: 'React 18: The Complete Guide to Concurrent Features',
+    link: 'https://example.com/react-18-guide',
+    score: 245,
+    comments: 89,
+    author: 'ReactTeam',
+    scrapedAt: new Date(),
+    publishedAt: new Date(Date.now() - 3600000), // 1 hour ago
+    isActive: true
+  },
+  {
+    title: 'Building Scalable Node.js Applications with Express',
+    link: 'https://example.com/nodejs-scalable',
+    score: 189,
+    comments: 67,
+    author: 'NodeJSExpert',
+    scrapedAt: new Date(),
+    publishedAt: new Date(Date.now() - 7200000), // 2 hours ago
+    isActive: true
+  },
+  {
+    title: 'MongoDB Atlas: Cloud Database Best Practices',
+    link: 'https://example.com/mongodb-atlas',
+    score: 156,
+    comments: 43,
+    author: 'MongoDBUser',
+    scrapedAt: new Date(),
+    publishedAt: new Date(Date.now() - 10800000), // 3 hours ago
+    isActive: true
+  },
+  {
+    title: 'Web Scraping with Puppeteer: A Complete Tutorial',
+    link: 'https://example.com/puppeteer-tutorial',
+    score: 134,
+    comments: 28,
+    author: 'WebScraper',
+    scrapedAt: new Date(),
+    publishedAt: new Date(Date.now() - 14400000), // 4 hours ago
+    isActive: true
+  },
+  {
+    title: 'Material-UI: Building Beautiful React Interfaces',
+    link: 'https://example.com/material-ui-guide',
+    score: 98,
+    comments: 35,
+    author: 'UIDesigner',
+    scrapedAt: new Date(),
+    publishedAt: new Date(Date.now() - 18000000), // 5 hours ago
+    isActive: true
+  }
+];
+
+module.exports = {
+  sampleCryptos,
+  sampleArticles
+};
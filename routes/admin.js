@@ -0,0 +1,441 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const { requireRole } = require('../middleware/auth');
+const { buildPagination } = require('../utils/pagination');
+const { isValidSchedule } = require('../utils/cronSchedule');
+const { LeaseHeldError } = require('../services/jobLock');
+const RetentionService = require('../services/retentionService');
+
+// Request methods recorded in the audit log
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Send a 400 for Mongoose validation and cast errors, 500 otherwise
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const handleError = (res, error, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid admin request',
+      error: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Create the admin router
+ * @param {Object} services - Shared services
+ * @param {RateLimitStore} services.rateLimitStore - Source of the usage report
+ * @param {JobRegistry} services.jobRegistry - Cron jobs controlled through /jobs
+ * @returns {express.Router} Router for /api/admin
+ */
+const createAdminRouter = ({ rateLimitStore, jobRegistry } = {}) => {
+  const router = express.Router();
+  const retentionService = new RetentionService();
+
+  // Every admin route requires an admin key
+  router.use(requireRole('admin'));
+
+  /**
+   * GET /api/admin/api-keys
+   * List API keys (key hashes are never returned)
+   */
+  router.get('/api-keys', async (req, res) => {
+    try {
+      const query = req.query.includeRevoked === 'true' ? {} : { isActive: true };
+      const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 }).select('-__v');
+
+      res.json({
+        success: true,
+        data: apiKeys,
+        count: apiKeys.length
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error fetching API keys');
+    }
+  });
+
+  /**
+   * POST /api/admin/api-keys
+   * Create an API key. The key is returned once, on creation
+   */
+  router.post('/api-keys', async (req, res) => {
+    try {
+      const { name, role = 'reader' } = req.body;
+
+      if (!name) {
+        return res.status(400).json({
+          success: false,
+          message: 'name is required'
+        });
+      }
+
+      if (!ApiKey.ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown role "${role}". Use one of: ${ApiKey.ROLES.join(', ')}`
+        });
+      }
+
+      const { key, prefix, keyHash } = ApiKey.generate();
+      const apiKey = await ApiKey.create({ name, role, prefix, keyHash, createdBy: req.apiKey.name });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Store the key now, it cannot be shown again',
+        data: {
+          _id: apiKey._id,
+          name: apiKey.name,
+          role: apiKey.role,
+          prefix: apiKey.prefix,
+          key,
+          createdAt: apiKey.createdAt
+        }
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error creating API key');
+    }
+  });
+
+  /**
+   * DELETE /api/admin/api-keys/:id
+   * Revoke an API key
+   */
+  router.delete('/api-keys/:id', async (req, res) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          message: 'API key not found'
+        });
+      }
+
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: req.params.id, isActive: true },
+        { isActive: false, revokedAt: new Date() },
+        { new: true }
+      ).select('-__v');
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          message: 'API key not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: apiKey
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error revoking API key');
+    }
+  });
+
+  /**
+   * GET /api/admin/audit-log
+   * Browse recorded mutating calls, newest first
+   * Query: ?page, ?limit, ?method, ?actor, ?status (exact code or class like 4xx)
+   */
+  router.get('/audit-log', async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+      const query = {};
+
+      // Filters are coerced to strings, so ?actor[$ne]=... cannot become an operator
+      if (req.query.method) {
+        const method = String(req.query.method).toUpperCase();
+        if (!AUDITED_METHODS.includes(method)) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid method. Use one of: ${AUDITED_METHODS.join(', ')}`
+          });
+        }
+        query.method = method;
+      }
+      if (req.query.actor) {
+        query.actor = String(req.query.actor);
+      }
+      if (req.query.status) {
+        const status = String(req.query.status);
+        if (!/^[1-5](\d\d|xx)$/i.test(status)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid status. Use an HTTP status code (e.g. 403) or class (e.g. 4xx)'
+          });
+        }
+        query.statusCode = /xx$/i.test(status)
+          ? { $gte: status[0] * 100, $lt: status[0] * 100 + 100 }
+          : parseInt(status);
+      }
+
+      const [entries, total] = await Promise.all([
+        AuditLog.find(query)
+          .sort({ timestamp: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .select('-__v'),
+        AuditLog.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        data: entries,
+        pagination: buildPagination(page, limit, total)
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error fetching audit log');
+    }
+  });
+
+  /**
+   * GET /api/admin/usage
+   * Requests per client per UTC day, for billing
+   * Query: ?from and ?to (YYYY-MM-DD, default: the last 30 days), ?client (e.g. key:<prefix> or ip:<address>)
+   */
+  router.get('/usage', async (req, res) => {
+    try {
+      if (!rateLimitStore) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rate limiting is disabled, no usage is recorded'
+        });
+      }
+
+      const dayPattern = /^\d{4}-\d{2}-\d{2}$/;
+      const invalid = ['from', 'to'].filter(field => req.query[field] && !dayPattern.test(req.query[field]));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${invalid.join(' and ')} must be dates formatted YYYY-MM-DD`
+        });
+      }
+
+      const defaultFrom = new Date();
+      defaultFrom.setUTCDate(defaultFrom.getUTCDate() - 29);
+      const from = req.query.from || defaultFrom.toISOString().slice(0, 10);
+      const to = req.query.to || new Date().toISOString().slice(0, 10);
+
+      const usage = await rateLimitStore.getUsage({ from, to, client: req.query.client });
+
+      // Totals per client over the whole range
+      const totals = new Map();
+      usage.forEach(entry => {
+        const total = totals.get(entry.client) || { client: entry.client, name: entry.name, role: entry.role, requests: 0, limited: 0, days: 0 };
+        total.requests += entry.requests;
+        total.limited += entry.limited;
+        total.days++;
+        totals.set(entry.client, total);
+      });
+
+      res.json({
+        success: true,
+        data: usage,
+        totals: Array.from(totals.values()).sort((a, b) => b.requests - a.requests),
+        range: { from, to }
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error fetching usage');
+    }
+  });
+
+  /**
+   * GET /api/admin/retention
+   * Dry run of the crypto and candle retention tiers: what the next cleanup would compact and remove
+   */
+  router.get('/retention', async (req, res) => {
+    try {
+      const report = await retentionService.dryRun();
+
+      res.json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error building retention report');
+    }
+  });
+
+  /**
+   * Look up the job in :id, answering 404 if job control is off or there is no such job
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {boolean} True if the job exists
+   */
+  const findJob = (req, res) => {
+    if (jobRegistry && jobRegistry.find(req.params.id)) {
+      return true;
+    }
+
+    res.status(404).json({
+      success: false,
+      message: jobRegistry ? 'Job not found' : 'No cron jobs run in this server mode'
+    });
+    return false;
+  };
+
+  /**
+   * GET /api/admin/jobs
+   * List cron jobs with their schedule, pause state, next and last run, and
+   * which instance holds their lease
+   */
+  router.get('/jobs', async (req, res) => {
+    try {
+      const jobs = jobRegistry ? await jobRegistry.list() : [];
+
+      res.json({
+        success: true,
+        data: jobs,
+        count: jobs.length
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error fetching jobs');
+    }
+  });
+
+  /**
+   * PUT /api/admin/jobs/:id
+   * Change a job's cron expression; { schedule: null } restores the configured one
+   */
+  router.put('/jobs/:id', async (req, res) => {
+    try {
+      if (!findJob(req, res)) {
+        return;
+      }
+
+      const { schedule } = req.body;
+      if (schedule === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: 'schedule is required (null restores the configured schedule)'
+        });
+      }
+      if (schedule !== null && !isValidSchedule(schedule)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid cron expression "${schedule}"`
+        });
+      }
+
+      const job = await jobRegistry.reschedule(req.params.id, schedule, req.apiKey.name);
+
+      res.json({
+        success: true,
+        message: 'Job rescheduled successfully',
+        data: job
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error rescheduling job');
+    }
+  });
+
+  /**
+   * POST /api/admin/jobs/:id/pause
+   * Stop a job from firing until it is resumed
+   */
+  router.post('/jobs/:id/pause', async (req, res) => {
+    try {
+      if (!findJob(req, res)) {
+        return;
+      }
+
+      const job = await jobRegistry.pause(req.params.id, req.apiKey.name);
+
+      res.json({
+        success: true,
+        message: 'Job paused successfully',
+        data: job
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error pausing job');
+    }
+  });
+
+  /**
+   * POST /api/admin/jobs/:id/resume
+   * Let a paused job fire again
+   */
+  router.post('/jobs/:id/resume', async (req, res) => {
+    try {
+      if (!findJob(req, res)) {
+        return;
+      }
+
+      const job = await jobRegistry.resume(req.params.id, req.apiKey.name);
+
+      res.json({
+        success: true,
+        message: 'Job resumed successfully',
+        data: job
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error resuming job');
+    }
+  });
+
+  /**
+   * POST /api/admin/jobs/:id/run
+   * Run a job now and return its result. Answers 409 while it runs here or on another instance
+   */
+  router.post('/jobs/:id/run', async (req, res) => {
+    try {
+      if (!findJob(req, res)) {
+        return;
+      }
+
+      if (jobRegistry.isRunning(req.params.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Job is already running'
+        });
+      }
+
+      const result = await jobRegistry.run(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Job completed',
+        data: await jobRegistry.describe(req.params.id),
+        result
+      });
+
+    } catch (error) {
+      if (error instanceof LeaseHeldError) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          lease: error.lease
+        });
+      }
+      handleError(res, error, 'Error running job');
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAdminRouter;
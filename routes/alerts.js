@@ -0,0 +1,299 @@
+const express = require('express');
+const router = express.Router();
+const AlertRule = require('../models/AlertRule');
+const AlertEvent = require('../models/AlertEvent');
+const Crypto = require('../models/Crypto');
+const { requireRole } = require('../middleware/auth');
+const config = require('../config');
+
+// Fields clients may set on a rule (state is managed by the evaluator)
+const EDITABLE_FIELDS = [
+  'name', 'symbol', 'asset', 'metric', 'condition', 'threshold',
+  'multiplier', 'windowDays', 'currency', 'cooldownMinutes', 'isActive'
+];
+
+// Changing any of these invalidates the rule's evaluation state
+const CONDITION_FIELDS = ['symbol', 'asset', 'metric', 'condition', 'threshold', 'multiplier', 'windowDays', 'currency'];
+
+/**
+ * Pick editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Editable fields present in the body
+ */
+const pickEditable = (body = {}) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * Check a rule currency against the quoted currencies. The currency ends up in
+ * aggregation field paths, so anything else is rejected
+ * @param {string} currency - Requested currency
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCurrency = (currency) => {
+  if (currency === undefined) {
+    return null;
+  }
+
+  const supported = [...new Set([Crypto.BASE_CURRENCY, ...config.QUOTE_CURRENCIES])];
+  return typeof currency === 'string' && supported.includes(currency.toLowerCase())
+    ? null
+    : `Unsupported currency. Use one of: ${supported.join(', ')}`;
+};
+
+/**
+ * Send a 400 for Mongoose validation and cast errors, 500 otherwise
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const handleError = (res, error, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid alert rule',
+      error: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/alerts
+ * List alert rules, optionally filtered by symbol and active state
+ */
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+
+    if (req.query.symbol) {
+      query.symbol = String(req.query.symbol).toUpperCase();
+    }
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    const rules = await AlertRule.find(query)
+      .sort({ createdAt: -1 })
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching alert rules');
+  }
+});
+
+/**
+ * GET /api/alerts/events
+ * List triggered alert events with pagination
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const query = {};
+
+    if (req.query.symbol) {
+      query.symbol = String(req.query.symbol).toUpperCase();
+    }
+    if (req.query.rule) {
+      query.rule = String(req.query.rule);
+    }
+    if (req.query.since) {
+      query.triggeredAt = { $gte: new Date(req.query.since) };
+    }
+
+    const events = await AlertEvent.find(query)
+      .sort({ triggeredAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-__v');
+
+    const total = await AlertEvent.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching alert events');
+  }
+});
+
+/**
+ * POST /api/alerts
+ * Create an alert rule
+ */
+router.post('/', requireRole('operator'), async (req, res) => {
+  try {
+    const currencyError = validateCurrency(req.body.currency);
+    if (currencyError) {
+      return res.status(400).json({
+        success: false,
+        message: currencyError
+      });
+    }
+
+    const rule = await AlertRule.create(pickEditable(req.body));
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert rule created successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error creating alert rule');
+  }
+});
+
+/**
+ * GET /api/alerts/:id
+ * Get a specific alert rule by ID
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await AlertRule.findById(req.params.id).select('-__v');
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching alert rule');
+  }
+});
+
+/**
+ * PUT /api/alerts/:id
+ * Update an alert rule (resets its evaluation state when the condition changes)
+ */
+router.put('/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const currencyError = validateCurrency(req.body.currency);
+    if (currencyError) {
+      return res.status(400).json({
+        success: false,
+        message: currencyError
+      });
+    }
+
+    const rule = await AlertRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    const updates = pickEditable(req.body);
+    rule.set(updates);
+
+    if (CONDITION_FIELDS.some(field => updates[field] !== undefined)) {
+      rule.state.conditionMet = false;
+      rule.state.lastValue = null;
+    }
+
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Alert rule updated successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error updating alert rule');
+  }
+});
+
+/**
+ * GET /api/alerts/:id/events
+ * List events triggered by one rule
+ */
+router.get('/:id/events', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+
+    const events = await AlertEvent.find({ rule: req.params.id })
+      .sort({ triggeredAt: -1 })
+      .limit(limit)
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: events,
+      count: events.length
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching alert events');
+  }
+});
+
+/**
+ * DELETE /api/alerts/:id
+ * Soft delete an alert rule (mark as inactive)
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const rule = await AlertRule.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert rule deleted successfully',
+      data: rule
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error deleting alert rule');
+  }
+});
+
+module.exports = router;
@@ -1,273 +1,605 @@
 const express = require('express');
-const router = express.Router();
+const mongoose = require('mongoose');
 const Crypto = require('../models/Crypto');
-const CryptoScraper = require('../services/cryptoScraper');
-
-// Initialize crypto scraper instance
-const cryptoScraper = new CryptoScraper();
+const Watchlist = require('../models/Watchlist');
+const PriceStream = require('../services/priceStream');
+const { INTERVALS, CANDLE_RESOLUTIONS, isValidInterval, parseDateRange } = require('../utils/timeBuckets');
+const { parseListQuery, buildPagination } = require('../utils/pagination');
+const { requireRole } = require('../middleware/auth');
+const config = require('../config');
 
 /**
- * GET /api/crypto
- * Fetch all cryptocurrency data with pagination and optional search
+ * Create the crypto router on top of a crypto repository
+ * @param {CryptoRepository} repository - MongoDB or in-memory crypto repository
+ * @param {EventEmitter} events - Optional source of price updates (default: the event bus)
+ * @returns {express.Router} Router for /api/crypto
  */
-router.get('/', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const search = req.query.search || '';
-    const sortBy = req.query.sortBy || 'rank';
-    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
-
-    // Build query
-    let query = { isActive: true };
-    
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { symbol: { $regex: search, $options: 'i' } }
-      ];
+const createCryptoRouter = (repository, events = null) => {
+  const router = express.Router();
+
+  // Live price stream shared by every SSE client
+  const priceStream = new PriceStream({ repository, events });
+
+  /**
+   * Resolve which registry asset a symbol request refers to.
+   * Sends a 404 or a 300 disambiguation response and returns null when the request cannot proceed
+   * @param {Object} req - Express request (reads ?asset= as an asset id or provider coin id)
+   * @param {Object} res - Express response
+   * @param {string} symbol - Upper-case ticker symbol
+   * @returns {Promise<Object|null>} { asset } where asset is null for unambiguous tickers
+   */
+  const resolveSymbolAsset = async (req, res, symbol) => {
+    if (req.query.asset) {
+      const asset = await repository.findAsset(req.query.asset);
+
+      if (!asset) {
+        res.status(404).json({
+          success: false,
+          message: 'Asset not found'
+        });
+        return null;
+      }
+
+      return { asset };
+    }
+
+    // Rows saved before the registry existed have no asset and are not a separate coin
+    const candidates = (await repository.getSymbolCandidates(symbol)).filter(candidate => candidate.asset);
+
+    if (candidates.length > 1) {
+      res.status(300).json({
+        success: false,
+        ambiguous: true,
+        message: `Symbol ${symbol} matches ${candidates.length} assets. Pass ?asset=<asset id or coin id> to choose one`,
+        data: candidates
+      });
+      return null;
     }
 
-    // Calculate pagination
-    const skip = (page - 1) * limit;
-
-    // Execute query with pagination
-    const cryptoData = await Crypto.find(query)
-      .sort({ [sortBy]: sortOrder })
-      .skip(skip)
-      .limit(limit)
-      .select('-__v'); // Exclude version field
-
-    // Get total count for pagination
-    const total = await Crypto.countDocuments(query);
-    const totalPages = Math.ceil(total / limit);
-
-    res.json({
-      success: true,
-      data: cryptoData,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalItems: total,
-        itemsPerPage: limit,
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1
+    return { asset: null };
+  };
+
+  /**
+   * Resolve which market snapshot a list request is served from: ?snapshot=<version>,
+   * ?at=<time> for the last snapshot completed by then, or else the latest complete one.
+   * Sends a 400 or 404 response and returns undefined when the request cannot proceed
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<Object|null|undefined>} Snapshot, or null to serve the current active rows
+   * when there are no snapshots yet
+   */
+  const resolveSnapshot = async (req, res) => {
+    const { snapshot, at } = req.query;
+
+    if (snapshot !== undefined && at !== undefined) {
+      res.status(400).json({
+        success: false,
+        message: 'Pass either "snapshot" or "at", not both'
+      });
+      return undefined;
+    }
+
+    const options = {};
+    if (snapshot !== undefined) {
+      options.version = Number(snapshot);
+      if (!Number.isInteger(options.version) || options.version < 1) {
+        res.status(400).json({
+          success: false,
+          message: '"snapshot" must be a positive integer'
+        });
+        return undefined;
+      }
+    }
+    if (at !== undefined) {
+      options.at = new Date(at);
+      if (isNaN(options.at.getTime())) {
+        res.status(400).json({
+          success: false,
+          message: 'Invalid "at" date'
+        });
+        return undefined;
       }
-    });
-
-  } catch (error) {
-    console.error('Error fetching crypto data:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching crypto data',
-      error: error.message
-    });
-  }
-});
+    }
 
-/**
- * GET /api/crypto/top
- * Fetch top cryptocurrencies by market cap
- */
-router.get('/top', async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-    
-    const cryptoData = await Crypto.getTopCrypto(limit);
-
-    res.json({
-      success: true,
-      data: cryptoData,
-      count: cryptoData.length
-    });
-
-  } catch (error) {
-    console.error('Error fetching top crypto:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching top cryptocurrencies',
-      error: error.message
-    });
-  }
-});
+    const resolved = await repository.resolveSnapshot(options);
 
-/**
- * GET /api/crypto/latest
- * Fetch latest cryptocurrency data
- */
-router.get('/latest', async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 50;
-    
-    const cryptoData = await Crypto.getLatestPrices(limit);
-
-    res.json({
-      success: true,
-      data: cryptoData,
-      count: cryptoData.length
-    });
-
-  } catch (error) {
-    console.error('Error fetching latest crypto:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching latest crypto data',
-      error: error.message
-    });
-  }
-});
+    if (!resolved && (options.version !== undefined || options.at)) {
+      res.status(404).json({
+        success: false,
+        message: 'Market snapshot not found (it may have been pruned by retention)'
+      });
+      return undefined;
+    }
 
-/**
- * GET /api/crypto/symbol/:symbol
- * Get specific cryptocurrency by symbol
- */
-router.get('/symbol/:symbol', async (req, res) => {
-  try {
-    const symbol = req.params.symbol.toUpperCase();
-    const crypto = await Crypto.getBySymbol(symbol);
-    
-    if (!crypto) {
-      return res.status(404).json({
+    return resolved;
+  };
+
+  /**
+   * Resolve the ?watchlist= filter to one of the caller's watchlists.
+   * Sends a 401, 404 or 503 response and returns undefined when the request cannot proceed
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<Watchlist|null|undefined>} Watchlist, or null when no filter was asked for
+   */
+  const resolveWatchlist = async (req, res) => {
+    if (req.query.watchlist === undefined) {
+      return null;
+    }
+
+    // Watchlists are stored in MongoDB only
+    if (mongoose.connection.readyState !== 1) {
+      res.status(503).json({
         success: false,
-        message: 'Cryptocurrency not found'
+        message: 'Watchlists are unavailable while the database is unavailable'
       });
+      return undefined;
     }
 
-    res.json({
-      success: true,
-      data: crypto
-    });
-
-  } catch (error) {
-    console.error('Error fetching crypto by symbol:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching cryptocurrency',
-      error: error.message
-    });
-  }
-});
+    if (!req.apiKey) {
+      res.status(401).json({
+        success: false,
+        message: 'An API key is required to filter by watchlist'
+      });
+      return undefined;
+    }
 
-/**
- * GET /api/crypto/stats
- * Get cryptocurrency statistics
- */
-router.get('/stats', async (req, res) => {
-  try {
-    const stats = await cryptoScraper.getStats();
-    
-    res.json({
-      success: true,
-      data: stats
-    });
-
-  } catch (error) {
-    console.error('Error fetching crypto stats:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching statistics',
-      error: error.message
-    });
-  }
-});
+    const watchlist = await Watchlist.findOwned(req.query.watchlist, req.apiKey.id);
+
+    if (!watchlist) {
+      res.status(404).json({
+        success: false,
+        message: 'Watchlist not found'
+      });
+      return undefined;
+    }
+
+    return watchlist;
+  };
+
+  /**
+   * Describe the watchlist a response was filtered by
+   * @param {Watchlist|null} watchlist - Watchlist
+   * @returns {Object|null} { id, name }
+   */
+  const describeWatchlist = watchlist => watchlist ? { id: watchlist._id, name: watchlist.name } : null;
+
+  /**
+   * Resolve the ?currency= query parameter for every crypto route
+   */
+  router.use((req, res, next) => {
+    const currency = String(req.query.currency || Crypto.BASE_CURRENCY).toLowerCase();
+    const supported = [Crypto.BASE_CURRENCY, ...config.QUOTE_CURRENCIES];
+
+    if (!supported.includes(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported currency. Use one of: ${[...new Set(supported)].join(', ')}`
+      });
+    }
+
+    req.currency = currency;
+    next();
+  });
+
+  /**
+   * GET /api/crypto
+   * Fetch all cryptocurrency data with pagination and optional search.
+   * Accepts ?snapshot=<version> or ?at=<time> (default: the latest complete snapshot),
+   * and ?watchlist=<id> to only list the coins of one of the caller's watchlists
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const watchlist = await resolveWatchlist(req, res);
+      if (watchlist === undefined) {
+        return;
+      }
+
+      const snapshot = await resolveSnapshot(req, res);
+      if (snapshot === undefined) {
+        return;
+      }
+
+      const { page, limit, search, sortBy, sortOrder } = parseListQuery(req.query, { sortBy: 'rank' });
+      const symbols = watchlist ? watchlist.symbols : null;
+      const { items, total } = await repository.list({ page, limit, search, sortBy, sortOrder, snapshot, symbols });
 
-/**
- * POST /api/crypto/scrape
- * Trigger manual crypto data scraping
- */
-router.post('/scrape', async (req, res) => {
-  try {
-    console.log('Manual crypto scraping triggered');
-    
-    const result = await cryptoScraper.performScraping();
-    
-    if (result.success) {
       res.json({
         success: true,
-        message: result.message,
-        data: result.result
+        currency: req.currency,
+        snapshot,
+        watchlist: describeWatchlist(watchlist),
+        data: items.map(crypto => crypto.toCurrencyJSON(req.currency)),
+        pagination: buildPagination(page, limit, total)
       });
-    } else {
-      res.status(400).json({
+
+    } catch (error) {
+      console.error('Error fetching crypto data:', error);
+      res.status(500).json({
         success: false,
-        message: result.message,
-        data: result.result
+        message: 'Error fetching crypto data',
+        error: error.message
       });
     }
+  });
 
-  } catch (error) {
-    console.error('Error during manual crypto scraping:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Manual crypto scraping failed',
-      error: error.message
-    });
-  }
-});
+  /**
+   * GET /api/crypto/top
+   * Fetch top cryptocurrencies by market cap. Accepts ?snapshot= or ?at= like GET /api/crypto
+   */
+  router.get('/top', async (req, res) => {
+    try {
+      const snapshot = await resolveSnapshot(req, res);
+      if (snapshot === undefined) {
+        return;
+      }
 
-/**
- * GET /api/crypto/:id
- * Get a specific cryptocurrency by ID
- */
-router.get('/:id', async (req, res) => {
-  try {
-    const crypto = await Crypto.findById(req.params.id).select('-__v');
-    
-    if (!crypto) {
-      return res.status(404).json({
+      const limit = parseInt(req.query.limit) || 10;
+
+      const cryptoData = await repository.getTop(limit, snapshot);
+
+      res.json({
+        success: true,
+        currency: req.currency,
+        snapshot,
+        data: cryptoData.map(crypto => crypto.toCurrencyJSON(req.currency)),
+        count: cryptoData.length
+      });
+
+    } catch (error) {
+      console.error('Error fetching top crypto:', error);
+      res.status(500).json({
         success: false,
-        message: 'Cryptocurrency not found'
+        message: 'Error fetching top cryptocurrencies',
+        error: error.message
       });
     }
+  });
 
-    res.json({
-      success: true,
-      data: crypto
-    });
-
-  } catch (error) {
-    console.error('Error fetching crypto:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching cryptocurrency',
-      error: error.message
-    });
-  }
-});
+  /**
+   * GET /api/crypto/latest
+   * Fetch latest cryptocurrency data. Accepts ?snapshot=, ?at= and ?watchlist= like GET /api/crypto
+   */
+  router.get('/latest', async (req, res) => {
+    try {
+      const watchlist = await resolveWatchlist(req, res);
+      if (watchlist === undefined) {
+        return;
+      }
 
-/**
- * DELETE /api/crypto/:id
- * Soft delete a cryptocurrency (mark as inactive)
- */
-router.delete('/:id', async (req, res) => {
-  try {
-    const crypto = await Crypto.findByIdAndUpdate(
-      req.params.id,
-      { isActive: false },
-      { new: true }
-    );
-
-    if (!crypto) {
-      return res.status(404).json({
+      const snapshot = await resolveSnapshot(req, res);
+      if (snapshot === undefined) {
+        return;
+      }
+
+      const limit = parseInt(req.query.limit) || 50;
+
+      const cryptoData = await repository.getLatest(limit, snapshot, watchlist ? watchlist.symbols : null);
+
+      res.json({
+        success: true,
+        currency: req.currency,
+        snapshot,
+        watchlist: describeWatchlist(watchlist),
+        data: cryptoData.map(crypto => crypto.toCurrencyJSON(req.currency)),
+        count: cryptoData.length
+      });
+
+    } catch (error) {
+      console.error('Error fetching latest crypto:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching latest crypto data',
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/crypto/stream
+   * Server-Sent Events stream of price changes, pushed after every save.
+   * Accepts ?symbols=BTC,ETH and resumes from the Last-Event-ID header (or ?lastEventId=)
+   */
+  router.get('/stream', async (req, res) => {
+    try {
+      // Repeated ?symbols= parameters are joined like a comma-separated list
+      const symbols = String(req.query.symbols || '')
+        .split(',')
+        .map(symbol => symbol.trim().toUpperCase())
+        .filter(Boolean);
+
+      await priceStream.addClient(req, res, {
+        symbols,
+        currency: req.currency,
+        lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+      });
+
+    } catch (error) {
+      console.error('Error opening price stream:', error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          message: 'Error opening price stream',
+          error: error.message
+        });
+      }
+    }
+  });
+
+  /**
+   * GET /api/crypto/symbol/:symbol
+   * Get specific cryptocurrency by symbol
+   */
+  router.get('/symbol/:symbol', async (req, res) => {
+    try {
+      const symbol = req.params.symbol.toUpperCase();
+      const resolved = await resolveSymbolAsset(req, res, symbol);
+      if (!resolved) {
+        return;
+      }
+
+      const crypto = await repository.findBySymbol(symbol, resolved.asset);
+
+      if (!crypto) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cryptocurrency not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: crypto.toCurrencyJSON(req.currency)
+      });
+
+    } catch (error) {
+      console.error('Error fetching crypto by symbol:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching cryptocurrency',
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/crypto/symbol/:symbol/history
+   * Get price history for a symbol, bucketed by interval (raw, 5m, 1h, 1d)
+   */
+  router.get('/symbol/:symbol/history', async (req, res) => {
+    try {
+      const symbol = req.params.symbol.toUpperCase();
+      const interval = req.query.interval || 'raw';
+      const limit = Math.min(parseInt(req.query.limit) || 1000, 5000);
+
+      if (!isValidInterval(interval)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid interval. Use one of: ${Object.keys(INTERVALS).join(', ')}`
+        });
+      }
+
+      const range = parseDateRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      const resolved = await resolveSymbolAsset(req, res, symbol);
+      if (!resolved) {
+        return;
+      }
+
+      const points = await repository.getHistory(symbol, {
+        asset: resolved.asset,
+        from: range.from,
+        to: range.to,
+        interval,
+        limit,
+        currency: req.currency
+      });
+
+      res.json({
+        success: true,
+        symbol,
+        currency: req.currency,
+        interval,
+        from: range.from,
+        to: range.to,
+        data: points,
+        count: points.length
+      });
+
+    } catch (error) {
+      console.error('Error fetching crypto history:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching price history',
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/crypto/symbol/:symbol/candles
+   * Get precomputed OHLCV candles for a symbol at a given resolution
+   */
+  router.get('/symbol/:symbol/candles', async (req, res) => {
+    try {
+      const symbol = req.params.symbol.toUpperCase();
+      const resolution = req.query.resolution || '1h';
+      const limit = Math.min(parseInt(req.query.limit) || 500, 5000);
+
+      if (!isValidInterval(resolution, CANDLE_RESOLUTIONS)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid resolution. Use one of: ${Object.keys(CANDLE_RESOLUTIONS).join(', ')}`
+        });
+      }
+
+      // Default to the last 100 candles when no range is given
+      const range = parseDateRange(req.query, CANDLE_RESOLUTIONS[resolution] * 100);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      const resolved = await resolveSymbolAsset(req, res, symbol);
+      if (!resolved) {
+        return;
+      }
+
+      const candles = await repository.getCandles(symbol, resolution, {
+        asset: resolved.asset,
+        from: range.from,
+        to: range.to,
+        limit,
+        currency: req.currency
+      });
+
+      res.json({
+        success: true,
+        symbol,
+        currency: req.currency,
+        resolution,
+        from: range.from,
+        to: range.to,
+        data: candles,
+        count: candles.length
+      });
+
+    } catch (error) {
+      console.error('Error fetching crypto candles:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching candles',
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/crypto/stats
+   * Get cryptocurrency statistics
+   */
+  router.get('/stats', async (req, res) => {
+    try {
+      const stats = await repository.getStats(req.currency);
+
+      res.json({
+        success: true,
+        data: stats
+      });
+
+    } catch (error) {
+      console.error('Error fetching crypto stats:', error);
+      res.status(500).json({
         success: false,
-        message: 'Cryptocurrency not found'
+        message: 'Error fetching statistics',
+        error: error.message
       });
     }
+  });
+
+  /**
+   * POST /api/crypto/scrape
+   * Trigger manual crypto data scraping
+   */
+  router.post('/scrape', requireRole('operator'), async (req, res) => {
+    try {
+      console.log('Manual crypto scraping triggered');
+
+      const result = await repository.scrape({ trigger: 'api' });
+
+      if (result.success) {
+        res.json({
+          success: true,
+          message: result.message,
+          data: result.result
+        });
+      } else {
+        res.status(400).json({
+          success: false,
+          message: result.message,
+          data: result.result
+        });
+      }
+
+    } catch (error) {
+      console.error('Error during manual crypto scraping:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Manual crypto scraping failed',
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * GET /api/crypto/:id
+   * Get a specific cryptocurrency by ID
+   */
+  router.get('/:id', async (req, res) => {
+    try {
+      const crypto = await repository.findById(req.params.id);
+
+      if (!crypto) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cryptocurrency not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: crypto.toCurrencyJSON(req.currency)
+      });
+
+    } catch (error) {
+      console.error('Error fetching crypto:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error fetching cryptocurrency',
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * DELETE /api/crypto/:id
+   * Soft delete a cryptocurrency (mark as inactive)
+   */
+  router.delete('/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const crypto = await repository.deactivate(req.params.id);
+
+      if (!crypto) {
+        return res.status(404).json({
+          success: false,
+          message: 'Cryptocurrency not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Cryptocurrency deleted successfully',
+        data: crypto.toCurrencyJSON(req.currency)
+      });
+
+    } catch (error) {
+      console.error('Error deleting crypto:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Error deleting cryptocurrency',
+        error: error.message
+      });
+    }
+  });
+
+  return router;
+};
 
-    res.json({
-      success: true,
-      message: 'Cryptocurrency deleted successfully',
-      data: crypto
-    });
-
-  } catch (error) {
-    console.error('Error deleting crypto:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting cryptocurrency',
-      error: error.message
-    });
-  }
-});
-
-module.exports = router;
+module.exports = createCryptoRouter;
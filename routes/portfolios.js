@@ -0,0 +1,482 @@
+const express = require('express');
+const Crypto = require('../models/Crypto');
+const Portfolio = require('../models/Portfolio');
+const PortfolioService = require('../services/portfolioService');
+const { COST_BASIS_METHODS } = require('../utils/costBasis');
+const { INTERVALS, isValidInterval, parseDateRange } = require('../utils/timeBuckets');
+const { requireRole } = require('../middleware/auth');
+const config = require('../config');
+
+// Fields clients may set on a portfolio (holdings are derived from the transactions)
+const EDITABLE_FIELDS = ['name', 'description', 'currency', 'costBasisMethod'];
+
+// Fields clients may set on a transaction
+const TRANSACTION_FIELDS = ['type', 'direction', 'symbol', 'asset', 'quantity', 'price', 'fee', 'executedAt', 'note'];
+
+// Value-over-time intervals (raw points are not evenly spaced)
+const HISTORY_INTERVALS = Object.keys(INTERVALS).filter(interval => interval !== 'raw');
+
+/**
+ * Pick some fields from a request body
+ * @param {Object} body - Request body
+ * @param {Array<string>} fields - Fields to keep
+ * @returns {Object} Fields present in the body
+ */
+const pick = (body = {}, fields) => {
+  return fields.reduce((picked, field) => {
+    if (body[field] !== undefined) {
+      picked[field] = body[field];
+    }
+    return picked;
+  }, {});
+};
+
+/**
+ * Check a portfolio currency against the quoted currencies
+ * @param {string} currency - Requested currency
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCurrency = (currency) => {
+  if (currency === undefined) {
+    return null;
+  }
+
+  const supported = [...new Set([Crypto.BASE_CURRENCY, ...config.QUOTE_CURRENCIES])];
+  return supported.includes(String(currency).toLowerCase())
+    ? null
+    : `Unsupported currency. Use one of: ${supported.join(', ')}`;
+};
+
+/**
+ * Send a 400 for Mongoose validation and cast errors, 500 otherwise
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const handleError = (res, error, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid portfolio request',
+      error: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Create the portfolios router on top of a crypto repository
+ * @param {CryptoRepository} repository - Where valuation prices and price history are read
+ * @returns {express.Router} Router for /api/portfolios
+ */
+const createPortfolioRouter = (repository) => {
+  const router = express.Router();
+  const portfolioService = new PortfolioService({ cryptoRepository: repository });
+
+  /**
+   * Load one of the caller's active portfolios, sending a 404 when there is none
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<Portfolio|null>} Portfolio
+   */
+  const findPortfolio = async (req, res) => {
+    const portfolio = await Portfolio.findOwned(req.params.id, req.apiKey.id);
+
+    if (!portfolio) {
+      res.status(404).json({
+        success: false,
+        message: 'Portfolio not found'
+      });
+    }
+
+    return portfolio;
+  };
+
+  /**
+   * Resolve the registry asset of each new transaction, so a coin is held under one position
+   * whether or not its transactions name the asset. An asset reference may be an asset id or
+   * a provider coin id; a symbol shared by several assets needs one. Sends a 404 or a 300
+   * disambiguation response and returns null when the transactions cannot be recorded
+   * @param {Object} res - Express response
+   * @param {Array<Object>} transactions - Transactions picked from the request
+   * @returns {Promise<Array<Object>|null>} Transactions with their asset set where known
+   */
+  const resolveAssets = async (res, transactions) => {
+    const resolved = [];
+
+    for (const transaction of transactions) {
+      if (transaction.asset) {
+        const asset = await repository.findAsset(String(transaction.asset));
+
+        if (!asset) {
+          res.status(404).json({
+            success: false,
+            message: `Asset not found: ${transaction.asset}`
+          });
+          return null;
+        }
+
+        resolved.push({ ...transaction, asset });
+        continue;
+      }
+
+      if (typeof transaction.symbol !== 'string') {
+        resolved.push(transaction);
+        continue;
+      }
+
+      // Rows saved before the registry existed have no asset and are not a separate coin
+      const symbol = transaction.symbol.trim().toUpperCase();
+      const candidates = (await repository.getSymbolCandidates(symbol)).filter(candidate => candidate.asset);
+
+      if (candidates.length > 1) {
+        res.status(300).json({
+          success: false,
+          ambiguous: true,
+          message: `Symbol ${symbol} matches ${candidates.length} assets. Set the transaction's asset to an asset id or coin id`,
+          data: candidates
+        });
+        return null;
+      }
+
+      resolved.push({ ...transaction, asset: candidates.length === 1 ? candidates[0].asset : null });
+    }
+
+    return resolved;
+  };
+
+  /**
+   * Resolve the ?method= cost basis method, sending a 400 when it is unknown
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Portfolio} portfolio - Portfolio whose default applies
+   * @returns {string|null} Cost basis method
+   */
+  const resolveMethod = (req, res, portfolio) => {
+    const method = req.query.method || portfolio.costBasisMethod;
+
+    if (!COST_BASIS_METHODS.includes(method)) {
+      res.status(400).json({
+        success: false,
+        message: `Invalid cost basis method. Use one of: ${COST_BASIS_METHODS.join(', ')}`
+      });
+      return null;
+    }
+
+    return method;
+  };
+
+  // Portfolios belong to the API key that created them, so every route needs at least a reader key
+  router.use(requireRole('reader'));
+
+  /**
+   * GET /api/portfolios
+   * List the caller's active portfolios (without their transactions)
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const portfolios = await Portfolio.find({ owner: req.apiKey.id, isActive: true })
+        .sort({ createdAt: -1 })
+        .select('-__v -transactions');
+
+      res.json({
+        success: true,
+        data: portfolios,
+        count: portfolios.length
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error fetching portfolios');
+    }
+  });
+
+  /**
+   * POST /api/portfolios
+   * Create a portfolio, optionally with its first transactions
+   */
+  router.post('/', requireRole('operator'), async (req, res) => {
+    try {
+      const currencyError = validateCurrency(req.body.currency);
+      if (currencyError) {
+        return res.status(400).json({
+          success: false,
+          message: currencyError
+        });
+      }
+
+      const transactions = await resolveAssets(res, Array.isArray(req.body.transactions)
+        ? req.body.transactions.map(transaction => pick(transaction, TRANSACTION_FIELDS))
+        : []);
+      if (!transactions) {
+        return;
+      }
+
+      const portfolio = await Portfolio.create({ ...pick(req.body, EDITABLE_FIELDS), owner: req.apiKey.id, transactions });
+
+      res.status(201).json({
+        success: true,
+        message: 'Portfolio created successfully',
+        data: portfolio
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error creating portfolio');
+    }
+  });
+
+  /**
+   * GET /api/portfolios/:id
+   * Get one of the caller's portfolios with its transactions and holdings
+   */
+  router.get('/:id', async (req, res) => {
+    try {
+      const portfolio = await findPortfolio(req, res);
+      if (!portfolio) {
+        return;
+      }
+
+      res.json({
+        success: true,
+        data: portfolio
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error fetching portfolio');
+    }
+  });
+
+  /**
+   * PUT /api/portfolios/:id
+   * Update a portfolio's name, description, currency or default cost basis method.
+   * The currency can only change while there are no transactions, as their prices are in it
+   */
+  router.put('/:id', requireRole('operator'), async (req, res) => {
+    try {
+      const currencyError = validateCurrency(req.body.currency);
+      if (currencyError) {
+        return res.status(400).json({
+          success: false,
+          message: currencyError
+        });
+      }
+
+      const portfolio = await findPortfolio(req, res);
+      if (!portfolio) {
+        return;
+      }
+
+      const updates = pick(req.body, EDITABLE_FIELDS);
+      if (updates.currency !== undefined && String(updates.currency).toLowerCase() !== portfolio.currency &&
+        portfolio.transactions.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'The currency of a portfolio with transactions cannot change'
+        });
+      }
+
+      portfolio.set(updates);
+      await portfolio.save();
+
+      res.json({
+        success: true,
+        message: 'Portfolio updated successfully',
+        data: portfolio
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error updating portfolio');
+    }
+  });
+
+  /**
+   * DELETE /api/portfolios/:id
+   * Soft delete one of the caller's portfolios (mark as inactive)
+   */
+  router.delete('/:id', requireRole('operator'), async (req, res) => {
+    try {
+      const portfolio = await Portfolio.findOneAndUpdate(
+        { _id: req.params.id, owner: req.apiKey.id, isActive: true },
+        { isActive: false },
+        { new: true }
+      ).select('-__v');
+
+      if (!portfolio) {
+        return res.status(404).json({
+          success: false,
+          message: 'Portfolio not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Portfolio deleted successfully',
+        data: portfolio
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error deleting portfolio');
+    }
+  });
+
+  /**
+   * POST /api/portfolios/:id/transactions
+   * Record a buy, sell or transfer (rejected if it sells or transfers out more than was held)
+   */
+  router.post('/:id/transactions', requireRole('operator'), async (req, res) => {
+    try {
+      const portfolio = await findPortfolio(req, res);
+      if (!portfolio) {
+        return;
+      }
+
+      const [transaction] = await resolveAssets(res, [pick(req.body, TRANSACTION_FIELDS)]) || [];
+      if (!transaction) {
+        return;
+      }
+
+      portfolio.transactions.push(transaction);
+      await portfolio.save();
+
+      res.status(201).json({
+        success: true,
+        message: 'Transaction recorded successfully',
+        data: portfolio.transactions[portfolio.transactions.length - 1],
+        holdings: portfolio.holdings
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error recording transaction');
+    }
+  });
+
+  /**
+   * DELETE /api/portfolios/:id/transactions/:transactionId
+   * Remove a transaction (rejected if later sales would then exceed the holdings)
+   */
+  router.delete('/:id/transactions/:transactionId', requireRole('operator'), async (req, res) => {
+    try {
+      const portfolio = await findPortfolio(req, res);
+      if (!portfolio) {
+        return;
+      }
+
+      const transaction = portfolio.transactions.id(req.params.transactionId);
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found'
+        });
+      }
+
+      transaction.deleteOne();
+      await portfolio.save();
+
+      res.json({
+        success: true,
+        message: 'Transaction removed successfully',
+        data: transaction,
+        holdings: portfolio.holdings
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error removing transaction');
+    }
+  });
+
+  /**
+   * GET /api/portfolios/:id/valuation
+   * Value the holdings at the latest prices, with realized and unrealized P&L.
+   * Accepts ?method=fifo|lifo|average (default: the portfolio's)
+   */
+  router.get('/:id/valuation', async (req, res) => {
+    try {
+      const portfolio = await findPortfolio(req, res);
+      if (!portfolio) {
+        return;
+      }
+
+      const method = resolveMethod(req, res, portfolio);
+      if (!method) {
+        return;
+      }
+
+      const valuation = await portfolioService.value(portfolio, method);
+
+      res.json({
+        success: true,
+        data: valuation
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error valuing portfolio');
+    }
+  });
+
+  /**
+   * GET /api/portfolios/:id/history
+   * Portfolio value over time, derived from stored price history.
+   * Accepts ?from=, ?to= (default: the last 30 days), ?interval=5m|1h|1d (default 1d) and ?method=
+   */
+  router.get('/:id/history', async (req, res) => {
+    try {
+      const interval = req.query.interval || '1d';
+
+      if (!isValidInterval(interval) || interval === 'raw') {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid interval. Use one of: ${HISTORY_INTERVALS.join(', ')}`
+        });
+      }
+
+      const range = parseDateRange(req.query, 30 * INTERVALS['1d']);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error
+        });
+      }
+
+      const portfolio = await findPortfolio(req, res);
+      if (!portfolio) {
+        return;
+      }
+
+      const method = resolveMethod(req, res, portfolio);
+      if (!method) {
+        return;
+      }
+
+      const points = await portfolioService.history(portfolio, { from: range.from, to: range.to, interval, method });
+
+      res.json({
+        success: true,
+        currency: portfolio.currency,
+        method,
+        interval,
+        from: range.from,
+        to: range.to,
+        data: points,
+        count: points.length
+      });
+
+    } catch (error) {
+      if (error instanceof RangeError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      handleError(res, error, 'Error fetching portfolio history');
+    }
+  });
+
+  return router;
+};
+
+module.exports = createPortfolioRouter;
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const ScrapeRun = require('../models/ScrapeRun');
+const { requireRole } = require('../middleware/auth');
+const { buildPagination } = require('../utils/pagination');
+const config = require('../config');
+
+// Sources with a scraper that records runs
+const SOURCES = ['crypto', 'articles'];
+
+// Filters restricted to a fixed set of values
+const FILTERS = {
+  source: SOURCES,
+  trigger: ScrapeRun.TRIGGERS,
+  status: ScrapeRun.STATUSES
+};
+
+/**
+ * Send a 400 for Mongoose validation and cast errors, 500 otherwise
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const handleError = (res, error, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid scrape run query',
+      error: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Parse an ISO date query parameter
+ * @param {string} value - Query value
+ * @returns {Date|null|undefined} Date, null if invalid, undefined if absent
+ */
+const parseDate = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Reading run history requires at least a reader key
+router.use(requireRole('reader'));
+
+/**
+ * GET /api/scrape-runs
+ * Browse recorded scrape runs, newest first
+ * Query: ?page, ?limit, ?source, ?trigger, ?status, ?provider,
+ * ?httpStatus (exact code or class like 5xx), ?from and ?to (ISO dates, on start time)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const query = {};
+
+    // Only known values go into the filter, so ?status[$ne]=... cannot become an operator
+    const invalid = Object.entries(FILTERS).find(([field, values]) =>
+      req.query[field] && !values.includes(req.query[field]));
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalid[0]}. Use one of: ${invalid[1].join(', ')}`
+      });
+    }
+
+    Object.keys(FILTERS).forEach(field => {
+      if (req.query[field]) {
+        query[field] = req.query[field];
+      }
+    });
+    if (req.query.provider) {
+      query.provider = String(req.query.provider);
+    }
+
+    if (req.query.httpStatus) {
+      const statusClass = /^([1-5])xx$/i.exec(String(req.query.httpStatus));
+      query.httpStatus = statusClass
+        ? { $gte: statusClass[1] * 100, $lt: statusClass[1] * 100 + 100 }
+        : parseInt(req.query.httpStatus);
+    }
+
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be ISO dates'
+      });
+    }
+    if (from || to) {
+      query.startedAt = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      };
+    }
+
+    const [runs, total] = await Promise.all([
+      ScrapeRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v'),
+      ScrapeRun.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      data: runs,
+      pagination: buildPagination(page, limit, total)
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching scrape runs');
+  }
+});
+
+/**
+ * GET /api/scrape-runs/summary
+ * Ingestion health per source: the last run, the last success, and since when
+ * (and for how many runs) it has been failing
+ */
+router.get('/summary', async (req, res) => {
+  try {
+    // Runs of a process that died never finish; count them as the failures they are
+    await ScrapeRun.failStale(config.SCRAPE_RUN_TIMEOUT_MINUTES * 60 * 1000);
+
+    const summary = await Promise.all(SOURCES.map(async (source) => {
+      const [lastRun, lastSuccess] = await Promise.all([
+        ScrapeRun.findOne({ source, status: { $ne: 'running' } }).sort({ startedAt: -1 }).select('-__v'),
+        ScrapeRun.findOne({ source, status: 'succeeded' }).sort({ startedAt: -1 }).select('startedAt finishedAt')
+      ]);
+
+      // Failures after the last success, oldest first
+      const failureQuery = {
+        source,
+        status: 'failed',
+        ...(lastSuccess && { startedAt: { $gt: lastSuccess.startedAt } })
+      };
+      const [consecutiveFailures, firstFailure] = await Promise.all([
+        ScrapeRun.countDocuments(failureQuery),
+        ScrapeRun.findOne(failureQuery).sort({ startedAt: 1 }).select('startedAt message')
+      ]);
+
+      return {
+        source,
+        lastRun,
+        lastSucceededAt: lastSuccess ? lastSuccess.finishedAt : null,
+        failingSince: firstFailure ? firstFailure.startedAt : null,
+        firstFailureMessage: firstFailure ? firstFailure.message : null,
+        consecutiveFailures
+      };
+    }));
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error summarizing scrape runs');
+  }
+});
+
+/**
+ * GET /api/scrape-runs/:id
+ * Get a single scrape run
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const run = mongoose.isValidObjectId(req.params.id)
+      ? await ScrapeRun.findById(req.params.id).select('-__v')
+      : null;
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scrape run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching scrape run');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,266 @@
+const express = require('express');
+const Crypto = require('../models/Crypto');
+const Watchlist = require('../models/Watchlist');
+const WatchlistService = require('../services/watchlistService');
+const { requireRole } = require('../middleware/auth');
+const config = require('../config');
+
+// Fields clients may set on a watchlist
+const EDITABLE_FIELDS = ['name', 'symbols'];
+
+/**
+ * Pick editable fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Editable fields present in the body
+ */
+const pickEditable = (body = {}) => {
+  return EDITABLE_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+    return fields;
+  }, {});
+};
+
+/**
+ * Validate the symbols of a watchlist request
+ * @param {Array} symbols - Requested symbols
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateSymbols = (symbols) => {
+  if (symbols === undefined) {
+    return null;
+  }
+
+  return Array.isArray(symbols) && symbols.every(symbol => typeof symbol === 'string')
+    ? null
+    : 'symbols must be an array of ticker symbols';
+};
+
+/**
+ * Send a 400 for Mongoose validation and cast errors, a 409 for duplicate names, 500 otherwise
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const handleError = (res, error, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid watchlist',
+      error: error.message
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'You already have a watchlist with this name'
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Create the watchlists router on top of a crypto repository
+ * @param {CryptoRepository} repository - Where watchlist stats read the latest prices
+ * @returns {express.Router} Router for /api/watchlists
+ */
+const createWatchlistRouter = (repository) => {
+  const router = express.Router();
+  const watchlistService = new WatchlistService({ cryptoRepository: repository });
+
+  /**
+   * Load one of the caller's watchlists, sending a 404 when there is none
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Promise<Watchlist|null>} Watchlist
+   */
+  const findWatchlist = async (req, res) => {
+    const watchlist = await Watchlist.findOwned(req.params.id, req.apiKey.id);
+
+    if (!watchlist) {
+      res.status(404).json({
+        success: false,
+        message: 'Watchlist not found'
+      });
+    }
+
+    return watchlist;
+  };
+
+  // Watchlists belong to the API key that created them, so every route needs one
+  router.use(requireRole('reader'));
+
+  /**
+   * GET /api/watchlists
+   * List the caller's watchlists
+   */
+  router.get('/', async (req, res) => {
+    try {
+      const watchlists = await Watchlist.find({ owner: req.apiKey.id })
+        .sort({ name: 1 })
+        .select('-__v');
+
+      res.json({
+        success: true,
+        data: watchlists,
+        count: watchlists.length
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error fetching watchlists');
+    }
+  });
+
+  /**
+   * POST /api/watchlists
+   * Create a watchlist
+   */
+  router.post('/', async (req, res) => {
+    try {
+      const symbolsError = validateSymbols(req.body.symbols);
+      if (symbolsError) {
+        return res.status(400).json({
+          success: false,
+          message: symbolsError
+        });
+      }
+
+      const watchlist = await Watchlist.create({ ...pickEditable(req.body), owner: req.apiKey.id });
+
+      res.status(201).json({
+        success: true,
+        message: 'Watchlist created successfully',
+        data: watchlist
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error creating watchlist');
+    }
+  });
+
+  /**
+   * GET /api/watchlists/:id
+   * Get one of the caller's watchlists
+   */
+  router.get('/:id', async (req, res) => {
+    try {
+      const watchlist = await findWatchlist(req, res);
+      if (!watchlist) {
+        return;
+      }
+
+      res.json({
+        success: true,
+        data: watchlist
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error fetching watchlist');
+    }
+  });
+
+  /**
+   * PUT /api/watchlists/:id
+   * Rename a watchlist or replace its symbols
+   */
+  router.put('/:id', async (req, res) => {
+    try {
+      const symbolsError = validateSymbols(req.body.symbols);
+      if (symbolsError) {
+        return res.status(400).json({
+          success: false,
+          message: symbolsError
+        });
+      }
+
+      const watchlist = await findWatchlist(req, res);
+      if (!watchlist) {
+        return;
+      }
+
+      watchlist.set(pickEditable(req.body));
+      await watchlist.save();
+
+      res.json({
+        success: true,
+        message: 'Watchlist updated successfully',
+        data: watchlist
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error updating watchlist');
+    }
+  });
+
+  /**
+   * DELETE /api/watchlists/:id
+   * Delete a watchlist
+   */
+  router.delete('/:id', async (req, res) => {
+    try {
+      const watchlist = await findWatchlist(req, res);
+      if (!watchlist) {
+        return;
+      }
+
+      await watchlist.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Watchlist deleted successfully',
+        data: watchlist
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error deleting watchlist');
+    }
+  });
+
+  /**
+   * GET /api/watchlists/:id/stats
+   * Total market cap, average 24h change and best and worst performers of a watchlist.
+   * Accepts ?currency= (default usd) and ?performers= (how many of each to list, default 3)
+   */
+  router.get('/:id/stats', async (req, res) => {
+    try {
+      const currency = String(req.query.currency || Crypto.BASE_CURRENCY).toLowerCase();
+      const supported = [...new Set([Crypto.BASE_CURRENCY, ...config.QUOTE_CURRENCIES])];
+
+      if (!supported.includes(currency)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported currency. Use one of: ${supported.join(', ')}`
+        });
+      }
+
+      const watchlist = await findWatchlist(req, res);
+      if (!watchlist) {
+        return;
+      }
+
+      const performers = Math.min(Math.max(parseInt(req.query.performers) || 3, 1), 50);
+      const stats = await watchlistService.getStats(watchlist, currency, performers);
+
+      res.json({
+        success: true,
+        watchlist: { id: watchlist._id, name: watchlist.name },
+        data: stats
+      });
+
+    } catch (error) {
+      handleError(res, error, 'Error fetching watchlist stats');
+    }
+  });
+
+  return router;
+};
+
+module.exports = createWatchlistRouter;
@@ -0,0 +1,336 @@
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const WebhookService = require('../services/webhookService');
+const { EVENTS } = require('../services/eventBus');
+const { requireRole } = require('../middleware/auth');
+
+// Initialize webhook service instance
+const webhookService = new WebhookService();
+
+// Event names a webhook may subscribe to
+const SUBSCRIBABLE_EVENTS = ['*', ...Object.values(EVENTS)];
+
+// Delivery states the delivery log can be filtered by
+const DELIVERY_STATUSES = WebhookDelivery.schema.path('status').enumValues;
+
+/**
+ * Validate the events list of a webhook request
+ * @param {Array} events - Requested event names
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateEvents = (events) => {
+  if (events === undefined) {
+    return null;
+  }
+
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+
+  const unknown = events.filter(event => !SUBSCRIBABLE_EVENTS.includes(event));
+  return unknown.length > 0
+    ? `Unknown events: ${unknown.join(', ')}. Use one of: ${SUBSCRIBABLE_EVENTS.join(', ')}`
+    : null;
+};
+
+/**
+ * Send a 400 for Mongoose validation and cast errors, 500 otherwise
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} message - Message for unexpected errors
+ */
+const handleError = (res, error, message) => {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook request',
+      error: error.message
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/webhooks
+ * List registered webhooks (secrets are never returned)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 }).select('-__v');
+
+    res.json({
+      success: true,
+      data: webhooks,
+      count: webhooks.length
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching webhooks');
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register a webhook. The secret is returned once, on creation
+ */
+router.post('/', requireRole('operator'), async (req, res) => {
+  try {
+    const eventsError = validateEvents(req.body.events);
+    if (eventsError) {
+      return res.status(400).json({
+        success: false,
+        message: eventsError
+      });
+    }
+
+    const secret = req.body.secret || WebhookService.generateSecret();
+    const webhook = await Webhook.create({
+      url: req.body.url,
+      secret,
+      events: req.body.events,
+      description: req.body.description
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registered successfully',
+      data: { ...webhook.toJSON(), secret }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error registering webhook');
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:deliveryId
+ * Get one delivery from the delivery log
+ */
+router.get('/deliveries/:deliveryId', async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId).select('-__v');
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching delivery');
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ * Re-send a delivery with the same event id and payload
+ */
+router.post('/deliveries/:deliveryId/replay', requireRole('operator'), async (req, res) => {
+  try {
+    const delivery = await webhookService.replay(req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    res.json({
+      success: delivery.status === 'succeeded',
+      message: delivery.status === 'succeeded' ? 'Delivery replayed successfully' : 'Replay failed, will retry',
+      data: delivery
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error replaying delivery');
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get a specific webhook by ID
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id).select('-__v');
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching webhook');
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update a webhook's URL, events, description, secret or active state
+ */
+router.put('/:id', requireRole('operator'), async (req, res) => {
+  try {
+    const eventsError = validateEvents(req.body.events);
+    if (eventsError) {
+      return res.status(400).json({
+        success: false,
+        message: eventsError
+      });
+    }
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    ['url', 'events', 'description', 'secret', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        webhook[field] = req.body[field];
+      }
+    });
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error updating webhook');
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Soft delete a webhook (mark as inactive)
+ */
+router.delete('/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully',
+      data: webhook
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error deleting webhook');
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a webhook.test event to one webhook
+ */
+router.post('/:id/test', requireRole('operator'), async (req, res) => {
+  try {
+    const delivery = await webhookService.sendTest(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: delivery.status === 'succeeded',
+      message: delivery.status === 'succeeded' ? 'Test delivery succeeded' : 'Test delivery failed',
+      data: delivery
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error sending test delivery');
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * List the delivery log of one webhook
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const query = { webhook: req.params.id };
+
+    // Only plain values go into the filter, so ?status[$ne]=... cannot become an operator
+    if (req.query.status) {
+      if (!DELIVERY_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Use one of: ${DELIVERY_STATUSES.join(', ')}`
+        });
+      }
+      query.status = req.query.status;
+    }
+    if (req.query.event) {
+      query.event = String(req.query.event);
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-__v');
+
+    const total = await WebhookDelivery.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    handleError(res, error, 'Error fetching deliveries');
+  }
+});
+
+module.exports = router;
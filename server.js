@@ -1,169 +1,178 @@
-const express = require('express');
 const mongoose = require('mongoose');
-const cors = require('cors');
-const helmet = require('helmet');
-const morgan = require('morgan');
 const config = require('./config');
-
-// Import routes
-const cryptoRoutes = require('./routes/crypto');
+const { createApp, usesDatabase } = require('./app');
+const { createRepositories, createFailoverRepositories } = require('./repositories');
 
 // Import services
 const CryptoCronService = require('./services/cryptoCronService');
-
-// Initialize Express app
-const app = express();
-
-// Security middleware
-app.use(helmet());
-
-// CORS configuration
-app.use(cors({
-  origin: config.CORS_ORIGIN,
-  credentials: true
-}));
-
-// Logging middleware
-app.use(morgan('combined'));
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    environment: config.NODE_ENV
-  });
+const CronService = require('./services/cronService');
+const WebhookService = require('./services/webhookService');
+const WsBroadcaster = require('./services/wsBroadcaster');
+const DatabaseMonitor = require('./services/databaseMonitor');
+const SnapshotStore = require('./services/snapshotStore');
+const JobRegistry = require('./services/jobRegistry');
+const JobLock = require('./services/jobLock');
+const EventRelay = require('./services/eventRelay');
+const ScrapeRun = require('./models/ScrapeRun');
+
+// Cron jobs run by the crypto cron service; 'articles' runs the article cron service
+const CRYPTO_JOBS = ['scraping', 'cleanup', 'candles', 'assets', 'webhooks'];
+
+// Database modes fall back to the last on-disk snapshot while MongoDB is unavailable
+const mode = config.APP_MODE;
+const databaseMonitor = usesDatabase(mode) ? new DatabaseMonitor({
+  uri: config.MONGODB_URI,
+  retryBaseMs: config.MONGODB_RETRY_BASE_SECONDS * 1000,
+  retryMaxMs: config.MONGODB_RETRY_MAX_SECONDS * 1000
+}) : null;
+// Scrapes run on whichever instance holds the job's lease, so live streams and the
+// failover snapshot follow MongoDB rather than this instance's event bus
+const eventRelay = usesDatabase(mode) ? new EventRelay({ intervalMs: config.EVENT_RELAY_POLL_SECONDS * 1000 }) : null;
+const snapshotStore = usesDatabase(mode) ? new SnapshotStore({ path: config.SNAPSHOT_PATH, events: eventRelay }) : null;
+const mongoRepositories = usesDatabase(mode) ? createRepositories(mode) : null;
+
+// Cron jobs register here once started, so /api/admin/jobs can control them. Each
+// run takes a lease in MongoDB so replicas never run the same job at once
+const jobRegistry = usesDatabase(mode) ? new JobRegistry() : null;
+const jobLock = usesDatabase(mode) ? new JobLock({
+  owner: config.INSTANCE_ID,
+  leaseMs: config.JOB_LEASE_SECONDS * 1000
+}) : null;
+
+// Build the Express app for the configured mode
+const { app, routers, rateLimitStore } = createApp({
+  ...config,
+  ...(usesDatabase(mode) && {
+    repositories: createFailoverRepositories(mongoRepositories, { databaseMonitor, snapshotStore }),
+    databaseMonitor,
+    snapshotStore,
+    jobRegistry,
+    eventRelay
+  })
 });
 
-// API routes
-app.use('/api/crypto', cryptoRoutes);
-
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Web Scraper API Server',
-    version: '1.0.0',
-    endpoints: {
-      health: '/health',
-      crypto: '/api/crypto',
-      top: '/api/crypto/top',
-      latest: '/api/crypto/latest',
-      stats: '/api/crypto/stats',
-      scrape: 'POST /api/crypto/scrape'
-    },
-    documentation: 'See README.md for API documentation'
+/**
+ * Make a started cron service controllable, applying its saved schedules
+ * @param {CronJobService} service - Started cron service
+ */
+const registerJobs = (service) => {
+  jobRegistry.register(service).catch(error => {
+    console.error(`Failed to register ${service.scope} jobs:`, error.message);
   });
-});
+};
 
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Endpoint not found',
-    path: req.originalUrl
-  });
-});
+// Initialize the configured cron jobs and event delivery services
+const initializeServices = () => {
+  const services = [];
 
-// Global error handler
-app.use((error, req, res, next) => {
-  console.error('Global error handler:', error);
-  
-  res.status(error.status || 500).json({
-    success: false,
-    message: error.message || 'Internal server error',
-    ...(config.NODE_ENV === 'development' && { stack: error.stack })
-  });
-});
+  // Runs left running by a previous process that died mid-scrape
+  ScrapeRun.failStale(config.SCRAPE_RUN_TIMEOUT_MINUTES * 60 * 1000);
+
+  // Feed live streams and the snapshot from whichever instance scrapes
+  eventRelay.start();
+  services.push(eventRelay);
 
-// Database connection
-const connectDB = async () => {
   try {
-    console.log('Connecting to MongoDB Atlas...');
-    
-    await mongoose.connect(config.MONGODB_URI);
-    
-    console.log('✅ MongoDB Atlas connected successfully');
-    
-    // Set up connection event listeners
-    mongoose.connection.on('error', (error) => {
-      console.error('MongoDB connection error:', error);
-    });
-    
-    mongoose.connection.on('disconnected', () => {
-      console.log('MongoDB disconnected');
-    });
-    
-    mongoose.connection.on('reconnected', () => {
-      console.log('MongoDB reconnected');
-    });
-    
+    const cryptoJobs = config.CRON_JOBS.filter(job => CRYPTO_JOBS.includes(job));
+    if (cryptoJobs.length > 0) {
+      const cryptoCronService = new CryptoCronService({ lock: jobLock, overrides: jobRegistry });
+      cryptoCronService.start(config.CRYPTO_SCRAPE_SCHEDULE, cryptoJobs);
+      services.push(cryptoCronService);
+      registerJobs(cryptoCronService);
+      console.log(`✅ Crypto cron service started (${cryptoJobs.join(', ')})`);
+    }
+
+    if (config.CRON_JOBS.includes('articles')) {
+      const articleCronService = new CronService({ lock: jobLock, overrides: jobRegistry });
+      articleCronService.start(config.ARTICLE_SCRAPE_SCHEDULE);
+      services.push(articleCronService);
+      registerJobs(articleCronService);
+      console.log('✅ Article cron service started');
+    }
+
+    if (services.length > 0) {
+      // Pick up pauses and schedules changed through other instances
+      jobRegistry.start(config.JOB_SCHEDULE_SYNC_SECONDS * 1000);
+      services.push(jobRegistry);
+    }
+
+    if (routers.includes('webhooks')) {
+      // Deliver scrape, alert and article events to registered webhooks
+      const webhookService = new WebhookService();
+      webhookService.start();
+      services.push(webhookService);
+    }
+
   } catch (error) {
-    console.error('❌ MongoDB connection failed:', error.message);
-    process.exit(1);
+    console.error('❌ Failed to initialize cron services:', error.message);
   }
+
+  return services;
 };
 
-// Initialize crypto cron service
-const initializeCronService = () => {
-  try {
-    const cryptoCronService = new CryptoCronService();
-    
-    // Start crypto cron service with default schedule (every hour)
-    cryptoCronService.start('0 * * * *');
-    
-    console.log('✅ Crypto cron service initialized and started');
-    
-    // Graceful shutdown handling
-    process.on('SIGTERM', () => {
-      console.log('SIGTERM received, shutting down gracefully...');
-      cryptoCronService.stop();
-      mongoose.connection.close();
-      process.exit(0);
-    });
-    
-    process.on('SIGINT', () => {
-      console.log('SIGINT received, shutting down gracefully...');
-      cryptoCronService.stop();
-      mongoose.connection.close();
-      process.exit(0);
-    });
-    
-  } catch (error) {
-    console.error('❌ Failed to initialize crypto cron service:', error.message);
-  }
+// Stop services and close connections on shutdown
+const handleShutdown = (services) => {
+  const shutdown = async (signal) => {
+    console.log(`${signal} received, shutting down gracefully...`);
+    // Let services that persist pending state (such as usage counts) finish before disconnecting
+    await Promise.allSettled(services.map(service => service.stop ? service.stop() : service.close()));
+    if (usesDatabase(mode)) {
+      databaseMonitor.stop();
+      await mongoose.connection.close();
+    }
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 };
 
 // Start server
 const startServer = async () => {
   try {
-    // Connect to database
-    await connectDB();
-    
-    // Initialize cron service
-    initializeCronService();
-    
+    const services = rateLimitStore ? [rateLimitStore] : [];
+
+    console.log('Effective configuration:', JSON.stringify(config.redacted(), null, 2));
+
+    // Demo mode serves in-memory sample data and runs no jobs. Database modes start
+    // serving the snapshot straight away if MongoDB is down, and start their jobs
+    // once it first connects
+    if (usesDatabase(mode)) {
+      snapshotStore.load();
+      snapshotStore.start(mongoRepositories);
+      services.push(snapshotStore);
+
+      databaseMonitor.on('live', snapshotStore.listener);
+      databaseMonitor.once('live', () => services.push(...initializeServices()));
+      await databaseMonitor.start();
+    }
+
     // Start HTTP server
     const server = app.listen(config.PORT, () => {
       console.log(`
 🚀 Web Scraper Server Started Successfully!
 📡 Server running on port ${config.PORT}
+🧭 Mode: ${mode} (routers: ${routers.join(', ')})
 🌍 Environment: ${config.NODE_ENV}
 📊 Health check: http://localhost:${config.PORT}/health
 🔗 API base: http://localhost:${config.PORT}/api
-⏰ Crypto scraping schedule: Every hour
       `);
     });
-    
+
+    // Accept WebSocket subscriptions on the same server
+    if (usesDatabase(mode) && routers.includes('crypto')) {
+      const wsBroadcaster = new WsBroadcaster({ path: '/ws', events: eventRelay });
+      wsBroadcaster.attach(server);
+      services.push(wsBroadcaster);
+    }
+
+    handleShutdown(services);
+
     // Handle server errors
     server.on('error', (error) => {
       console.error('Server error:', error);
     });
-    
+
   } catch (error) {
     console.error('Failed to start server:', error.message);
     process.exit(1);
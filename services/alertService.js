@@ -0,0 +1,200 @@
+const Crypto = require('../models/Crypto');
+const AlertRule = require('../models/AlertRule');
+const AlertEvent = require('../models/AlertEvent');
+const { EVENTS, publish } = require('./eventBus');
+
+/**
+ * Alert service for evaluating alert rules against the latest crypto data
+ * Rules fire when their condition becomes true, not on every run while it holds
+ */
+class AlertService {
+  /**
+   * Get the latest snapshot for every symbol referenced by the given rules
+   * @param {Array} rules - Alert rules
+   * @returns {Promise<Array>} Latest snapshots, one per symbol and asset
+   */
+  async getLatestSnapshots(rules) {
+    const symbols = [...new Set(rules.map(rule => rule.symbol))];
+    return Crypto.getLatestSnapshots(symbols);
+  }
+
+  /**
+   * Pick the snapshot a rule applies to
+   * Rules without an asset use the best-ranked coin trading under the symbol
+   * @param {Object} rule - Alert rule
+   * @param {Array} snapshots - Latest snapshots
+   * @returns {Object|null} Matching snapshot
+   */
+  findSnapshot(rule, snapshots) {
+    const matches = snapshots.filter(snapshot => snapshot.symbol === rule.symbol);
+
+    if (rule.asset) {
+      return matches.find(snapshot => snapshot.asset && snapshot.asset.equals(rule.asset)) || null;
+    }
+
+    return matches.find(snapshot => snapshot.rank > 0) || matches[0] || null;
+  }
+
+  /**
+   * Read a rule's metric from a snapshot in the rule's currency
+   * @param {Object} rule - Alert rule
+   * @param {Object} snapshot - Crypto snapshot (plain object)
+   * @returns {number|null} Metric value, or null if not quoted in that currency
+   */
+  getMetricValue(rule, snapshot) {
+    if (rule.currency === Crypto.BASE_CURRENCY || rule.metric === 'change24h') {
+      return snapshot[rule.metric];
+    }
+
+    const quote = snapshot.quotes && snapshot.quotes[rule.currency];
+    return quote ? quote[rule.metric] : null;
+  }
+
+  /**
+   * Calculate the average of a metric over a rule's window (for spike rules)
+   * @param {Object} rule - Alert rule
+   * @param {Object} snapshot - Latest snapshot
+   * @returns {Promise<number|null>} Average value, or null without history
+   */
+  async getBaseline(rule, snapshot) {
+    const field = rule.currency === Crypto.BASE_CURRENCY || rule.metric === 'change24h'
+      ? `$${rule.metric}`
+      : `$quotes.${rule.currency}.${rule.metric}`;
+
+    const since = new Date(Date.now() - rule.windowDays * 24 * 60 * 60 * 1000);
+    const match = {
+      symbol: snapshot.symbol,
+      timestamp: { $gte: since, $lt: snapshot.timestamp }
+    };
+
+    if (snapshot.asset) {
+      match.asset = snapshot.asset;
+    }
+
+    const [result] = await Crypto.aggregate([
+      { $match: match },
+      { $group: { _id: null, average: { $avg: field } } }
+    ]);
+
+    return result && result.average ? result.average : null;
+  }
+
+  /**
+   * Check whether a rule's condition holds for a value
+   * @param {Object} rule - Alert rule
+   * @param {number} value - Current metric value
+   * @param {number|null} baseline - Window average (spike rules)
+   * @returns {boolean} True if the condition holds
+   */
+  isConditionMet(rule, value, baseline) {
+    const previous = rule.state.lastValue;
+
+    switch (rule.condition) {
+      case 'above':
+        return value > rule.threshold;
+      case 'below':
+        return value < rule.threshold;
+      case 'crosses_above':
+        return previous !== null && previous <= rule.threshold && value > rule.threshold;
+      case 'crosses_below':
+        return previous !== null && previous >= rule.threshold && value < rule.threshold;
+      case 'spike':
+        return baseline !== null && value >= baseline * rule.multiplier;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Describe a triggered rule for logs and notifications
+   * @param {Object} rule - Alert rule
+   * @param {number} value - Metric value
+   * @param {number|null} baseline - Window average (spike rules)
+   * @returns {string} Message
+   */
+  describe(rule, value, baseline) {
+    if (rule.condition === 'spike') {
+      return `${rule.symbol} ${rule.metric} ${value} is ${(value / baseline).toFixed(2)}x its ${rule.windowDays}-day average`;
+    }
+
+    const conditionText = rule.condition.replace('_', ' ');
+    return `${rule.symbol} ${rule.metric} ${conditionText} ${rule.threshold} (now ${value})`;
+  }
+
+  /**
+   * Evaluate every active rule against the latest stored data
+   * @returns {Promise<Object>} { evaluated, triggered, events }
+   */
+  async evaluateRules() {
+    const rules = await AlertRule.getActiveRules();
+    if (rules.length === 0) {
+      return { evaluated: 0, triggered: 0, events: [] };
+    }
+
+    const snapshots = await this.getLatestSnapshots(rules);
+    const events = [];
+    let evaluated = 0;
+
+    for (const rule of rules) {
+      try {
+        const snapshot = this.findSnapshot(rule, snapshots);
+        const value = snapshot ? this.getMetricValue(rule, snapshot) : null;
+
+        if (value === null || value === undefined) {
+          continue;
+        }
+
+        const baseline = rule.condition === 'spike' ? await this.getBaseline(rule, snapshot) : null;
+        const conditionMet = this.isConditionMet(rule, value, baseline);
+        const now = new Date();
+
+        // Only the transition into the condition fires, and never within the cooldown
+        const cooledDown = !rule.state.lastTriggeredAt ||
+          now - rule.state.lastTriggeredAt >= rule.cooldownMinutes * 60 * 1000;
+
+        const fires = conditionMet && !rule.state.conditionMet && cooledDown;
+
+        if (fires) {
+          const event = await AlertEvent.create({
+            rule: rule._id,
+            ruleName: rule.name,
+            symbol: rule.symbol,
+            metric: rule.metric,
+            condition: rule.condition,
+            threshold: rule.condition === 'spike' ? null : rule.threshold,
+            value,
+            baseline,
+            currency: rule.currency,
+            message: this.describe(rule, value, baseline),
+            triggeredAt: now
+          });
+
+          console.log(`Alert triggered: ${event.message}`);
+          publish(EVENTS.ALERT_TRIGGERED, event.toJSON());
+          events.push(event);
+          rule.state.lastTriggeredAt = now;
+          rule.state.triggerCount += 1;
+        }
+
+        // A condition that became true during the cooldown stays unmet, so it fires once
+        // the cooldown is over if it still holds
+        rule.state.conditionMet = conditionMet && (fires || rule.state.conditionMet);
+        rule.state.lastValue = value;
+        rule.state.lastEvaluatedAt = now;
+        await rule.save();
+        evaluated++;
+
+      } catch (error) {
+        console.error(`Error evaluating alert rule ${rule.name}:`, error.message);
+      }
+    }
+
+    return {
+      evaluated,
+      triggered: events.length,
+      events
+    };
+  }
+}
+
+module.exports = AlertService;
@@ -0,0 +1,218 @@
+const Asset = require('../models/Asset');
+const { createProvider } = require('./providers');
+
+const providerKey = (provider, id) => `${provider}:${id}`;
+
+/**
+ * Asset registry service
+ * Maps provider-specific coin ids onto canonical Asset documents so coins that
+ * share a ticker symbol are stored and queried separately
+ */
+class AssetRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {MarketDataProvider} options.platformProvider - Provider used to sync contract addresses
+   */
+  constructor(options = {}) {
+    this.platformProvider = options.platformProvider || createProvider('coingecko');
+  }
+
+  /**
+   * Look up registered assets by provider id, one query per provider
+   * @param {Array} externalIds - { provider, id } pairs
+   * @returns {Promise<Map>} Assets keyed by provider:id
+   */
+  async findByProviderIds(externalIds) {
+    const assetsByKey = new Map();
+    const idsByProvider = new Map();
+    externalIds.forEach(({ provider, id }) => {
+      if (!idsByProvider.has(provider)) {
+        idsByProvider.set(provider, []);
+      }
+      idsByProvider.get(provider).push(id);
+    });
+
+    for (const [provider, ids] of idsByProvider) {
+      const assets = await Asset.find({
+        providerIds: { $elemMatch: { provider, id: { $in: ids } } }
+      });
+
+      assets.forEach(asset => {
+        assetsByKey.set(providerKey(provider, asset.getProviderId(provider)), asset);
+      });
+    }
+
+    return assetsByKey;
+  }
+
+  /**
+   * Recover from writes that lost a race with another instance registering the same
+   * provider id: they fail on the unique provider id index, so the asset that was
+   * stored instead is read back and used. Any other failure is rethrown
+   * @param {Error} error - Error thrown by an unordered bulk write
+   * @param {Function} externalIdAt - (operation index) => { provider, id } the write registered
+   * @param {Map} assetsByKey - Assets keyed by provider:id, updated with the stored assets
+   * @returns {Promise<void>}
+   */
+  async adoptRegistered(error, externalIdAt, assetsByKey) {
+    const writeErrors = error.writeErrors || [];
+    const duplicates = writeErrors.map(writeError => writeError.code === 11000 ? externalIdAt(writeError.index) : null);
+    if (writeErrors.length === 0 || duplicates.some(externalId => !externalId)) {
+      throw error;
+    }
+
+    const stored = await this.findByProviderIds(duplicates);
+    duplicates.forEach(({ provider, id }) => {
+      const asset = stored.get(providerKey(provider, id));
+      if (!asset) {
+        throw error;
+      }
+      assetsByKey.set(providerKey(provider, id), asset);
+    });
+  }
+
+  /**
+   * Resolve (creating where needed) the registry asset for every scraped item
+   * Items without an external id are returned unchanged
+   * @param {Array} cryptoData - Normalized crypto data with externalId
+   * @returns {Promise<Array>} Crypto data with asset and coinId set
+   */
+  async resolveAssets(cryptoData) {
+    const items = cryptoData.filter(crypto => crypto.externalId && crypto.externalId.id);
+    if (items.length === 0) {
+      return cryptoData;
+    }
+
+    const assetsByKey = await this.findByProviderIds(items.map(crypto => crypto.externalId));
+
+    // Unknown ids may be a coin another provider already registered under the same symbol and name
+    const unknown = items.filter(({ externalId }) => !assetsByKey.has(providerKey(externalId.provider, externalId.id)));
+    const candidates = unknown.length > 0
+      ? await Asset.find({ symbol: { $in: [...new Set(unknown.map(crypto => crypto.symbol))] } })
+      : [];
+
+    const operations = [];
+    const created = [];
+
+    for (const crypto of unknown) {
+      const { provider, id } = crypto.externalId;
+      const match = candidates.find(asset =>
+        asset.symbol === crypto.symbol &&
+        asset.name.toLowerCase() === crypto.name.toLowerCase() &&
+        !asset.getProviderId(provider)
+      );
+
+      if (match) {
+        match.providerIds.push({ provider, id });
+        operations.push({
+          updateOne: {
+            filter: { _id: match._id },
+            update: { $addToSet: { providerIds: { provider, id } } }
+          }
+        });
+        assetsByKey.set(providerKey(provider, id), match);
+      } else {
+        const asset = new Asset({
+          symbol: crypto.symbol,
+          name: crypto.name,
+          image: crypto.image,
+          providerIds: [{ provider, id }]
+        });
+        created.push(asset);
+        assetsByKey.set(providerKey(provider, id), asset);
+      }
+    }
+
+    // Track renames and ticker changes as aliases
+    items.forEach(crypto => {
+      const asset = assetsByKey.get(providerKey(crypto.externalId.provider, crypto.externalId.id));
+      if (asset.isNew || (asset.symbol === crypto.symbol && asset.name === crypto.name)) {
+        return;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: asset._id },
+          update: {
+            $set: { symbol: crypto.symbol, name: crypto.name },
+            $addToSet: { aliases: { $each: [asset.symbol, asset.name] } }
+          }
+        }
+      });
+      asset.symbol = crypto.symbol;
+      asset.name = crypto.name;
+    });
+
+    if (created.length > 0) {
+      await Asset.insertMany(created, { ordered: false })
+        .catch(error => this.adoptRegistered(error, index => created[index].providerIds[0], assetsByKey));
+    }
+    if (operations.length > 0) {
+      await Asset.bulkWrite(operations, { ordered: false })
+        .catch(error => this.adoptRegistered(error, index => operations[index].updateOne.update.$addToSet.providerIds, assetsByKey));
+    }
+
+    return cryptoData.map(crypto => {
+      if (!crypto.externalId || !crypto.externalId.id) {
+        return crypto;
+      }
+
+      const asset = assetsByKey.get(providerKey(crypto.externalId.provider, crypto.externalId.id));
+      return {
+        ...crypto,
+        asset: asset._id,
+        coinId: crypto.externalId.id
+      };
+    });
+  }
+
+  /**
+   * Sync contract addresses per chain for registered assets
+   * @returns {Promise<Object>} Sync result
+   */
+  async syncPlatforms() {
+    try {
+      const provider = this.platformProvider.name;
+      const assets = await Asset.find({ 'providerIds.provider': provider }).select('providerIds');
+      const knownIds = new Set(assets.map(asset => asset.getProviderId(provider)));
+
+      const coins = await this.platformProvider.fetchCoinList();
+
+      const operations = coins
+        .filter(coin => knownIds.has(coin.id) && coin.platforms)
+        .map(coin => ({
+          updateOne: {
+            filter: { providerIds: { $elemMatch: { provider, id: coin.id } } },
+            update: {
+              $set: {
+                platforms: Object.entries(coin.platforms)
+                  .filter(([chain, contractAddress]) => chain && contractAddress)
+                  .map(([chain, contractAddress]) => ({ chain, contractAddress }))
+              }
+            }
+          }
+        }));
+
+      const result = operations.length > 0
+        ? await Asset.bulkWrite(operations, { ordered: false })
+        : { modifiedCount: 0 };
+
+      console.log(`Synced contract addresses for ${result.modifiedCount} assets`);
+      return {
+        success: true,
+        message: `Synced contract addresses for ${result.modifiedCount} assets`,
+        modifiedCount: result.modifiedCount
+      };
+
+    } catch (error) {
+      console.error('Error syncing asset platforms:', error.message);
+      return {
+        success: false,
+        message: `Platform sync failed: ${error.message}`,
+        modifiedCount: 0
+      };
+    }
+  }
+}
+
+module.exports = AssetRegistry;
@@ -0,0 +1,125 @@
+/**
+ * Bulk ingestion pipeline
+ * Validates items against a Mongoose model and writes them as batched bulkWrite
+ * upserts, reporting saved/updated/skipped counts and per-item errors
+ */
+class BulkIngestor {
+  /**
+   * @param {Model} Model - Mongoose model to write to
+   * @param {Object} options - Ingestion options
+   * @param {Function} options.buildOperation - (item, doc) => { filter, update } for one upsert
+   * @param {Function} options.getKey - (item) => identifier used in error reports
+   * @param {number} options.batchSize - Operations per bulkWrite call
+   * @param {Function} options.onInserted - Called with the items that were newly inserted
+   */
+  constructor(Model, options = {}) {
+    this.Model = Model;
+    this.buildOperation = options.buildOperation;
+    this.getKey = options.getKey || (() => null);
+    this.batchSize = options.batchSize || 500;
+    this.onInserted = options.onInserted || null;
+  }
+
+  /**
+   * Extract the fields of a validated document that should be written
+   * @param {Document} doc - Validated document
+   * @returns {Object} Plain field values without _id, version or timestamps
+   */
+  static fieldsOf(doc) {
+    const fields = doc.toObject({ depopulate: true, flattenMaps: true });
+    delete fields._id;
+    delete fields.__v;
+    delete fields.createdAt;
+    delete fields.updatedAt;
+    return fields;
+  }
+
+  /**
+   * Validate and upsert items in batches
+   * @param {Array} items - Items to ingest
+   * @returns {Promise<Object>} { saved, updated, skipped, total, errors } where updated
+   * only counts existing rows that actually changed, and skipped counts invalid or failed
+   * items as well as existing rows left as they were, so the three add up to total
+   */
+  async ingest(items) {
+    const result = {
+      saved: 0,
+      updated: 0,
+      skipped: 0,
+      total: items.length,
+      errors: []
+    };
+
+    // Validate up front so one bad item never fails a whole batch
+    const operations = [];
+    const inserted = [];
+    items.forEach((item, index) => {
+      const doc = new this.Model(item);
+      const validationError = doc.validateSync();
+
+      if (validationError) {
+        result.skipped++;
+        result.errors.push({
+          index,
+          key: this.getKey(item),
+          message: Object.values(validationError.errors).map(error => error.message).join('; ')
+        });
+        return;
+      }
+
+      const { filter, update } = this.buildOperation(item, BulkIngestor.fieldsOf(doc));
+      operations.push({
+        index,
+        operation: { updateOne: { filter, update, upsert: true } }
+      });
+    });
+
+    for (let start = 0; start < operations.length; start += this.batchSize) {
+      const batch = operations.slice(start, start + this.batchSize);
+
+      try {
+        const writeResult = await this.Model.bulkWrite(batch.map(entry => entry.operation), { ordered: false });
+        result.saved += writeResult.upsertedCount;
+        result.updated += writeResult.modifiedCount;
+        result.skipped += writeResult.matchedCount - writeResult.modifiedCount;
+        Object.keys(writeResult.upsertedIds || {}).forEach(position => {
+          inserted.push(items[batch[position].index]);
+        });
+
+      } catch (error) {
+        // Unordered bulk writes still apply the operations that did not fail
+        const writeErrors = error.writeErrors || [];
+        if (writeErrors.length === 0) {
+          throw error;
+        }
+
+        if (error.result) {
+          result.saved += error.result.upsertedCount || 0;
+          result.updated += error.result.modifiedCount || 0;
+          result.skipped += (error.result.matchedCount || 0) - (error.result.modifiedCount || 0);
+          Object.keys(error.result.upsertedIds || {}).forEach(position => {
+            inserted.push(items[batch[position].index]);
+          });
+        }
+
+        writeErrors.forEach(writeError => {
+          const entry = batch[writeError.index];
+          result.skipped++;
+          result.errors.push({
+            index: entry.index,
+            key: this.getKey(items[entry.index]),
+            message: writeError.errmsg || writeError.message
+          });
+        });
+      }
+    }
+
+    if (this.onInserted && inserted.length > 0) {
+      this.onInserted(inserted);
+    }
+
+    return result;
+  }
+}
+
+module.exports = BulkIngestor;
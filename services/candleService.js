@@ -0,0 +1,165 @@
+const Crypto = require('../models/Crypto');
+const Candle = require('../models/Candle');
+const config = require('../config');
+const { CANDLE_RESOLUTIONS, bucketExpression, floorDate } = require('../utils/timeBuckets');
+
+/**
+ * Candle service for building OHLCV candles from stored crypto snapshots
+ * Candles are precomputed into their own collection so reads stay cheap
+ */
+class CandleService {
+  constructor() {
+    this.resolutions = Object.keys(CANDLE_RESOLUTIONS);
+    this.currencies = [...new Set([Crypto.BASE_CURRENCY, ...config.QUOTE_CURRENCIES])];
+    this.backfillDays = 30;
+    // Backfills stop at the retention cutoff, so the cleanup job doesn't delete them again
+    this.retentionDays = {
+      intraday: config.CANDLE_INTRADAY_RETENTION_DAYS,
+      hourly: config.CANDLE_HOURLY_RETENTION_DAYS,
+      daily: config.CANDLE_DAILY_RETENTION_DAYS
+    };
+  }
+
+  /**
+   * Build candles for one resolution from snapshots within a time range
+   * @param {string} resolution - Candle resolution (e.g. '1h')
+   * @param {Date} from - Range start (floored to the resolution)
+   * @param {Date} to - Range end
+   * @param {string} currency - Quote currency to build candles in
+   * @returns {Promise<Array>} Array of candle objects
+   */
+  async buildCandles(resolution, from, to, currency = Crypto.BASE_CURRENCY) {
+    const bucketMs = CANDLE_RESOLUTIONS[resolution];
+    const start = floorDate(from, bucketMs);
+    const prefix = currency === Crypto.BASE_CURRENCY ? '$' : `$quotes.${currency}.`;
+
+    const match = { timestamp: { $gte: start, $lte: to } };
+    if (currency !== Crypto.BASE_CURRENCY) {
+      match[`quotes.${currency}.price`] = { $exists: true };
+    }
+
+    const rows = await Crypto.aggregate([
+      { $match: match },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: {
+            symbol: '$symbol',
+            asset: '$asset',
+            openTime: bucketExpression('$timestamp', bucketMs)
+          },
+          open: { $first: `${prefix}price` },
+          high: { $max: `${prefix}price` },
+          low: { $min: `${prefix}price` },
+          close: { $last: `${prefix}price` },
+          volume: { $last: `${prefix}volume24h` },
+          samples: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const now = Date.now();
+
+    return rows.map(row => {
+      const openTime = new Date(row._id.openTime);
+      const closeTime = new Date(openTime.getTime() + bucketMs);
+
+      return {
+        symbol: row._id.symbol,
+        asset: row._id.asset || null,
+        currency,
+        resolution,
+        openTime,
+        closeTime,
+        open: row.open,
+        high: row.high,
+        low: row.low,
+        close: row.close,
+        volume: row.volume || 0,
+        samples: row.samples,
+        isClosed: closeTime.getTime() <= now
+      };
+    });
+  }
+
+  /**
+   * Save candles to database, replacing any existing candle for the same bucket
+   * @param {Array} candles - Array of candle objects
+   * @returns {Promise<Object>} Save result
+   */
+  async saveCandles(candles) {
+    if (candles.length === 0) {
+      return { saved: 0, updated: 0, total: 0 };
+    }
+
+    const result = await Candle.bulkWrite(candles.map(candle => ({
+      updateOne: {
+        filter: {
+          symbol: candle.symbol,
+          asset: candle.asset,
+          currency: candle.currency,
+          resolution: candle.resolution,
+          openTime: candle.openTime
+        },
+        update: { $set: candle },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    return {
+      saved: result.upsertedCount,
+      updated: result.modifiedCount,
+      total: candles.length
+    };
+  }
+
+  /**
+   * Rebuild candles for every resolution, backfilling a resolution that has no candles yet
+   * @returns {Promise<Object>} Refresh result keyed by resolution
+   */
+  async refreshCandles() {
+    try {
+      const now = new Date();
+      const results = {};
+
+      for (const resolution of this.resolutions) {
+        const bucketMs = CANDLE_RESOLUTIONS[resolution];
+
+        // Rebuild the current and previous bucket so late snapshots close the last candle
+        let from = new Date(now.getTime() - 2 * bucketMs);
+
+        const latest = await Candle.findOne({ resolution }).sort({ openTime: -1 }).select('openTime');
+        if (!latest) {
+          const keepDays = this.retentionDays[Candle.RETENTION_TIERS[resolution]];
+          const days = keepDays > 0 ? Math.min(this.backfillDays, keepDays) : this.backfillDays;
+          from = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+        } else if (latest.openTime < from) {
+          from = latest.openTime;
+        }
+
+        const candles = [];
+        for (const currency of this.currencies) {
+          candles.push(...await this.buildCandles(resolution, from, now, currency));
+        }
+        results[resolution] = await this.saveCandles(candles);
+      }
+
+      console.log('Candle refresh completed:', results);
+      return {
+        success: true,
+        message: 'Candles refreshed successfully',
+        result: results
+      };
+
+    } catch (error) {
+      console.error('Error refreshing candles:', error.message);
+      return {
+        success: false,
+        message: `Candle refresh failed: ${error.message}`,
+        result: {}
+      };
+    }
+  }
+}
+
+module.exports = CandleService;
@@ -0,0 +1,315 @@
+const cron = require('node-cron');
+const { isValidSchedule, nextRun, firesAt, previousRun } = require('../utils/cronSchedule');
+const { LeaseHeldError } = require('./jobLock');
+
+/**
+ * Base class for the cron services. Keeps each job's schedule, pause state and
+ * last run, so jobs can be listed, paused, resumed, rescheduled and run on demand
+ * With a JobLock, each run first takes the job's lease, so instances sharing the
+ * database never run the same job at once. With a JobRegistry, each cron run first
+ * applies the job's saved pause and schedule, which another instance may have
+ * changed. Subclasses implement defineJobs()
+ */
+class CronJobService {
+  /**
+   * @param {string} label - Name used in log messages (e.g. 'Crypto cron service')
+   * @param {string} scope - Prefix of this service's job ids (e.g. 'crypto' for crypto.scraping)
+   * @param {Object} options - Service options
+   * @param {JobLock} options.lock - Optional lock shared with other instances
+   * @param {JobRegistry} options.overrides - Optional registry holding the saved pauses and schedules
+   */
+  constructor(label, scope, options = {}) {
+    this.label = label;
+    this.scope = scope;
+    this.lock = options.lock || null;
+    this.overrides = options.overrides || null;
+    this.jobs = new Map();
+    this.isRunning = false;
+  }
+
+  /**
+   * Define the jobs this service can run
+   * @param {string} schedule - Schedule of the scraping job
+   * @returns {Object} Job name to { schedule, description, run(trigger), logWhen(result) }
+   * where the optional logWhen keeps frequent jobs quiet unless their result is worth logging
+   */
+  defineJobs(schedule) {
+    throw new Error(`${this.constructor.name} must implement defineJobs()`);
+  }
+
+  /**
+   * Start the cron service
+   * @param {string} schedule - Cron schedule expression of the scraping job
+   * @param {Array<string>} enabledJobs - Jobs to run (default: all)
+   */
+  start(schedule, enabledJobs = null) {
+    if (this.isRunning) {
+      console.log(`${this.label} is already running`);
+      return;
+    }
+
+    console.log(`Starting ${this.label.toLowerCase()} with schedule: ${schedule}`);
+
+    Object.entries(this.defineJobs(schedule)).forEach(([name, definition]) => {
+      if (enabledJobs && !enabledJobs.includes(name)) {
+        return;
+      }
+
+      const job = {
+        ...definition,
+        name,
+        defaultSchedule: definition.schedule,
+        paused: false,
+        running: false,
+        lastRunAt: null,
+        lastDurationMs: null,
+        lastError: null,
+        lastSkippedAt: null
+      };
+      job.task = this.scheduleTask(job);
+      job.task.start();
+      this.jobs.set(name, job);
+    });
+
+    this.isRunning = true;
+    console.log(`${this.label} started successfully`);
+  }
+
+  /**
+   * Stop the cron service
+   */
+  stop() {
+    if (!this.isRunning) {
+      console.log(`${this.label} is not running`);
+      return;
+    }
+
+    console.log(`Stopping ${this.label.toLowerCase()}...`);
+
+    // Stop all jobs
+    this.jobs.forEach((job, name) => {
+      job.task.stop();
+      console.log(`Stopped ${name} job`);
+    });
+
+    this.jobs.clear();
+    this.isRunning = false;
+    console.log(`${this.label} stopped`);
+  }
+
+  /**
+   * Create the (stopped) cron task for a job
+   * @param {Object} job - Job entry
+   * @returns {ScheduledTask} node-cron task
+   */
+  scheduleTask(job) {
+    return cron.schedule(job.schedule, () => {
+      // The scheduled time, identical on every instance even if this callback ran late
+      const firedAt = previousRun(job.schedule) || new Date(Math.floor(Date.now() / 1000) * 1000);
+      this.execute(job, 'cron', firedAt).catch(error => {
+        if (error instanceof LeaseHeldError) {
+          job.lastSkippedAt = new Date();
+          if (!job.logWhen) {
+            console.log(`Skipping ${job.description.toLowerCase()}: ${error.message}`);
+          }
+        }
+      });
+    }, {
+      scheduled: false,
+      timezone: 'UTC'
+    });
+  }
+
+  /**
+   * Get the id of a job, unique across services
+   * @param {string} name - Job name
+   * @returns {string} Job id (<scope>.<name>)
+   */
+  jobId(name) {
+    return `${this.scope}.${name}`;
+  }
+
+  /**
+   * Apply a job's saved pause and schedule before a cron run
+   * @param {Object} job - Job entry
+   * @param {Date} firedAt - Time the cron task fired
+   * @returns {Promise<boolean>} True if the job is still due at that time
+   */
+  async syncJob(job, firedAt) {
+    if (!this.overrides) {
+      return true;
+    }
+
+    try {
+      await this.overrides.sync(this, job.name);
+    } catch (error) {
+      console.error(`Error loading the saved schedule of ${this.jobId(job.name)}, using the current one:`, error.message);
+      return true;
+    }
+
+    return !job.paused && firesAt(job.schedule, firedAt);
+  }
+
+  /**
+   * Run a job, holding its lease if the service has a lock
+   * @param {Object} job - Job entry
+   * @param {string} trigger - What started the run (cron, manual or api)
+   * @param {Date} firedAt - Time the cron task fired (cron runs only)
+   * @returns {Promise<*>} Job result, or null if the job was paused or rescheduled elsewhere
+   * @throws {LeaseHeldError} If the job is running on another instance, or another instance already ran this cron run
+   */
+  async execute(job, trigger, firedAt = null) {
+    if (firedAt && !(await this.syncJob(job, firedAt))) {
+      return null;
+    }
+
+    if (!this.lock) {
+      return this.record(job, trigger);
+    }
+    return this.lock.withLease(this.jobId(job.name), () => this.record(job, trigger), firedAt);
+  }
+
+  /**
+   * Run a job and record the outcome on it
+   * @param {Object} job - Job entry
+   * @param {string} trigger - What started the run (cron, manual or api)
+   * @returns {Promise<*>} Job result
+   */
+  async record(job, trigger) {
+    if (!job.logWhen) {
+      console.log(`Running ${job.description.toLowerCase()} (${trigger})...`);
+    }
+
+    job.running = true;
+    job.lastRunAt = new Date();
+    try {
+      const result = await job.run(trigger);
+      job.lastError = null;
+      if (!job.logWhen || job.logWhen(result)) {
+        console.log(`${job.description} completed:`, result);
+      }
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`${job.description} failed:`, error.message);
+      throw error;
+    } finally {
+      job.running = false;
+      job.lastDurationMs = Date.now() - job.lastRunAt.getTime();
+    }
+  }
+
+  /**
+   * Get a job by name
+   * @param {string} name - Job name
+   * @returns {Object} Job entry
+   */
+  getJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job "${name}"`);
+    }
+    return job;
+  }
+
+  /**
+   * Describe the jobs for listing
+   * @returns {Array<Object>} { id, name, description, schedule, defaultSchedule, paused, nextRunAt, running, lastRunAt, lastDurationMs, lastError, lastSkippedAt }
+   */
+  getJobs() {
+    return Array.from(this.jobs.values()).map(job => ({
+      id: this.jobId(job.name),
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      defaultSchedule: job.defaultSchedule,
+      paused: job.paused,
+      nextRunAt: job.paused ? null : nextRun(job.schedule),
+      running: job.running,
+      lastRunAt: job.lastRunAt,
+      lastDurationMs: job.lastDurationMs,
+      lastError: job.lastError,
+      lastSkippedAt: job.lastSkippedAt
+    }));
+  }
+
+  /**
+   * Stop a job from firing until it is resumed
+   * @param {string} name - Job name
+   */
+  pauseJob(name) {
+    const job = this.getJob(name);
+    job.task.stop();
+    job.paused = true;
+    console.log(`Paused ${name} job`);
+  }
+
+  /**
+   * Let a paused job fire again
+   * @param {string} name - Job name
+   */
+  resumeJob(name) {
+    const job = this.getJob(name);
+    job.task.start();
+    job.paused = false;
+    console.log(`Resumed ${name} job`);
+  }
+
+  /**
+   * Change a job's schedule. A paused job stays paused
+   * @param {string} name - Job name
+   * @param {string} schedule - New cron schedule expression
+   */
+  rescheduleJob(name, schedule) {
+    if (!isValidSchedule(schedule)) {
+      throw new Error(`Invalid cron expression "${schedule}"`);
+    }
+
+    const job = this.getJob(name);
+    job.task.stop();
+    job.schedule = schedule;
+    job.task = this.scheduleTask(job);
+    if (!job.paused) {
+      job.task.start();
+    }
+    console.log(`Rescheduled ${name} job: ${schedule}`);
+  }
+
+  /**
+   * Run a job now, outside of its schedule
+   * @param {string} name - Job name
+   * @param {string} trigger - What started the run (default: manual)
+   * @returns {Promise<*>} Job result
+   */
+  async runJob(name, trigger = 'manual') {
+    return this.execute(this.getJob(name), trigger);
+  }
+
+  /**
+   * Get service status
+   * @returns {Object} Service status information
+   */
+  getStatus() {
+    const activeJobs = Array.from(this.jobs.values()).filter(job => !job.paused).map(job => job.name);
+    return {
+      isRunning: this.isRunning,
+      activeJobs,
+      jobCount: this.jobs.size
+    };
+  }
+
+  /**
+   * Update scraping schedule
+   * @param {string} newSchedule - New cron schedule expression
+   */
+  updateSchedule(newSchedule) {
+    if (!this.isRunning) {
+      console.log(`${this.label} is not running`);
+      return;
+    }
+
+    this.rescheduleJob('scraping', newSchedule);
+  }
+}
+
+module.exports = CronJobService;
@@ -1,111 +1,78 @@
-const cron = require('node-cron');
+const config = require('../config');
 const CryptoScraper = require('./cryptoScraper');
+const CandleService = require('./candleService');
+const AssetRegistry = require('./assetRegistry');
+const WebhookService = require('./webhookService');
+const RetentionService = require('./retentionService');
+const CronJobService = require('./cronJobService');
 
 /**
  * Cron service for automated cryptocurrency data scraping
  * Handles scheduled scraping tasks and maintenance
  */
-class CryptoCronService {
-  constructor() {
-    this.scraper = new CryptoScraper();
-    this.jobs = new Map();
-    this.isRunning = false;
-  }
-
+class CryptoCronService extends CronJobService {
   /**
-   * Start the cron service
-   * @param {string} schedule - Cron schedule expression (default: every hour)
+   * @param {Object} options - { lock } shared with other instances so each job runs once
    */
-  start(schedule = '0 * * * *') {
-    if (this.isRunning) {
-      console.log('Crypto cron service is already running');
-      return;
-    }
-
-    console.log(`Starting crypto cron service with schedule: ${schedule}`);
-    
-    // Main scraping job
-    const scrapingJob = cron.schedule(schedule, async () => {
-      console.log('Running scheduled crypto scraping...');
-      try {
-        const result = await this.scraper.performScraping();
-        console.log('Scheduled crypto scraping completed:', result);
-      } catch (error) {
-        console.error('Scheduled crypto scraping failed:', error.message);
-      }
-    }, {
-      scheduled: false,
-      timezone: 'UTC'
-    });
-
-    // Cleanup job (runs daily at 3 AM UTC)
-    const cleanupJob = cron.schedule('0 3 * * *', async () => {
-      console.log('Running daily crypto cleanup...');
-      try {
-        const result = await this.scraper.cleanupOldData(24); // Clean data older than 24 hours
-        console.log('Daily crypto cleanup completed:', result);
-      } catch (error) {
-        console.error('Daily crypto cleanup failed:', error.message);
-      }
-    }, {
-      scheduled: false,
-      timezone: 'UTC'
-    });
-
-    // Store job references
-    this.jobs.set('scraping', scrapingJob);
-    this.jobs.set('cleanup', cleanupJob);
-
-    // Start the jobs
-    scrapingJob.start();
-    cleanupJob.start();
-    
-    this.isRunning = true;
-    console.log('Crypto cron service started successfully');
-  }
-
-  /**
-   * Stop the cron service
-   */
-  stop() {
-    if (!this.isRunning) {
-      console.log('Crypto cron service is not running');
-      return;
-    }
-
-    console.log('Stopping crypto cron service...');
-    
-    // Stop all jobs
-    this.jobs.forEach((job, name) => {
-      job.stop();
-      console.log(`Stopped ${name} job`);
-    });
-
-    this.jobs.clear();
-    this.isRunning = false;
-    console.log('Crypto cron service stopped');
+  constructor(options = {}) {
+    super('Crypto cron service', 'crypto', options);
+    this.scraper = new CryptoScraper();
+    this.retentionHours = config.CRYPTO_RETENTION_HOURS;
+    this.candleService = new CandleService();
+    this.assetRegistry = new AssetRegistry();
+    this.webhookService = new WebhookService();
+    this.retentionService = new RetentionService();
   }
 
   /**
-   * Get service status
-   * @returns {Object} Service status information
+   * Define the crypto jobs
+   * @param {string} schedule - Cron schedule expression of the scraping job (default: every hour)
+   * @returns {Object} Job definitions by name
    */
-  getStatus() {
+  defineJobs(schedule = '0 * * * *') {
     return {
-      isRunning: this.isRunning,
-      activeJobs: Array.from(this.jobs.keys()),
-      jobCount: this.jobs.size
+      scraping: {
+        schedule,
+        description: 'Crypto scraping',
+        run: trigger => this.scraper.performScraping({ trigger })
+      },
+      // Default: daily at 3 AM UTC
+      cleanup: {
+        schedule: config.CRYPTO_CLEANUP_SCHEDULE,
+        description: 'Crypto cleanup',
+        run: () => this.performMaintenance()
+      },
+      // Default: every 5 minutes
+      candles: {
+        schedule: config.CANDLE_SCHEDULE,
+        description: 'Crypto candle refresh',
+        run: () => this.candleService.refreshCandles()
+      },
+      // Syncs contract addresses (default: daily at 4 AM UTC)
+      assets: {
+        schedule: config.ASSET_SYNC_SCHEDULE,
+        description: 'Crypto asset registry sync',
+        run: () => this.assetRegistry.syncPlatforms()
+      },
+      // Default: every 15 seconds, so only sweeps that delivered something are logged
+      webhooks: {
+        schedule: config.WEBHOOK_RETRY_SCHEDULE,
+        description: 'Webhook retry sweep',
+        run: () => this.webhookService.processDueDeliveries(),
+        logWhen: result => result.processed > 0
+      }
     };
   }
 
   /**
    * Trigger immediate scraping (outside of schedule)
+   * @param {Object} options - { trigger } recorded in the scrape run ledger (default: 'manual')
    * @returns {Promise<Object>} Scraping result
    */
-  async triggerScraping() {
+  async triggerScraping({ trigger = 'manual' } = {}) {
     console.log('Triggering immediate crypto scraping...');
     try {
-      const result = await this.scraper.performScraping();
+      const result = await this.scraper.performScraping({ trigger });
       console.log('Immediate crypto scraping completed:', result);
       return result;
     } catch (error) {
@@ -115,54 +82,23 @@ class CryptoCronService {
   }
 
   /**
-   * Update scraping schedule
-   * @param {string} newSchedule - New cron schedule expression
-   */
-  updateSchedule(newSchedule) {
-    if (!this.isRunning) {
-      console.log('Crypto cron service is not running');
-      return;
-    }
-
-    console.log(`Updating crypto scraping schedule to: ${newSchedule}`);
-    
-    // Stop current scraping job
-    const currentJob = this.jobs.get('scraping');
-    if (currentJob) {
-      currentJob.stop();
-    }
-
-    // Create new job with updated schedule
-    const newJob = cron.schedule(newSchedule, async () => {
-      console.log('Running scheduled crypto scraping with new schedule...');
-      try {
-        const result = await this.scraper.performScraping();
-        console.log('Scheduled crypto scraping completed:', result);
-      } catch (error) {
-        console.error('Scheduled crypto scraping failed:', error.message);
-      }
-    }, {
-      scheduled: false,
-      timezone: 'UTC'
-    });
-
-    // Start new job and update reference
-    newJob.start();
-    this.jobs.set('scraping', newJob);
-    
-    console.log('Crypto schedule updated successfully');
-  }
-
-  /**
-   * Perform maintenance tasks
+   * Perform maintenance tasks: retire stale rows from the current listings, then
+   * apply the retention tiers
    * @returns {Promise<Object>} Maintenance result
    */
   async performMaintenance() {
     console.log('Performing crypto maintenance tasks...');
     try {
-      const cleanupResult = await this.scraper.cleanupOldData(24);
-      console.log('Crypto maintenance completed:', cleanupResult);
-      return cleanupResult;
+      const cleanupResult = await this.scraper.cleanupOldData(this.retentionHours);
+      const retentionResult = await this.retentionService.apply();
+      const result = {
+        success: cleanupResult.success && retentionResult.success,
+        message: `${cleanupResult.message}. ${retentionResult.message}`,
+        modifiedCount: cleanupResult.modifiedCount,
+        retention: retentionResult
+      };
+      console.log('Crypto maintenance completed:', result);
+      return result;
     } catch (error) {
       console.error('Crypto maintenance failed:', error.message);
       throw error;
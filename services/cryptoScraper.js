@@ -1,110 +1,329 @@
-const axios = require('axios');
 const Crypto = require('../models/Crypto');
+const CrawlState = require('../models/CrawlState');
+const config = require('../config');
+const { createProviders } = require('./providers');
+const PriceConsensus = require('./priceConsensus');
+const AssetRegistry = require('./assetRegistry');
+const BulkIngestor = require('./bulkIngestor');
+const AlertService = require('./alertService');
+const ScrapeRun = require('../models/ScrapeRun');
+const { EVENTS, STREAM_EVENTS, publish } = require('./eventBus');
 
 /**
- * Cryptocurrency scraper service using CoinGecko API
+ * Cryptocurrency scraper service backed by pluggable market data providers
  * Scrapes live cryptocurrency data and stores it in MongoDB
  */
 class CryptoScraper {
-  constructor() {
-    this.apiBaseUrl = 'https://api.coingecko.com/api/v3';
-    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+  /**
+   * @param {Object} options - Scraper options
+   * @param {Array<MarketDataProvider>} options.providers - Providers in fallback order
+   * @param {PriceConsensus} options.consensus - Optional consensus layer applied to scraped prices
+   */
+  constructor(options = {}) {
+    this.providers = options.providers || createProviders(config.MARKET_PROVIDERS);
+    this.currencies = options.currencies || config.QUOTE_CURRENCIES;
+    this.crawlDepth = options.crawlDepth || config.CRAWL_DEPTH;
+    this.pageSize = options.pageSize || config.CRAWL_PAGE_SIZE;
+    this.resumeWindowMinutes = config.CRAWL_RESUME_WINDOW_MINUTES;
+    this.assetRegistry = options.assetRegistry || new AssetRegistry();
+    this.alertService = options.alertService || new AlertService();
+
+    // Update the row written in the last 5 minutes for the same asset (or symbol for
+    // unregistered coins), otherwise insert a new snapshot
+    this.ingestor = new BulkIngestor(Crypto, {
+      getKey: crypto => crypto.symbol,
+      buildOperation: (crypto, fields) => ({
+        // One row per coin per snapshot; rows saved outside a crawl merge within 5 minutes
+        filter: {
+          ...(fields.asset ? { asset: fields.asset } : { symbol: fields.symbol }),
+          ...(fields.snapshot
+            ? { snapshot: fields.snapshot }
+            : { timestamp: { $gte: new Date(Date.now() - 5 * 60 * 1000) } })
+        },
+        update: { $set: fields }
+      })
+    });
+
+    this.consensus = options.consensus || null;
+    if (!options.consensus && config.CONSENSUS_PROVIDERS.length > 0) {
+      this.consensus = new PriceConsensus({
+        providers: createProviders(config.CONSENSUS_PROVIDERS),
+        madThreshold: config.CONSENSUS_MAD_THRESHOLD
+      });
+    }
   }
 
   /**
-   * Scrape cryptocurrency data from CoinGecko API
+   * Scrape one page of market data from a provider, applying consensus and currency quotes
+   * @param {MarketDataProvider} provider - Provider to scrape
+   * @param {Object} pageOptions - Page to fetch ({ page, perPage })
+   * @returns {Promise<Array>} Array of cryptocurrency data (empty past the provider's last page)
+   */
+  async scrapePage(provider, pageOptions) {
+    const cryptoData = await provider.getMarkets(pageOptions);
+
+    if (cryptoData.length === 0) {
+      return cryptoData;
+    }
+
+    console.log(`Scraped ${cryptoData.length} cryptocurrencies from ${provider.name} (page ${pageOptions.page})`);
+
+    const pricedData = this.consensus ? await this.consensus.apply(cryptoData) : cryptoData;
+    return this.addCurrencyQuotes(provider, pricedData, pageOptions);
+  }
+
+  /**
+   * Describe a provider failure for the scrape run ledger
+   * @param {MarketDataProvider} provider - Provider that failed
+   * @param {Error} error - Error it failed with
+   * @returns {Object} { provider, httpStatus, message }
+   */
+  static describeProviderError(provider, error) {
+    return {
+      provider: provider.name,
+      httpStatus: error.response ? error.response.status : provider.lastStatus,
+      message: error.message
+    };
+  }
+
+  /**
+   * Scrape a page, falling back to the next provider when one fails
+   * @param {Object} pageOptions - Page to fetch ({ page, perPage })
+   * @returns {Promise<Object>} { provider, cryptoData, providerErrors } where providerErrors lists the providers skipped
+   */
+  async scrapeWithFallback(pageOptions) {
+    const providerErrors = [];
+
+    for (const provider of this.providers) {
+      try {
+        const cryptoData = await this.scrapePage(provider, pageOptions);
+
+        if (cryptoData.length === 0) {
+          throw new Error('Provider returned no data');
+        }
+
+        return { provider, cryptoData, providerErrors };
+
+      } catch (error) {
+        console.error(`Error scraping from ${provider.name}:`, error.message);
+        providerErrors.push(CryptoScraper.describeProviderError(provider, error));
+      }
+    }
+
+    const failures = providerErrors.map(failure => `${failure.provider}: ${failure.message}`);
+    const error = new Error(`Crypto scraping failed: ${failures.join('; ') || 'no providers configured'}`);
+    error.providerErrors = providerErrors;
+    throw error;
+  }
+
+  /**
+   * Scrape cryptocurrency data, falling back to the next provider when one fails
+   * @param {Object} pageOptions - Page to fetch ({ page, perPage })
    * @returns {Promise<Array>} Array of cryptocurrency data
    */
-  async scrapeCryptoData() {
-    try {
-      console.log('Starting cryptocurrency data scraping...');
-      
-      const response = await axios.get(`${this.apiBaseUrl}/coins/markets`, {
-        params: {
-          vs_currency: 'usd',
-          order: 'market_cap_desc',
-          per_page: 100,
-          page: 1,
-          sparkline: false,
-          price_change_percentage: '24h'
-        },
-        headers: {
-          'User-Agent': this.userAgent,
-          'Accept': 'application/json',
-        },
-        timeout: 15000
+  async scrapeCryptoData(pageOptions = { page: 1, perPage: 100 }) {
+    console.log('Starting cryptocurrency data scraping...');
+    const { cryptoData } = await this.scrapeWithFallback(pageOptions);
+    return cryptoData;
+  }
+
+  /**
+   * Crawl provider pages sequentially up to the configured depth, saving each page.
+   * An interrupted crawl is resumed from its last completed page on the next run
+   * @returns {Promise<Object>} Save result totals with page progress
+   */
+  async crawlMarkets() {
+    const depth = this.crawlDepth;
+    const pageSize = Math.min(this.pageSize, depth);
+    const totalPages = Math.ceil(depth / pageSize);
+    const totals = { saved: 0, updated: 0, skipped: 0, total: 0 };
+    const errors = [];
+    const providerErrors = [];
+
+    let provider = null;
+    let state = await CrawlState.findResumable({
+      depth,
+      pageSize,
+      windowMinutes: this.resumeWindowMinutes
+    });
+
+    if (state) {
+      provider = this.providers.find(candidate => candidate.name === state.provider) || null;
+    }
+
+    if (state && provider) {
+      console.log(`Resuming ${provider.name} crawl from page ${state.lastCompletedPage + 1} of ${totalPages}`);
+      state.status = 'running';
+      state.attempts += 1;
+      state.error = '';
+      Object.assign(totals, {
+        saved: state.counts.saved,
+        updated: state.counts.updated,
+        skipped: state.counts.skipped,
+        total: state.counts.total
       });
+      await state.save();
+    } else {
+      state = await CrawlState.createVersioned({ depth, pageSize, totalPages });
+    }
 
-      const cryptoData = response.data.map(coin => ({
-        name: coin.name,
-        symbol: coin.symbol.toUpperCase(),
-        price: coin.current_price || 0,
-        marketCap: coin.market_cap || 0,
-        change24h: coin.price_change_percentage_24h || 0,
-        volume24h: coin.total_volume || 0,
-        rank: coin.market_cap_rank || 0,
-        image: coin.image || '',
-        timestamp: new Date(),
-        isActive: true
-      }));
+    try {
+      for (let page = state.lastCompletedPage + 1; page <= totalPages; page++) {
+        const pageOptions = { page, perPage: pageSize };
+        let cryptoData;
 
-      console.log(`Scraped ${cryptoData.length} cryptocurrencies`);
-      return cryptoData;
+        if (provider) {
+          try {
+            cryptoData = await this.scrapePage(provider, pageOptions);
+          } catch (error) {
+            error.providerErrors = [CryptoScraper.describeProviderError(provider, error)];
+            throw error;
+          }
+        } else {
+          // The first page picks the provider; later pages stay on it so ranks line up
+          const scraped = await this.scrapeWithFallback(pageOptions);
+          provider = scraped.provider;
+          cryptoData = scraped.cryptoData;
+          providerErrors.push(...scraped.providerErrors);
+          state.provider = provider.name;
+        }
+
+        // Provider has no more coins
+        if (cryptoData.length === 0) {
+          break;
+        }
+
+        const saveResult = await this.saveCryptoData(cryptoData.slice(0, depth - (page - 1) * pageSize), state.version);
+        totals.saved += saveResult.saved;
+        totals.updated += saveResult.updated;
+        totals.skipped += saveResult.skipped;
+        totals.total += saveResult.total;
+        errors.push(...saveResult.errors.slice(0, 100 - errors.length));
+
+        state.counts = totals;
+        state.lastCompletedPage = page;
+        await state.save();
+      }
+
+      state.status = 'completed';
+      state.completedAt = new Date();
+      await state.save();
+
+      return {
+        ...totals,
+        errors,
+        provider: state.provider,
+        httpStatus: provider ? provider.lastStatus : null,
+        providerErrors,
+        pages: state.lastCompletedPage,
+        snapshot: state.version
+      };
 
     } catch (error) {
-      console.error('Error during crypto scraping:', error.message);
-      throw new Error(`Crypto scraping failed: ${error.message}`);
+      state.status = 'failed';
+      state.error = error.message;
+      state.counts = totals;
+      await state.save().catch(saveError => {
+        console.error('Error saving crawl state:', saveError.message);
+      });
+
+      providerErrors.push(...(error.providerErrors || []));
+
+      error.partialResult = {
+        ...totals,
+        errors,
+        provider: state.provider,
+        httpStatus: provider ? provider.lastStatus : null,
+        providerErrors,
+        pages: state.lastCompletedPage,
+        snapshot: state.version
+      };
+      throw error;
+    }
+  }
+
+  /**
+   * Attach per-currency quotes from the provider that served the base data
+   * Currencies the provider cannot price in are skipped for this run
+   * @param {MarketDataProvider} provider - Provider that served the base data
+   * @param {Array} cryptoData - Crypto data priced in the base currency
+   * @param {Object} pageOptions - Page that was fetched ({ page, perPage })
+   * @returns {Promise<Array>} Crypto data with a quotes map
+   */
+  async addCurrencyQuotes(provider, cryptoData, pageOptions) {
+    const toQuote = crypto => ({
+      price: crypto.price,
+      marketCap: crypto.marketCap,
+      volume24h: crypto.volume24h,
+      change24h: crypto.change24h
+    });
+
+    const withQuotes = cryptoData.map(crypto => ({
+      ...crypto,
+      quotes: { [Crypto.BASE_CURRENCY]: toQuote(crypto) }
+    }));
+
+    for (const currency of this.currencies) {
+      if (currency === Crypto.BASE_CURRENCY) {
+        continue;
+      }
+
+      if (!provider.supportsCurrency(currency)) {
+        console.log(`${provider.name} cannot quote ${currency.toUpperCase()}, skipping`);
+        continue;
+      }
+
+      try {
+        const quoted = await provider.getMarkets({ ...pageOptions, currency });
+        const quoteKey = crypto => (crypto.externalId ? crypto.externalId.id : crypto.symbol);
+        const byCoin = new Map(quoted.map(crypto => [quoteKey(crypto), crypto]));
+
+        withQuotes.forEach(crypto => {
+          const match = byCoin.get(quoteKey(crypto));
+          if (match) {
+            crypto.quotes[currency] = toQuote(match);
+          }
+        });
+
+      } catch (error) {
+        console.error(`Error fetching ${currency.toUpperCase()} quotes from ${provider.name}:`, error.message);
+      }
     }
+
+    return withQuotes;
   }
 
   /**
    * Save cryptocurrency data to database
    * @param {Array} cryptoData - Array of crypto data to save
+   * @param {number} snapshot - Version of the market snapshot the rows belong to
    * @returns {Promise<Object>} Save result
    */
-  async saveCryptoData(cryptoData) {
+  async saveCryptoData(cryptoData, snapshot = null) {
     try {
-      let savedCount = 0;
-      let updatedCount = 0;
-      let skippedCount = 0;
-
-      for (const crypto of cryptoData) {
-        try {
-          // Check if crypto already exists (by symbol and recent timestamp)
-          const existingCrypto = await Crypto.findOne({ 
-            symbol: crypto.symbol,
-            timestamp: { $gte: new Date(Date.now() - 5 * 60 * 1000) } // Within last 5 minutes
-          });
-          
-          if (existingCrypto) {
-            // Update existing crypto with new data
-            existingCrypto.price = crypto.price;
-            existingCrypto.marketCap = crypto.marketCap;
-            existingCrypto.change24h = crypto.change24h;
-            existingCrypto.volume24h = crypto.volume24h;
-            existingCrypto.rank = crypto.rank;
-            existingCrypto.timestamp = crypto.timestamp;
-            existingCrypto.isActive = true;
-            await existingCrypto.save();
-            updatedCount++;
-          } else {
-            // Create new crypto entry
-            const newCrypto = new Crypto(crypto);
-            await newCrypto.save();
-            savedCount++;
-          }
-        } catch (error) {
-          console.error('Error saving crypto:', error.message);
-          skippedCount++;
-        }
+      // Attach registry assets so coins sharing a ticker do not overwrite each other
+      const resolvedData = await this.assetRegistry.resolveAssets(cryptoData);
+
+      const result = await this.ingestor.ingest(resolvedData.map(crypto => ({
+        ...crypto,
+        sources: crypto.sources || [],
+        priceSpread: crypto.priceSpread || 0,
+        snapshot,
+        isActive: true
+      })));
+
+      result.errors.forEach(error => {
+        console.error(`Error saving crypto ${error.key}:`, error.message);
+      });
+
+      // Hand the committed rows to live streams
+      const skipped = new Set(result.errors.map(error => error.index));
+      const committed = resolvedData.filter((crypto, index) => !skipped.has(index));
+      if (committed.length > 0) {
+        publish(STREAM_EVENTS.PRICES_UPDATED, { cryptos: committed, timestamp: new Date() });
       }
 
-      return {
-        saved: savedCount,
-        updated: updatedCount,
-        skipped: skippedCount,
-        total: cryptoData.length
-      };
+      return result;
 
     } catch (error) {
       console.error('Error saving crypto data to database:', error.message);
@@ -113,49 +332,77 @@ class CryptoScraper {
   }
 
   /**
-   * Perform complete crypto scraping operation
+   * Perform complete crypto scraping operation, recording it in the scrape run ledger
+   * @param {Object} options - { trigger: 'cron', 'manual' or 'api' }
+   * @returns {Promise<Object>} Operation result with the runId of its ledger entry
+   */
+  async performScraping({ trigger = 'cron' } = {}) {
+    const run = await ScrapeRun.begin({ source: 'crypto', trigger });
+    const outcome = await this.runScraping();
+    await ScrapeRun.finish(run, outcome);
+
+    return { ...outcome, runId: run ? run._id : null };
+  }
+
+  /**
+   * Crawl, save and evaluate alerts
    * @returns {Promise<Object>} Operation result
    */
-  async performScraping() {
+  async runScraping() {
     try {
       console.log('Starting complete crypto scraping operation...');
       
-      // Scrape crypto data
-      const cryptoData = await this.scrapeCryptoData();
+      // Crawl provider pages and save each one as it arrives
+      const crawlResult = await this.crawlMarkets();
       
-      if (cryptoData.length === 0) {
+      if (crawlResult.total === 0) {
+        publish(EVENTS.SCRAPE_FAILED, { source: 'crypto', message: 'No crypto data found during scraping' });
         return {
           success: false,
           message: 'No crypto data found during scraping',
-          result: { saved: 0, updated: 0, skipped: 0, total: 0 }
+          result: crawlResult
         };
       }
 
-      // Save crypto data to database
-      const saveResult = await this.saveCryptoData(cryptoData);
-      
+      // Evaluate alert rules against the freshly saved data
+      let alerts = { evaluated: 0, triggered: 0 };
+      try {
+        const evaluation = await this.alertService.evaluateRules();
+        alerts = { evaluated: evaluation.evaluated, triggered: evaluation.triggered };
+      } catch (error) {
+        console.error('Alert evaluation failed:', error.message);
+      }
+
       console.log('Crypto scraping operation completed successfully');
+      publish(EVENTS.SCRAPE_COMPLETED, { source: 'crypto', result: crawlResult, alerts });
       return {
         success: true,
         message: 'Crypto scraping completed successfully',
-        result: saveResult
+        result: crawlResult,
+        alerts
       };
 
     } catch (error) {
       console.error('Crypto scraping operation failed:', error.message);
+      publish(EVENTS.SCRAPE_FAILED, {
+        source: 'crypto',
+        message: error.message,
+        result: error.partialResult || null
+      });
       return {
         success: false,
         message: `Crypto scraping failed: ${error.message}`,
-        result: { saved: 0, updated: 0, skipped: 0, total: 0 }
+        result: error.partialResult || { saved: 0, updated: 0, skipped: 0, total: 0 }
       };
     }
   }
 
   /**
    * Get crypto statistics
+   * @param {string} currency - Quote currency for the top crypto price
    * @returns {Promise<Object>} Statistics
    */
-  async getStats() {
+  async getStats(currency = Crypto.BASE_CURRENCY) {
     try {
       const totalCrypto = await Crypto.countDocuments({ isActive: true });
       
@@ -173,13 +420,15 @@ class CryptoScraper {
 
       const topCrypto = await Crypto.findOne({ isActive: true })
         .sort({ rank: 1 })
-        .select('name price');
+        .select('name price marketCap volume24h change24h quotes');
+      const topQuote = topCrypto ? topCrypto.getQuote(currency) : null;
 
       return {
         totalCrypto,
         todayCrypto,
         lastScrape: lastScrape ? lastScrape.timestamp : null,
-        topCrypto: topCrypto ? { name: topCrypto.name, price: topCrypto.price } : null
+        currency,
+        topCrypto: topCrypto ? { name: topCrypto.name, price: topQuote ? topQuote.price : null } : null
       };
 
     } catch (error) {
@@ -189,7 +438,8 @@ class CryptoScraper {
   }
 
   /**
-   * Clean up old crypto data (optional maintenance)
+   * Retire old crypto rows from the current listings. They stay in history
+   * until the retention tiers compact them (see RetentionService)
    * @param {number} hoursOld - Number of hours old to consider for cleanup
    * @returns {Promise<Object>} Cleanup result
    */
@@ -199,7 +449,7 @@ class CryptoScraper {
       cutoffDate.setHours(cutoffDate.getHours() - hoursOld);
 
       const result = await Crypto.updateMany(
-        { timestamp: { $lt: cutoffDate } },
+        { timestamp: { $lt: cutoffDate }, isActive: true },
         { isActive: false }
       );
 
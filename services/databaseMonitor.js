@@ -0,0 +1,151 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+
+/**
+ * MongoDB connection monitor
+ * Keeps retrying the initial connection in the background instead of exiting,
+ * and tracks whether the database is reachable so the API can fall back to the
+ * on-disk snapshot while it is not. Emits 'live' and 'degraded' on every switch
+ */
+class DatabaseMonitor extends EventEmitter {
+  /**
+   * @param {Object} options - Monitor options
+   * @param {string} options.uri - MongoDB connection string
+   * @param {number} options.retryBaseMs - Delay before the first connection retry
+   * @param {number} options.retryMaxMs - Longest delay between connection retries
+   * @param {number} options.serverSelectionTimeoutMs - How long one connection attempt may take
+   */
+  constructor(options = {}) {
+    super();
+    this.uri = options.uri;
+    this.retryBaseMs = options.retryBaseMs || 5000;
+    this.retryMaxMs = options.retryMaxMs || 60000;
+    this.serverSelectionTimeoutMs = options.serverSelectionTimeoutMs || 10000;
+    this.connection = mongoose.connection;
+
+    this.state = 'connecting';
+    this.since = new Date();
+    this.attempts = 0;
+    this.lastError = null;
+    this.retryTimer = null;
+    this.stopped = false;
+
+    // The driver reconnects on its own once the first connection succeeded
+    this.listeners = {
+      connected: () => this.markLive(),
+      reconnected: () => this.markLive(),
+      disconnected: () => this.markDegraded(new Error('MongoDB disconnected')),
+      error: error => console.error('MongoDB connection error:', error.message)
+    };
+  }
+
+  /**
+   * Start monitoring and make the first connection attempt
+   * @returns {Promise<boolean>} True if the database is reachable
+   */
+  async start() {
+    Object.entries(this.listeners).forEach(([event, listener]) => this.connection.on(event, listener));
+    await this.connect();
+    return this.isLive();
+  }
+
+  /**
+   * Try to connect, scheduling another attempt with exponential backoff on failure
+   */
+  async connect() {
+    this.retryTimer = null;
+    this.attempts++;
+
+    try {
+      console.log(`Connecting to MongoDB (attempt ${this.attempts})...`);
+      await mongoose.connect(this.uri, { serverSelectionTimeoutMS: this.serverSelectionTimeoutMs });
+      this.markLive();
+    } catch (error) {
+      this.markDegraded(error);
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Schedule the next connection attempt
+   */
+  scheduleRetry() {
+    if (this.stopped || this.retryTimer) {
+      return;
+    }
+
+    const delay = Math.min(this.retryBaseMs * Math.pow(2, this.attempts - 1), this.retryMaxMs);
+    console.log(`Retrying MongoDB connection in ${Math.round(delay / 1000)}s`);
+    this.retryTimer = setTimeout(() => this.connect(), delay);
+  }
+
+  /**
+   * Switch to live mode
+   */
+  markLive() {
+    this.attempts = 0;
+    this.lastError = null;
+
+    if (this.state === 'live') {
+      return;
+    }
+
+    const wasDegraded = this.state === 'degraded';
+    this.state = 'live';
+    this.since = new Date();
+    console.log(wasDegraded ? '✅ MongoDB reconnected, serving live data again' : '✅ MongoDB connected successfully');
+    this.emit('live');
+  }
+
+  /**
+   * Switch to degraded mode
+   * @param {Error} error - Why the database is unavailable
+   */
+  markDegraded(error) {
+    this.lastError = error.message;
+
+    if (this.state === 'degraded') {
+      return;
+    }
+
+    this.state = 'degraded';
+    this.since = new Date();
+    console.error(`❌ MongoDB unavailable (${error.message}), serving cached data read-only`);
+    this.emit('degraded');
+  }
+
+  /**
+   * Check whether the database is reachable
+   * @returns {boolean} True in live mode
+   */
+  isLive() {
+    return this.state === 'live';
+  }
+
+  /**
+   * Stop retrying and listening to the connection
+   */
+  stop() {
+    this.stopped = true;
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+    Object.entries(this.listeners).forEach(([event, listener]) => this.connection.off(event, listener));
+  }
+
+  /**
+   * Get monitor status
+   * @returns {Object} Connection state, when it last changed and the last error
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      since: this.since,
+      attempts: this.attempts,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = DatabaseMonitor;
@@ -0,0 +1,42 @@
+const EventEmitter = require('events');
+
+// Domain events published by the scrapers and alert evaluator
+const EVENTS = {
+  SCRAPE_COMPLETED: 'scrape.completed',
+  SCRAPE_FAILED: 'scrape.failed',
+  ALERT_TRIGGERED: 'alert.triggered',
+  ARTICLE_NEW: 'article.new'
+};
+
+// High-volume events for live streams, not offered to webhooks
+const STREAM_EVENTS = {
+  PRICES_UPDATED: 'prices.updated'
+};
+
+/**
+ * Process-wide event bus
+ * Producers emit domain events here; delivery subsystems (webhooks, streams)
+ * subscribe without the producers knowing about them
+ */
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(50);
+
+/**
+ * Publish a domain event without letting a failing listener break the producer
+ * @param {string} event - Event name (see EVENTS)
+ * @param {Object} data - Event payload
+ */
+const publish = (event, data) => {
+  try {
+    eventBus.emit(event, data);
+  } catch (error) {
+    console.error(`Error publishing ${event} event:`, error.message);
+  }
+};
+
+module.exports = {
+  EVENTS,
+  STREAM_EVENTS,
+  eventBus,
+  publish
+};
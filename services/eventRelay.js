@@ -0,0 +1,144 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const Crypto = require('../models/Crypto');
+const CrawlState = require('../models/CrawlState');
+const { EVENTS, STREAM_EVENTS } = require('./eventBus');
+
+/**
+ * Database-backed feed of the updates every instance should see
+ * Only the instance holding a scrape job's lease publishes on its event bus, so
+ * live streams and snapshots read their updates from MongoDB instead: the relay
+ * polls for newly completed crawl snapshots and newly inserted articles and emits
+ * prices.updated, scrape.completed and article.new on every instance alike.
+ * Webhooks stay on the event bus, so each event is delivered once
+ */
+class EventRelay extends EventEmitter {
+  /**
+   * @param {Object} options - Relay options
+   * @param {number} options.intervalMs - Time between polls
+   * @param {number} options.overlapMs - How far back each article poll reaches, covering clock skew between instances
+   */
+  constructor(options = {}) {
+    super();
+    this.setMaxListeners(50);
+    this.intervalMs = options.intervalMs || 5000;
+    this.overlapMs = options.overlapMs || 60000;
+
+    // The first poll only records what is already there
+    this.seeded = false;
+    // Latest snapshot version relayed
+    this.version = null;
+    this.articlesSince = null;
+    // Article id to creation time of articles relayed within the overlap
+    this.seenArticles = new Map();
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling. Only updates made from now on are relayed
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.articlesSince = new Date();
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    this.timer.unref();
+    this.poll();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Relay new snapshots and articles, skipping the poll while MongoDB is unavailable
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling || mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    this.polling = true;
+    try {
+      await this.pollSnapshots();
+      await this.pollArticles();
+      this.seeded = true;
+    } catch (error) {
+      console.error('Error polling for updates to relay:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Emit the rows of the latest complete crawl snapshot once it changes
+   * @returns {Promise<void>}
+   */
+  async pollSnapshots() {
+    const state = await CrawlState.findSnapshot().lean();
+    const version = state ? state.version : null;
+
+    if (version === this.version || !this.seeded) {
+      this.version = version;
+      return;
+    }
+
+    const cryptos = await Crypto.find({ snapshot: version }).select('-__v').lean();
+    this.version = version;
+
+    if (cryptos.length > 0) {
+      this.emit(STREAM_EVENTS.PRICES_UPDATED, { cryptos, timestamp: state.completedAt, snapshot: version });
+    }
+    this.emit(EVENTS.SCRAPE_COMPLETED, { source: 'crypto', snapshot: version });
+  }
+
+  /**
+   * Emit the articles inserted since the last poll
+   * @returns {Promise<void>}
+   */
+  async pollArticles() {
+    const since = new Date(this.articlesSince.getTime() - this.overlapMs);
+    const articles = await Article.find({ createdAt: { $gte: since } })
+      .sort({ createdAt: 1 })
+      .select('title link author score scrapedAt createdAt')
+      .lean();
+
+    this.seenArticles.forEach((createdAt, id) => {
+      if (createdAt < since) {
+        this.seenArticles.delete(id);
+      }
+    });
+
+    const fresh = articles.filter(article => !this.seenArticles.has(article._id.toString()));
+    fresh.forEach(article => this.seenArticles.set(article._id.toString(), article.createdAt));
+    if (articles.length > 0) {
+      this.articlesSince = articles[articles.length - 1].createdAt;
+    }
+
+    if (!this.seeded) {
+      return;
+    }
+
+    fresh.forEach(article => this.emit(EVENTS.ARTICLE_NEW, {
+      title: article.title,
+      link: article.link,
+      author: article.author,
+      score: article.score,
+      scrapedAt: article.scrapedAt
+    }));
+    if (fresh.length > 0) {
+      this.emit(EVENTS.SCRAPE_COMPLETED, { source: 'articles', saved: fresh.length });
+    }
+  }
+}
+
+module.exports = EventRelay;
@@ -0,0 +1,172 @@
+const os = require('os');
+const JobLease = require('../models/JobLease');
+
+/**
+ * Thrown when another run (on this or another instance) holds a job's lease
+ */
+class LeaseHeldError extends Error {
+  /**
+   * @param {string} job - Job id
+   * @param {Object|null} lease - Current lease, if it could be read
+   */
+  constructor(job, lease) {
+    let message = `${job} is running elsewhere`;
+    if (lease && lease.expiresAt > new Date()) {
+      message = `${job} is running on ${lease.owner} (lease expires ${lease.expiresAt.toISOString()})`;
+    } else if (lease && lease.firedAt) {
+      message = `${job} already ran on ${lease.owner} for ${lease.firedAt.toISOString()}`;
+    }
+
+    super(message);
+    this.name = 'LeaseHeldError';
+    this.job = job;
+    this.lease = lease;
+  }
+}
+
+/**
+ * MongoDB lease lock so that, across every instance sharing the database, each
+ * cron job runs in one place at a time. A run takes the job's lease if it has
+ * expired, renews it while it works and releases it when done. Leases of a
+ * crashed instance expire after leaseMs and are taken over by the next run.
+ * Cron runs also record their scheduled time on the lease, so each occurrence
+ * runs once even when the first instance to fire finishes before the others do
+ */
+class JobLock {
+  /**
+   * @param {Object} options - Lock options
+   * @param {string} options.owner - This instance's id (default: hostname:pid)
+   * @param {number} options.leaseMs - How long a lease lasts without renewal (default: 5 minutes)
+   */
+  constructor(options = {}) {
+    this.owner = options.owner || `${os.hostname()}:${process.pid}`;
+    this.leaseMs = options.leaseMs || 5 * 60 * 1000;
+  }
+
+  /**
+   * Take a job's lease if nobody holds it
+   * @param {string} job - Job id
+   * @param {Date} firedAt - Scheduled time of a cron run, which must not have run yet
+   * @returns {Promise<Document|null>} Lease, or null if it is held (or the cron run already ran)
+   */
+  async acquire(job, firedAt = null) {
+    const now = new Date();
+    const filter = { job, expiresAt: { $lte: now } };
+    const update = {
+      owner: this.owner,
+      acquiredAt: now,
+      renewedAt: null,
+      expiresAt: new Date(now.getTime() + this.leaseMs),
+      releasedAt: null
+    };
+
+    if (firedAt) {
+      filter.$or = [{ firedAt: null }, { firedAt: { $lt: firedAt } }];
+      update.firedAt = firedAt;
+    }
+
+    try {
+      return await JobLease.findOneAndUpdate(filter, update, { upsert: true, new: true });
+    } catch (error) {
+      // The lease exists and is held (or already ran this cron run), so the upsert collided with it
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Extend a lease this instance holds
+   * @param {string} job - Job id
+   * @returns {Promise<boolean>} False if the lease was lost (it expired and was taken over)
+   */
+  async renew(job) {
+    const now = new Date();
+    const lease = await JobLease.findOneAndUpdate(
+      { job, owner: this.owner, releasedAt: null, expiresAt: { $gt: now } },
+      { renewedAt: now, expiresAt: new Date(now.getTime() + this.leaseMs) }
+    );
+    return Boolean(lease);
+  }
+
+  /**
+   * Release a lease this instance holds
+   * @param {string} job - Job id
+   * @returns {Promise<void>}
+   */
+  async release(job) {
+    const now = new Date();
+    await JobLease.updateOne(
+      { job, owner: this.owner, releasedAt: null },
+      { expiresAt: now, releasedAt: now }
+    );
+  }
+
+  /**
+   * Run a task while holding a job's lease, renewing it every third of the lease
+   * @param {string} job - Job id
+   * @param {Function} task - Async task to run
+   * @param {Date} firedAt - Scheduled time of a cron run (cron runs only)
+   * @returns {Promise<*>} Task result
+   * @throws {LeaseHeldError} If the lease is held, or another instance already ran the cron run
+   */
+  async withLease(job, task, firedAt = null) {
+    let lease;
+    try {
+      lease = await this.acquire(job, firedAt);
+    } catch (error) {
+      console.error(`Error acquiring lease on ${job}:`, error.message);
+      throw error;
+    }
+
+    if (!lease) {
+      const current = await JobLease.findOne({ job }).lean().catch(() => null);
+      throw new LeaseHeldError(job, current);
+    }
+
+    const heartbeat = setInterval(() => {
+      this.renew(job)
+        .then(renewed => {
+          if (!renewed) {
+            console.error(`Lost lease on ${job}; another instance may run it concurrently`);
+          }
+        })
+        .catch(error => console.error(`Error renewing lease on ${job}:`, error.message));
+    }, Math.max(Math.floor(this.leaseMs / 3), 1000));
+    heartbeat.unref();
+
+    try {
+      return await task();
+    } finally {
+      clearInterval(heartbeat);
+      await this.release(job).catch(error => {
+        console.error(`Error releasing lease on ${job}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Describe the leases of some jobs
+   * @param {Array<string>} jobs - Job ids
+   * @returns {Promise<Map>} Job id to { owner, held, heldByThisInstance, acquiredAt, renewedAt, expiresAt, releasedAt, firedAt }
+   */
+  async describe(jobs) {
+    const now = new Date();
+    const leases = await JobLease.find({ job: { $in: jobs } }).lean();
+
+    return new Map(leases.map(lease => [lease.job, {
+      owner: lease.owner,
+      held: lease.expiresAt > now,
+      heldByThisInstance: lease.owner === this.owner && lease.expiresAt > now,
+      acquiredAt: lease.acquiredAt,
+      renewedAt: lease.renewedAt,
+      expiresAt: lease.expiresAt,
+      releasedAt: lease.releasedAt,
+      firedAt: lease.firedAt || null
+    }]));
+  }
+}
+
+module.exports = JobLock;
+module.exports.LeaseHeldError = LeaseHeldError;
@@ -0,0 +1,240 @@
+const JobSchedule = require('../models/JobSchedule');
+
+/**
+ * Jobs of every running cron service, addressed as <scope>.<job>
+ * (e.g. crypto.scraping). Pausing, resuming and rescheduling are saved as
+ * JobSchedule overrides and re-applied when a service registers, so they
+ * survive restarts. Replicas reload the overrides periodically and before
+ * each cron run, so a change made through one instance reaches the others
+ */
+class JobRegistry {
+  constructor() {
+    this.services = new Map();
+    this.syncTimer = null;
+  }
+
+  /**
+   * Add a started cron service and apply its saved overrides
+   * @param {CronJobService} service - Started cron service
+   * @returns {Promise<void>}
+   */
+  async register(service) {
+    this.services.set(service.scope, service);
+
+    try {
+      await this.refresh(service);
+    } catch (error) {
+      console.error(`Error loading ${service.scope} job schedules, using the configured ones:`, error.message);
+    }
+  }
+
+  /**
+   * Reload the saved overrides of every registered service periodically
+   * @param {number} intervalMs - Time between reloads
+   */
+  start(intervalMs) {
+    if (this.syncTimer) {
+      return;
+    }
+
+    this.syncTimer = setInterval(() => {
+      Promise.all(Array.from(this.services.values()).map(service => this.refresh(service))).catch(error => {
+        console.error('Error reloading job schedules:', error.message);
+      });
+    }, intervalMs);
+    this.syncTimer.unref();
+  }
+
+  /**
+   * Stop reloading saved overrides
+   */
+  stop() {
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+  }
+
+  /**
+   * Apply the saved overrides of every job of a service. Jobs without one go
+   * back to their configured schedule, unpaused
+   * @param {CronJobService} service - Registered cron service
+   * @returns {Promise<void>}
+   */
+  async refresh(service) {
+    const { scope } = service;
+    const overrides = await JobSchedule.find({ job: { $regex: `^${scope}\\.` } }).lean();
+    const byName = new Map(overrides.map(override => [override.job.slice(scope.length + 1), override]));
+
+    service.jobs.forEach((job, name) => this.apply(service, name, byName.get(name) || null));
+  }
+
+  /**
+   * Apply the saved override of one job
+   * @param {CronJobService} service - Registered cron service
+   * @param {string} name - Job name
+   * @returns {Promise<void>}
+   */
+  async sync(service, name) {
+    const override = await JobSchedule.findOne({ job: service.jobId(name) }).lean();
+    this.apply(service, name, override);
+  }
+
+  /**
+   * Bring a job's schedule and pause state in line with its saved override
+   * @param {CronJobService} service - Cron service running the job
+   * @param {string} name - Job name
+   * @param {Object|null} override - Saved JobSchedule, or null for the configured schedule
+   */
+  apply(service, name, override) {
+    const job = service.getJob(name);
+    const schedule = (override && override.schedule) || job.defaultSchedule;
+    const paused = Boolean(override && override.paused);
+
+    try {
+      if (schedule !== job.schedule) {
+        service.rescheduleJob(name, schedule);
+      }
+      if (paused !== job.paused) {
+        if (paused) {
+          service.pauseJob(name);
+        } else {
+          service.resumeJob(name);
+        }
+      }
+    } catch (error) {
+      console.error(`Ignoring saved schedule of ${service.jobId(name)}:`, error.message);
+    }
+  }
+
+  /**
+   * Find the service and job name behind a job id
+   * @param {string} id - Job id (<scope>.<job>)
+   * @returns {Object|null} { service, name }, or null if there is no such job
+   */
+  find(id) {
+    const [scope, name] = String(id).split('.');
+    const service = this.services.get(scope);
+    return service && service.jobs.has(name) ? { service, name } : null;
+  }
+
+  /**
+   * List every registered job, with its lease for services that run under a lock
+   * @returns {Promise<Array<Object>>} Job descriptions
+   */
+  async list() {
+    const jobs = [];
+
+    for (const service of this.services.values()) {
+      const serviceJobs = service.getJobs();
+
+      if (service.lock) {
+        // Lease state is informative; listing still works if it cannot be read
+        const leases = await service.lock.describe(serviceJobs.map(job => job.id)).catch(error => {
+          console.error(`Error reading ${service.scope} job leases:`, error.message);
+          return null;
+        });
+        if (leases) {
+          serviceJobs.forEach(job => {
+            job.lease = leases.get(job.id) || null;
+          });
+        }
+      }
+
+      jobs.push(...serviceJobs);
+    }
+
+    return jobs;
+  }
+
+  /**
+   * Describe one job
+   * @param {string} id - Job id
+   * @returns {Promise<Object|null>} Job description
+   */
+  async describe(id) {
+    const jobs = await this.list();
+    return jobs.find(job => job.id === id) || null;
+  }
+
+  /**
+   * Save a job's current schedule and pause state
+   * @param {string} id - Job id
+   * @param {string} actor - Who made the change
+   * @returns {Promise<void>}
+   */
+  async persist(id, actor) {
+    const { service, name } = this.find(id);
+    const job = service.getJob(name);
+
+    await JobSchedule.findOneAndUpdate(
+      { job: id },
+      {
+        schedule: job.schedule === job.defaultSchedule ? null : job.schedule,
+        paused: job.paused,
+        updatedBy: actor
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Pause a job
+   * @param {string} id - Job id
+   * @param {string} actor - Who paused it
+   * @returns {Promise<Object>} Job description
+   */
+  async pause(id, actor) {
+    const { service, name } = this.find(id);
+    service.pauseJob(name);
+    await this.persist(id, actor);
+    return this.describe(id);
+  }
+
+  /**
+   * Resume a paused job
+   * @param {string} id - Job id
+   * @param {string} actor - Who resumed it
+   * @returns {Promise<Object>} Job description
+   */
+  async resume(id, actor) {
+    const { service, name } = this.find(id);
+    service.resumeJob(name);
+    await this.persist(id, actor);
+    return this.describe(id);
+  }
+
+  /**
+   * Change a job's schedule
+   * @param {string} id - Job id
+   * @param {string|null} schedule - Cron expression, or null for the configured schedule
+   * @param {string} actor - Who changed it
+   * @returns {Promise<Object>} Job description
+   */
+  async reschedule(id, schedule, actor) {
+    const { service, name } = this.find(id);
+    service.rescheduleJob(name, schedule || service.getJob(name).defaultSchedule);
+    await this.persist(id, actor);
+    return this.describe(id);
+  }
+
+  /**
+   * Run a job now
+   * @param {string} id - Job id
+   * @returns {Promise<*>} Job result
+   */
+  async run(id) {
+    const { service, name } = this.find(id);
+    return service.runJob(name, 'api');
+  }
+
+  /**
+   * Check whether a job is running right now
+   * @param {string} id - Job id
+   * @returns {boolean} True while it runs
+   */
+  isRunning(id) {
+    const { service, name } = this.find(id);
+    return service.getJob(name).running;
+  }
+}
+
+module.exports = JobRegistry;
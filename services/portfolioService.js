@@ -0,0 +1,204 @@
+const Crypto = require('../models/Crypto');
+const { CostBasisLedger, positionKey, sortTransactions, replayTransactions } = require('../utils/costBasis');
+const { INTERVALS, floorDate } = require('../utils/timeBuckets');
+
+// Most points a value-over-time series may have
+const MAX_HISTORY_POINTS = 5000;
+
+// How far back a price before the range is looked for, to value the first points
+const PRICE_LOOKBACK_DAYS = 30;
+
+/**
+ * Read a snapshot's price in a currency
+ * @param {Object} snapshot - Crypto snapshot (plain object)
+ * @param {string} currency - Currency code
+ * @returns {number|null} Price, or null if not quoted in that currency
+ */
+const getPrice = (snapshot, currency) => {
+  if (currency === Crypto.BASE_CURRENCY) {
+    return snapshot.price;
+  }
+
+  const quote = snapshot.quotes && snapshot.quotes[currency];
+  return quote ? quote.price : null;
+};
+
+/**
+ * Portfolio service for valuing holdings at the latest crypto prices and
+ * deriving a portfolio's value over time from stored price history
+ */
+class PortfolioService {
+  /**
+   * @param {Object} options - Service options
+   * @param {CryptoRepository} options.cryptoRepository - Where prices and price history are read
+   */
+  constructor({ cryptoRepository }) {
+    this.cryptoRepository = cryptoRepository;
+  }
+
+  /**
+   * Pick the snapshot a position is priced from
+   * Positions without an asset use the best-ranked coin trading under the symbol
+   * @param {Object} position - Position
+   * @param {Array} snapshots - Latest snapshots
+   * @returns {Object|null} Matching snapshot
+   */
+  findSnapshot(position, snapshots) {
+    const matches = snapshots.filter(snapshot => snapshot.symbol === position.symbol);
+
+    if (position.asset) {
+      return matches.find(snapshot => snapshot.asset && String(snapshot.asset) === String(position.asset)) || null;
+    }
+
+    return matches.find(snapshot => snapshot.rank > 0) || matches[0] || null;
+  }
+
+  /**
+   * Value a portfolio at the latest prices
+   * @param {Portfolio} portfolio - Portfolio
+   * @param {string} method - Cost basis method (default: the portfolio's)
+   * @returns {Promise<Object>} { method, currency, holdings, totals }
+   */
+  async value(portfolio, method = portfolio.costBasisMethod) {
+    const { currency } = portfolio;
+    const positions = replayTransactions(portfolio.transactions, method);
+    const symbols = [...new Set(positions.map(position => position.symbol))];
+    const snapshots = symbols.length > 0 ? await this.cryptoRepository.getLatestSnapshots(symbols) : [];
+
+    const holdings = positions.map(({ lots, ...position }) => {
+      const snapshot = position.quantity > 0 ? this.findSnapshot(position, snapshots) : null;
+      const price = snapshot ? getPrice(snapshot, currency) : null;
+      const marketValue = price === null ? null : position.quantity * price;
+      const unrealizedPnl = marketValue === null ? null : marketValue - position.costBasis;
+
+      return {
+        ...position,
+        name: snapshot ? snapshot.name : null,
+        price,
+        pricedAt: snapshot ? snapshot.timestamp : null,
+        marketValue,
+        unrealizedPnl,
+        unrealizedPnlPercent: unrealizedPnl !== null && position.costBasis > 0
+          ? (unrealizedPnl / position.costBasis) * 100
+          : null,
+        lots: method === 'average' ? undefined : lots
+      };
+    });
+
+    const open = holdings.filter(holding => holding.quantity > 0);
+    const unpriced = open.filter(holding => holding.price === null).map(holding => holding.symbol);
+    const sum = (items, field) => items.reduce((total, item) => total + (item[field] || 0), 0);
+
+    const costBasis = sum(open, 'costBasis');
+    const marketValue = sum(open, 'marketValue');
+    const unrealizedPnl = sum(open, 'unrealizedPnl');
+    const realizedPnl = sum(holdings, 'realizedPnl');
+
+    return {
+      method,
+      currency,
+      holdings,
+      totals: {
+        costBasis,
+        marketValue,
+        unrealizedPnl,
+        realizedPnl,
+        totalPnl: unrealizedPnl + realizedPnl,
+        // Open positions with no price in the portfolio's currency are left out of the value
+        unpriced
+      }
+    };
+  }
+
+  /**
+   * Derive a portfolio's value over time: at every bucket, the units held then
+   * times the last stored price, next to the cost basis and realized P&L so far
+   * @param {Portfolio} portfolio - Portfolio
+   * @param {Object} options - { from, to, interval (5m, 1h, 1d), method }
+   * @returns {Promise<Array>} { timestamp, value, costBasis, unrealizedPnl, realizedPnl, complete } points
+   * @throws {Error} If the range holds more than MAX_HISTORY_POINTS buckets
+   */
+  async history(portfolio, { from, to, interval = '1d', method = portfolio.costBasisMethod }) {
+    const bucketMs = INTERVALS[interval];
+    const start = floorDate(from, bucketMs);
+    const count = Math.floor((to - start) / bucketMs) + 1;
+
+    if (count > MAX_HISTORY_POINTS) {
+      throw new RangeError(`Range too long for ${interval} points (at most ${MAX_HISTORY_POINTS}); use a coarser interval`);
+    }
+
+    const transactions = sortTransactions(portfolio.transactions);
+    const keys = new Map();
+    transactions.forEach(transaction => keys.set(positionKey(transaction), transaction));
+
+    // Prices per position, oldest first, including the last point before the range so it can carry forward
+    const prices = new Map();
+    await Promise.all([...keys].map(async ([key, { symbol, asset }]) => {
+      const options = { asset, currency: portfolio.currency };
+      const [before, within] = await Promise.all([
+        this.cryptoRepository.getHistory(symbol, {
+          ...options,
+          from: new Date(start.getTime() - PRICE_LOOKBACK_DAYS * INTERVALS['1d']),
+          to: start,
+          interval: '1d',
+          limit: PRICE_LOOKBACK_DAYS + 1
+        }),
+        this.cryptoRepository.getHistory(symbol, { ...options, from: start, to, interval, limit: MAX_HISTORY_POINTS })
+      ]);
+      prices.set(key, [...before.slice(-1), ...within].filter(point => point.price !== null && point.price !== undefined));
+    }));
+
+    const ledger = new CostBasisLedger(method);
+    const cursors = new Map([...keys.keys()].map(key => [key, { index: 0, price: null }]));
+    const points = [];
+    let next = 0;
+
+    for (let i = 0; i < count; i++) {
+      const timestamp = new Date(start.getTime() + i * bucketMs);
+      const bucketEnd = timestamp.getTime() + bucketMs;
+
+      while (next < transactions.length && new Date(transactions[next].executedAt).getTime() < bucketEnd) {
+        ledger.apply(transactions[next++]);
+      }
+
+      let value = 0;
+      let costBasis = 0;
+      let realizedPnl = 0;
+      let complete = true;
+
+      ledger.getPositions().forEach(position => {
+        const key = positionKey(position);
+        const series = prices.get(key) || [];
+        const cursor = cursors.get(key);
+
+        while (cursor.index < series.length && new Date(series[cursor.index].timestamp).getTime() < bucketEnd) {
+          cursor.price = series[cursor.index++].price;
+        }
+
+        realizedPnl += position.realizedPnl;
+        if (position.quantity > 0) {
+          costBasis += position.costBasis;
+          if (cursor.price === null) {
+            complete = false;
+          } else {
+            value += position.quantity * cursor.price;
+          }
+        }
+      });
+
+      points.push({
+        timestamp,
+        value,
+        costBasis,
+        unrealizedPnl: complete ? value - costBasis : null,
+        realizedPnl,
+        // False while an open position has no stored price yet
+        complete
+      });
+    }
+
+    return points;
+  }
+}
+
+module.exports = PortfolioService;
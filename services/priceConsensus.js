@@ -0,0 +1,248 @@
+const Asset = require('../models/Asset');
+
+/**
+ * Price consensus service
+ * Collects quotes for the same coin from several providers, rejects outliers
+ * using the median absolute deviation (MAD) and returns a consensus price.
+ * Coins are matched across providers through the asset registry
+ */
+class PriceConsensus {
+  /**
+   * @param {Object} options - Consensus options
+   * @param {Array<MarketDataProvider>} options.providers - Providers to collect quotes from
+   * @param {number} options.madThreshold - Max robust z-score before a quote is rejected
+   * @param {number} options.minRelativeDeviation - Floor for the MAD as a fraction of the median
+   */
+  constructor(options = {}) {
+    this.providers = options.providers || [];
+    this.madThreshold = options.madThreshold || 3.5;
+    this.minRelativeDeviation = options.minRelativeDeviation || 0.001;
+  }
+
+  /**
+   * Calculate the median of a list of numbers
+   * @param {Array<number>} values - Values
+   * @returns {number} Median
+   */
+  static median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+      ? (sorted[middle - 1] + sorted[middle]) / 2
+      : sorted[middle];
+  }
+
+  /**
+   * Compute a consensus price from per-source quotes
+   * @param {Array<Object>} quotes - Quotes as { provider, price }
+   * @returns {Object} { price, spread, sources }
+   */
+  computeConsensus(quotes) {
+    const valid = quotes.filter(quote => quote.price > 0);
+
+    if (valid.length === 0) {
+      return { price: 0, spread: 0, sources: [] };
+    }
+
+    const prices = valid.map(quote => quote.price);
+    const median = PriceConsensus.median(prices);
+
+    // 1.4826 scales the MAD to a standard deviation for normally distributed data;
+    // the floor keeps identical quotes from rejecting every tiny difference.
+    // With fewer than three quotes there is no majority, so nothing is rejected
+    const mad = PriceConsensus.median(prices.map(price => Math.abs(price - median)));
+    const scale = Math.max(1.4826 * mad, median * this.minRelativeDeviation);
+
+    const sources = valid.map(quote => ({
+      provider: quote.provider,
+      price: quote.price,
+      accepted: valid.length < 3 || Math.abs(quote.price - median) / scale <= this.madThreshold
+    }));
+
+    const accepted = sources.filter(source => source.accepted).map(source => source.price);
+    const spread = median > 0 ? ((Math.max(...prices) - Math.min(...prices)) / median) * 100 : 0;
+
+    return {
+      price: PriceConsensus.median(accepted),
+      spread: Math.round(spread * 10000) / 10000,
+      sources
+    };
+  }
+
+  /**
+   * Find each primary coin's id at the other providers: through its registry asset where
+   * the registry knows it, else through the provider's own listing (see findCoinIds).
+   * Ids found in a listing are added to the registry so later crawls skip the lookup
+   * @param {Array} cryptoData - Normalized data from the primary provider
+   * @param {Array<MarketDataProvider>} providers - Providers to find ids at
+   * @returns {Promise<Map>} Provider name to Map of primary coin id to the coin's id at that provider
+   */
+  async findProviderIds(cryptoData, providers) {
+    const items = cryptoData.filter(crypto => crypto.externalId && crypto.externalId.id);
+    const idsByProvider = new Map(providers.map(provider => [provider.name, new Map()]));
+
+    if (items.length === 0) {
+      return idsByProvider;
+    }
+
+    const primary = items[0].externalId.provider;
+    const [assets, sharedSymbols] = await Promise.all([
+      Asset.find({ providerIds: { $elemMatch: { provider: primary, id: { $in: items.map(crypto => crypto.externalId.id) } } } }),
+      Asset.aggregate([
+        { $match: { symbol: { $in: [...new Set(items.map(crypto => crypto.symbol))] } } },
+        { $group: { _id: '$symbol', count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+      ])
+    ]);
+
+    const assetsById = new Map(assets.map(asset => [asset.getProviderId(primary), asset]));
+    const shared = new Set(sharedSymbols.map(group => group._id));
+
+    for (const provider of providers) {
+      const ids = idsByProvider.get(provider.name);
+      const unmapped = [];
+
+      items.forEach(crypto => {
+        const asset = assetsById.get(crypto.externalId.id);
+        const id = asset && asset.getProviderId(provider.name);
+
+        if (id) {
+          ids.set(crypto.externalId.id, id);
+        } else {
+          unmapped.push(crypto);
+        }
+      });
+
+      if (unmapped.length === 0) {
+        continue;
+      }
+
+      try {
+        const found = await provider.findCoinIds(unmapped, shared);
+        found.forEach((id, primaryId) => ids.set(primaryId, id));
+        await this.registerProviderIds(provider.name, found, assetsById);
+      } catch (error) {
+        console.error(`Error mapping coins onto ${provider.name} ids:`, error.message);
+      }
+    }
+
+    return idsByProvider;
+  }
+
+  /**
+   * Add ids found at a provider to the registry assets of the primary coins. Coins not
+   * registered yet get theirs on a later crawl, once saving the crawl has registered them
+   * @param {string} provider - Provider the ids belong to
+   * @param {Map} ids - Primary coin id to the coin's id at the provider
+   * @param {Map} assetsById - Primary coin id to registry asset
+   * @returns {Promise<void>}
+   */
+  async registerProviderIds(provider, ids, assetsById) {
+    const operations = [];
+
+    ids.forEach((id, primaryId) => {
+      const asset = assetsById.get(primaryId);
+      if (!asset) {
+        return;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { _id: asset._id, 'providerIds.provider': { $ne: provider } },
+          update: { $push: { providerIds: { provider, id } } }
+        }
+      });
+    });
+
+    if (operations.length === 0) {
+      return;
+    }
+
+    try {
+      await Asset.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      // Another asset already holds the id; the others were still added
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Collect quotes for the primary coins from every provider except the one that produced them,
+   * fetching each coin by its id at the provider so quotes never land on a coin sharing its ticker
+   * @param {Array} cryptoData - Normalized data from the primary provider
+   * @returns {Promise<Map>} Map of provider name to Map of primary coin id to price
+   */
+  async collectQuotes(cryptoData) {
+    const primaryProvider = cryptoData[0].source;
+    const others = this.providers.filter(provider => provider.name !== primaryProvider);
+    const idsByProvider = await this.findProviderIds(cryptoData, others);
+
+    const results = await Promise.allSettled(others.map(provider => {
+      const ids = [...new Set(idsByProvider.get(provider.name).values())];
+      return ids.length > 0 ? provider.getQuotes(ids) : [];
+    }));
+
+    const quotesByProvider = new Map();
+
+    results.forEach((result, index) => {
+      const provider = others[index];
+
+      if (result.status === 'rejected') {
+        console.error(`Consensus quotes from ${provider.name} failed:`, result.reason.message);
+        return;
+      }
+
+      const prices = new Map(result.value
+        .filter(crypto => crypto.externalId)
+        .map(crypto => [crypto.externalId.id, crypto.price]));
+
+      const quotes = new Map();
+      idsByProvider.get(provider.name).forEach((id, primaryId) => {
+        if (prices.has(id)) {
+          quotes.set(primaryId, prices.get(id));
+        }
+      });
+      quotesByProvider.set(provider.name, quotes);
+    });
+
+    return quotesByProvider;
+  }
+
+  /**
+   * Replace primary prices with consensus prices and attach the per-source audit trail
+   * @param {Array} cryptoData - Normalized data from the primary provider
+   * @returns {Promise<Array>} Crypto data with consensus prices
+   */
+  async apply(cryptoData) {
+    if (cryptoData.length === 0) {
+      return cryptoData;
+    }
+
+    const primaryProvider = cryptoData[0].source;
+    const quotesByProvider = await this.collectQuotes(cryptoData);
+
+    return cryptoData.map(crypto => {
+      const quotes = [{ provider: primaryProvider, price: crypto.price }];
+      const primaryId = crypto.externalId && crypto.externalId.id;
+
+      quotesByProvider.forEach((providerQuotes, provider) => {
+        if (primaryId && providerQuotes.has(primaryId)) {
+          quotes.push({ provider, price: providerQuotes.get(primaryId) });
+        }
+      });
+
+      const consensus = this.computeConsensus(quotes);
+
+      return {
+        ...crypto,
+        price: consensus.price || crypto.price,
+        priceSpread: consensus.spread,
+        sources: consensus.sources
+      };
+    });
+  }
+}
+
+module.exports = PriceConsensus;
@@ -0,0 +1,330 @@
+const Crypto = require('../models/Crypto');
+const { STREAM_EVENTS, eventBus } = require('./eventBus');
+
+// Fields compared to decide whether a coin changed between saves
+const TRACKED_FIELDS = ['price', 'marketCap', 'volume24h', 'change24h', 'rank'];
+
+/**
+ * Live price stream
+ * Diffs every committed save against the last known prices and fans the changed
+ * coins out to Server-Sent Events clients. Recent diffs are kept in a ring buffer
+ * so reconnecting clients can resume from their Last-Event-ID
+ */
+class PriceStream {
+  /**
+   * @param {Object} options - Stream options
+   * @param {number} options.bufferSize - Diffs kept for Last-Event-ID resume
+   * @param {number} options.heartbeatMs - Interval between heartbeat comments
+   * @param {number} options.retryMs - Reconnect delay suggested to clients
+   * @param {number} options.maxBufferedBytes - Unsent bytes after which a slow client is dropped
+   * @param {Object} options.repository - Source of the latest snapshots (a crypto repository or the Crypto model)
+   * @param {EventEmitter} options.events - Source of prices.updated events (default: the event bus)
+   */
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || 500;
+    this.heartbeatMs = options.heartbeatMs || 15000;
+    this.retryMs = options.retryMs || 5000;
+    this.maxBufferedBytes = options.maxBufferedBytes || 1024 * 1024;
+    this.repository = options.repository || Crypto;
+    this.events = options.events || eventBus;
+
+    // Event ids are `${epoch}-${seq}` so ids from before a restart are never mistaken for current ones
+    this.epoch = Date.now().toString(36);
+    this.seq = 0;
+    this.buffer = [];
+    this.prices = new Map();
+    this.seeded = false;
+    this.clients = new Set();
+    this.heartbeat = null;
+
+    this.listener = data => {
+      try {
+        this.publishChanges(data.cryptos);
+      } catch (error) {
+        console.error('Error publishing price stream update:', error.message);
+      }
+    };
+    this.events.on(STREAM_EVENTS.PRICES_UPDATED, this.listener);
+  }
+
+  /**
+   * Key a coin by registry asset, falling back to the symbol for unregistered coins
+   * @param {Object} crypto - Crypto data
+   * @returns {string} Key
+   */
+  static keyOf(crypto) {
+    return crypto.asset ? `asset:${crypto.asset}` : `symbol:${crypto.symbol}`;
+  }
+
+  /**
+   * Reduce crypto data to the fields carried by the stream
+   * @param {Object} crypto - Crypto data or snapshot
+   * @returns {Object} Stream entry
+   */
+  static toEntry(crypto) {
+    const quotes = crypto.quotes instanceof Map ? Object.fromEntries(crypto.quotes) : (crypto.quotes || {});
+
+    return {
+      symbol: crypto.symbol,
+      asset: crypto.asset ? crypto.asset.toString() : null,
+      coinId: crypto.coinId || null,
+      name: crypto.name,
+      rank: crypto.rank,
+      price: crypto.price,
+      marketCap: crypto.marketCap,
+      volume24h: crypto.volume24h,
+      change24h: crypto.change24h,
+      quotes,
+      timestamp: crypto.timestamp || new Date()
+    };
+  }
+
+  /**
+   * Express a stream entry in one currency
+   * @param {Object} entry - Stream entry
+   * @param {string} currency - Quote currency code
+   * @returns {Object} Entry priced in the currency (price fields are null if not quoted)
+   */
+  static inCurrency(entry, currency) {
+    const quote = entry.quotes[currency] || (currency === Crypto.BASE_CURRENCY ? entry : {});
+
+    return {
+      symbol: entry.symbol,
+      asset: entry.asset,
+      coinId: entry.coinId,
+      name: entry.name,
+      rank: entry.rank,
+      price: quote.price ?? null,
+      marketCap: quote.marketCap ?? null,
+      volume24h: quote.volume24h ?? null,
+      change24h: quote.change24h ?? entry.change24h,
+      currency,
+      timestamp: entry.timestamp
+    };
+  }
+
+  /**
+   * Check whether an entry differs from the last known one
+   * @param {Object|undefined} previous - Last known entry
+   * @param {Object} entry - New entry
+   * @returns {boolean} True if any tracked field or quote changed
+   */
+  static hasChanged(previous, entry) {
+    if (!previous) {
+      return true;
+    }
+
+    return TRACKED_FIELDS.some(field => previous[field] !== entry[field]) ||
+      JSON.stringify(previous.quotes) !== JSON.stringify(entry.quotes);
+  }
+
+  /**
+   * Load the latest stored prices so the first diff after startup is not the whole market
+   */
+  async seed() {
+    if (this.seeded) {
+      return;
+    }
+
+    const snapshots = await this.repository.getLatestSnapshots();
+    snapshots.forEach(snapshot => {
+      const key = PriceStream.keyOf(snapshot);
+      if (!this.prices.has(key)) {
+        this.prices.set(key, PriceStream.toEntry(snapshot));
+      }
+    });
+    this.seeded = true;
+  }
+
+  /**
+   * Diff saved crypto data against the last known prices and broadcast the changes
+   * @param {Array} cryptos - Crypto data committed by a save
+   * @returns {Object|null} Published stream event, or null if nothing changed
+   */
+  publishChanges(cryptos) {
+    const changes = [];
+
+    cryptos.forEach(crypto => {
+      const key = PriceStream.keyOf(crypto);
+      const entry = PriceStream.toEntry(crypto);
+
+      if (PriceStream.hasChanged(this.prices.get(key), entry)) {
+        changes.push(entry);
+      }
+      this.prices.set(key, entry);
+    });
+
+    if (changes.length === 0) {
+      return null;
+    }
+
+    this.seq++;
+    const event = {
+      id: `${this.epoch}-${this.seq}`,
+      seq: this.seq,
+      changes
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    this.clients.forEach(client => this.sendChanges(client, event));
+    return event;
+  }
+
+  /**
+   * Find the diffs a client missed since an event id
+   * @param {string} lastEventId - Last event id the client received
+   * @returns {Array|null} Missed events, or null if they are no longer buffered
+   */
+  getMissedEvents(lastEventId) {
+    const [epoch, seqText] = String(lastEventId).split('-');
+    const lastSeq = parseInt(seqText, 10);
+
+    if (epoch !== this.epoch || Number.isNaN(lastSeq) || lastSeq > this.seq) {
+      return null;
+    }
+
+    const oldest = this.buffer.length > 0 ? this.buffer[0].seq : this.seq + 1;
+    if (lastSeq < oldest - 1) {
+      return null;
+    }
+
+    return this.buffer.filter(event => event.seq > lastSeq);
+  }
+
+  /**
+   * Write one SSE message to a client, dropping clients that stopped reading
+   * @param {Object} client - Stream client
+   * @param {string} message - Formatted SSE message
+   */
+  write(client, message) {
+    if (client.res.writableLength > this.maxBufferedBytes) {
+      console.log('Dropping slow price stream client');
+      client.res.end();
+      this.removeClient(client);
+      return;
+    }
+
+    client.res.write(message);
+  }
+
+  /**
+   * Send the part of a diff a client subscribed to
+   * @param {Object} client - Stream client
+   * @param {Object} event - Stream event
+   */
+  sendChanges(client, event) {
+    const changes = event.changes
+      .filter(entry => !client.symbols || client.symbols.has(entry.symbol))
+      .map(entry => PriceStream.inCurrency(entry, client.currency));
+
+    if (changes.length > 0) {
+      this.write(client, `id: ${event.id}\nevent: prices\ndata: ${JSON.stringify({ changes })}\n\n`);
+    }
+  }
+
+  /**
+   * Send the full current state a client subscribed to
+   * @param {Object} client - Stream client
+   */
+  sendSnapshot(client) {
+    const data = Array.from(this.prices.values())
+      .filter(entry => !client.symbols || client.symbols.has(entry.symbol))
+      .sort((a, b) => (a.rank || Infinity) - (b.rank || Infinity))
+      .map(entry => PriceStream.inCurrency(entry, client.currency));
+
+    this.write(client, `id: ${this.epoch}-${this.seq}\nevent: snapshot\ndata: ${JSON.stringify({ data })}\n\n`);
+  }
+
+  /**
+   * Attach an SSE client. Clients resuming from a buffered event id receive the
+   * diffs they missed; everyone else starts from a snapshot
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} options - Client options
+   * @param {Array<string>} options.symbols - Upper-case symbols to receive (all when empty)
+   * @param {string} options.currency - Quote currency code
+   * @param {string} options.lastEventId - Last event id the client received
+   */
+  async addClient(req, res, options = {}) {
+    const client = {
+      res,
+      symbols: options.symbols && options.symbols.length > 0 ? new Set(options.symbols) : null,
+      currency: options.currency || Crypto.BASE_CURRENCY
+    };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    const missed = options.lastEventId ? this.getMissedEvents(options.lastEventId) : null;
+    if (missed) {
+      missed.forEach(event => this.sendChanges(client, event));
+    } else {
+      try {
+        await this.seed();
+      } catch (error) {
+        console.error('Error loading prices for stream snapshot:', error.message);
+      }
+      this.sendSnapshot(client);
+    }
+
+    this.clients.add(client);
+    req.on('close', () => this.removeClient(client));
+
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        this.clients.forEach(streamClient => this.write(streamClient, `: heartbeat ${Date.now()}\n\n`));
+      }, this.heartbeatMs);
+    }
+
+    return client;
+  }
+
+  /**
+   * Detach an SSE client, stopping the heartbeat when none are left
+   * @param {Object} client - Stream client
+   */
+  removeClient(client) {
+    this.clients.delete(client);
+
+    if (this.clients.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Close every client and stop listening for saves
+   */
+  close() {
+    this.clients.forEach(client => client.res.end());
+    this.clients.clear();
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+    this.events.off(STREAM_EVENTS.PRICES_UPDATED, this.listener);
+  }
+
+  /**
+   * Get stream status
+   * @returns {Object} Client count and buffered event range
+   */
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      lastEventId: `${this.epoch}-${this.seq}`,
+      bufferedEvents: this.buffer.length
+    };
+  }
+}
+
+module.exports = PriceStream;
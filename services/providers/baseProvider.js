@@ -0,0 +1,274 @@
+const axios = require('axios');
+
+/**
+ * Base class for market data providers
+ * Adapters implement fetchMarkets() to call the upstream API and normalize()
+ * to map its raw response onto the Crypto model shape. Adapters used for price
+ * consensus also implement fetchQuotes() to fetch specific coins by id
+ */
+class MarketDataProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.name - Provider name used in logs and stored records
+   * @param {string} options.baseUrl - Upstream API base URL
+   * @param {number} options.requestsPerMinute - Upstream rate limit
+   * @param {Array<string>} options.currencies - Quote currencies the API can price in ('*' for any)
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {number} options.maxRetries - Retries after a rate-limited (429) or 5xx response
+   * @param {string} options.apiKey - Optional API key sent by providers that support one
+   * @param {number} options.maxIdsPerRequest - Most coin ids fetchQuotes() may request at once
+   * @param {number} options.listingTtlMs - How long the coin listing used to map coins stays cached
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'unknown';
+    this.baseUrl = options.baseUrl || '';
+    this.requestsPerMinute = options.requestsPerMinute || 30;
+    this.currencies = options.currencies || ['usd'];
+    this.timeout = options.timeout || 15000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 4;
+    this.backoffBaseMs = options.backoffBaseMs || 2000;
+    this.apiKey = options.apiKey || null;
+    this.maxIdsPerRequest = options.maxIdsPerRequest || 100;
+    this.listingTtlMs = options.listingTtlMs || 60 * 60 * 1000;
+    this.listing = null;
+    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+    this.lastRequestAt = 0;
+    this.remaining = null;
+    this.lastStatus = null;
+  }
+
+  /**
+   * Fetch raw market data from the upstream API
+   * @param {Object} options - Fetch options ({ page, perPage, currency })
+   * @returns {Promise<*>} Raw provider response body
+   */
+  async fetchMarkets(options = {}) {
+    throw new Error(`${this.name} provider does not implement fetchMarkets`);
+  }
+
+  /**
+   * Map a raw provider response onto Crypto documents
+   * Each item carries externalId ({ provider, id }) so it can be matched to a registry asset
+   * @param {*} raw - Raw provider response body
+   * @returns {Array} Array of crypto data objects
+   */
+  normalize(raw) {
+    throw new Error(`${this.name} provider does not implement normalize`);
+  }
+
+  /**
+   * Fetch and normalize market data
+   * @param {Object} options - Fetch options ({ page, perPage, currency })
+   * @returns {Promise<Array>} Array of crypto data objects
+   */
+  async getMarkets(options = {}) {
+    const raw = await this.fetchMarkets(options);
+    return this.normalize(raw);
+  }
+
+  /**
+   * Fetch raw market data for specific coins
+   * @param {Array<string>} ids - Provider coin ids
+   * @param {Object} options - Fetch options ({ currency })
+   * @returns {Promise<*>} Raw provider response body
+   */
+  async fetchQuotes(ids, options = {}) {
+    throw new Error(`${this.name} provider does not implement fetchQuotes`);
+  }
+
+  /**
+   * Fetch and normalize market data for specific coins, in batches the upstream API accepts
+   * @param {Array<string>} ids - Provider coin ids
+   * @param {Object} options - Fetch options ({ currency })
+   * @returns {Promise<Array>} Array of crypto data objects for the coins found
+   */
+  async getQuotes(ids, options = {}) {
+    const cryptoData = [];
+
+    for (let start = 0; start < ids.length; start += this.maxIdsPerRequest) {
+      const raw = await this.fetchQuotes(ids.slice(start, start + this.maxIdsPerRequest), options);
+      cryptoData.push(...this.normalize(raw));
+    }
+
+    return cryptoData;
+  }
+
+  /**
+   * Derive a coin's id at this provider from its data, for providers that name coins after their ticker
+   * @param {Object} crypto - Crypto data from another provider
+   * @returns {string|null} Provider coin id, or null if it cannot be derived
+   */
+  coinIdFor(crypto) {
+    return null;
+  }
+
+  /**
+   * Fetch every coin the provider lists, for mapping other providers' coins onto its ids
+   * @returns {Promise<Array|null>} Coins as { id, symbol, name }, or null if the provider has no listing
+   */
+  async fetchCoinListing() {
+    return null;
+  }
+
+  /**
+   * Get the coin listing, fetching it again once it is older than listingTtlMs
+   * @returns {Promise<Array|null>} Coins as { id, symbol, name }, or null if the provider has no listing
+   */
+  async getCoinListing() {
+    if (!this.listing || Date.now() - this.listing.fetchedAt > this.listingTtlMs) {
+      this.listing = { fetchedAt: Date.now(), coins: await this.fetchCoinListing() };
+    }
+    return this.listing.coins;
+  }
+
+  /**
+   * Map other providers' coins onto this provider's ids: by symbol and name in the coin
+   * listing, else by a symbol the listing holds once, else by coinIdFor(). Symbols shared
+   * by several coins only map by name
+   * @param {Array} cryptoData - Crypto data from another provider, with externalId
+   * @param {Set<string>} sharedSymbols - Symbols several registered assets trade under
+   * @returns {Promise<Map>} Other provider's coin id to this provider's coin id, for the coins found
+   */
+  async findCoinIds(cryptoData, sharedSymbols = new Set()) {
+    const listing = await this.getCoinListing();
+    const bySymbol = new Map();
+    (listing || []).forEach(coin => {
+      const symbol = String(coin.symbol).toUpperCase();
+      bySymbol.set(symbol, [...(bySymbol.get(symbol) || []), coin]);
+    });
+
+    const ids = new Map();
+    cryptoData.forEach(crypto => {
+      let id = null;
+
+      if (listing) {
+        const candidates = bySymbol.get(crypto.symbol) || [];
+        const named = candidates.filter(coin => String(coin.name).toLowerCase() === String(crypto.name).toLowerCase());
+        if (named.length === 1) {
+          id = named[0].id;
+        } else if (candidates.length === 1 && !sharedSymbols.has(crypto.symbol)) {
+          id = candidates[0].id;
+        }
+      } else if (!sharedSymbols.has(crypto.symbol)) {
+        id = this.coinIdFor(crypto);
+      }
+
+      if (id) {
+        ids.set(crypto.externalId.id, id);
+      }
+    });
+
+    return ids;
+  }
+
+  /**
+   * Check whether the provider can quote prices in a currency
+   * @param {string} currency - Quote currency code
+   * @returns {boolean} True if supported
+   */
+  supportsCurrency(currency) {
+    return this.currencies.includes('*') || this.currencies.includes(currency.toLowerCase());
+  }
+
+  /**
+   * Get rate limit information for this provider
+   * @returns {Object} Rate limit details
+   */
+  getRateLimitInfo() {
+    return {
+      provider: this.name,
+      requestsPerMinute: this.requestsPerMinute,
+      minIntervalMs: Math.ceil(60000 / this.requestsPerMinute),
+      remaining: this.remaining,
+      lastRequestAt: this.lastRequestAt ? new Date(this.lastRequestAt) : null
+    };
+  }
+
+  /**
+   * Calculate how long to wait before retrying a failed request
+   * Honours a Retry-After header, otherwise backs off exponentially with jitter
+   * @param {Error} error - Axios error
+   * @param {number} attempt - Zero-based retry attempt
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (retryAfter && !isNaN(parseInt(retryAfter))) {
+      return parseInt(retryAfter) * 1000;
+    }
+
+    const backoff = this.backoffBaseMs * Math.pow(2, attempt);
+    return backoff + Math.floor(Math.random() * this.backoffBaseMs);
+  }
+
+  /**
+   * Check whether a failed request is worth retrying
+   * @param {Error} error - Axios error
+   * @returns {boolean} True for rate limiting, server errors and timeouts
+   */
+  isRetryable(error) {
+    if (!error.response) {
+      return error.code === 'ECONNABORTED' || error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT';
+    }
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+
+  /**
+   * Headers that authenticate requests with the configured API key
+   * @returns {Object} Request headers (none unless the provider supports keys)
+   */
+  getAuthHeaders() {
+    return {};
+  }
+
+  /**
+   * Perform a GET request, spacing calls to stay within the provider's rate limit
+   * and retrying with backoff when the provider throttles or fails transiently
+   * @param {string} path - Path relative to the base URL
+   * @param {Object} params - Query parameters
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(path, params = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const { minIntervalMs } = this.getRateLimitInfo();
+      const wait = this.lastRequestAt + minIntervalMs - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+
+      this.lastRequestAt = Date.now();
+
+      try {
+        const response = await axios.get(`${this.baseUrl}${path}`, {
+          params,
+          headers: {
+            'User-Agent': this.userAgent,
+            'Accept': 'application/json',
+            ...(this.apiKey ? this.getAuthHeaders() : {})
+          },
+          timeout: this.timeout
+        });
+
+        const remaining = response.headers && response.headers['x-ratelimit-remaining'];
+        this.remaining = remaining !== undefined ? parseInt(remaining) : null;
+        this.lastStatus = response.status;
+
+        return response;
+
+      } catch (error) {
+        this.lastStatus = error.response ? error.response.status : null;
+
+        if (attempt >= this.maxRetries || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(error, attempt);
+        const status = error.response ? error.response.status : error.code;
+        console.log(`${this.name} request to ${path} failed (${status}), retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+module.exports = MarketDataProvider;
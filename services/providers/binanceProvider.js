@@ -0,0 +1,87 @@
+const MarketDataProvider = require('./baseProvider');
+
+/**
+ * Binance public REST provider
+ * Uses /ticker/24hr for USDT pairs. Binance has no market cap or rank data,
+ * so this provider is meant as a price source for consensus, not as a primary feed
+ */
+class BinanceProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({
+      name: 'binance',
+      baseUrl: 'https://api.binance.com/api/v3',
+      requestsPerMinute: 60,
+      // Quotes come from one request for every ticker
+      maxIdsPerRequest: Infinity,
+      ...options
+    });
+    this.quoteAsset = options.quoteAsset || 'USDT';
+  }
+
+  /**
+   * Fetch 24h tickers from Binance (the endpoint is not paginated)
+   * @param {Object} options - Fetch options ({ page })
+   * @returns {Promise<Array>} Raw /ticker/24hr response body
+   */
+  async fetchMarkets({ page = 1 } = {}) {
+    if (page > 1) {
+      return [];
+    }
+
+    const response = await this.request('/ticker/24hr');
+    return response.data;
+  }
+
+  /**
+   * Fetch 24h tickers of specific pairs. The endpoint rejects a whole request naming any
+   * pair it does not list, so every ticker is fetched and filtered instead
+   * @param {Array<string>} ids - Binance pair symbols (e.g. BTCUSDT)
+   * @returns {Promise<Array>} Raw /ticker/24hr response body for those pairs
+   */
+  async fetchQuotes(ids) {
+    const wanted = new Set(ids);
+    const response = await this.request('/ticker/24hr');
+    return (response.data || []).filter(ticker => wanted.has(ticker.symbol));
+  }
+
+  /**
+   * Binance names pairs after the ticker, so a coin's pair is its symbol and the quote asset
+   * @param {Object} crypto - Crypto data from another provider
+   * @returns {string} Pair symbol (e.g. BTCUSDT)
+   */
+  coinIdFor(crypto) {
+    return `${crypto.symbol}${this.quoteAsset}`;
+  }
+
+  /**
+   * Map a /ticker/24hr response onto Crypto documents
+   * @param {Array} raw - Raw /ticker/24hr response body
+   * @returns {Array} Array of crypto data objects
+   */
+  normalize(raw) {
+    const timestamp = new Date();
+
+    return (raw || [])
+      .filter(ticker => ticker.symbol.endsWith(this.quoteAsset))
+      .map(ticker => {
+        const symbol = ticker.symbol.slice(0, -this.quoteAsset.length);
+
+        return {
+          name: symbol,
+          symbol,
+          price: parseFloat(ticker.lastPrice) || 0,
+          marketCap: 0,
+          change24h: parseFloat(ticker.priceChangePercent) || 0,
+          volume24h: parseFloat(ticker.quoteVolume) || 0,
+          rank: 0,
+          image: '',
+          externalId: { provider: this.name, id: ticker.symbol },
+          source: this.name,
+          timestamp,
+          isActive: true
+        };
+      });
+  }
+}
+
+module.exports = BinanceProvider;
@@ -0,0 +1,90 @@
+const MarketDataProvider = require('./baseProvider');
+
+/**
+ * CoinCap market data provider
+ * Uses the public /assets endpoint, which returns numbers as strings
+ */
+class CoinCapProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({
+      name: 'coincap',
+      baseUrl: 'https://api.coincap.io/v2',
+      requestsPerMinute: 200,
+      ...options
+    });
+  }
+
+  /**
+   * Send the API key as a bearer token
+   * @returns {Object} Request headers
+   */
+  getAuthHeaders() {
+    return { Authorization: `Bearer ${this.apiKey}` };
+  }
+
+  /**
+   * Fetch raw market data from CoinCap
+   * @param {Object} options - Fetch options ({ page, perPage })
+   * @returns {Promise<Object>} Raw /assets response body
+   */
+  async fetchMarkets({ page = 1, perPage = 100 } = {}) {
+    const response = await this.request('/assets', {
+      limit: perPage,
+      offset: (page - 1) * perPage
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Fetch raw market data for specific coins from CoinCap
+   * @param {Array<string>} ids - CoinCap asset ids
+   * @returns {Promise<Object>} Raw /assets response body
+   */
+  async fetchQuotes(ids) {
+    const response = await this.request('/assets', {
+      ids: ids.join(','),
+      limit: ids.length
+    });
+
+    return response.data;
+  }
+
+  /**
+   * List CoinCap assets (its largest page covers every asset it tracks by market cap)
+   * for mapping other providers' coins onto CoinCap ids
+   * @returns {Promise<Array>} Coins as { id, symbol, name }
+   */
+  async fetchCoinListing() {
+    const response = await this.request('/assets', { limit: 2000 });
+    const assets = (response.data && response.data.data) || [];
+    return assets.map(asset => ({ id: asset.id, symbol: asset.symbol, name: asset.name }));
+  }
+
+  /**
+   * Map an /assets response onto Crypto documents
+   * @param {Object} raw - Raw /assets response body ({ data: [...] })
+   * @returns {Array} Array of crypto data objects
+   */
+  normalize(raw) {
+    const timestamp = new Date();
+    const assets = (raw && raw.data) || [];
+
+    return assets.map(asset => ({
+      name: asset.name,
+      symbol: asset.symbol.toUpperCase(),
+      price: parseFloat(asset.priceUsd) || 0,
+      marketCap: parseFloat(asset.marketCapUsd) || 0,
+      change24h: parseFloat(asset.changePercent24Hr) || 0,
+      volume24h: parseFloat(asset.volumeUsd24Hr) || 0,
+      rank: parseInt(asset.rank) || 0,
+      image: '',
+      externalId: { provider: this.name, id: asset.id },
+      source: this.name,
+      timestamp,
+      isActive: true
+    }));
+  }
+}
+
+module.exports = CoinCapProvider;
@@ -0,0 +1,107 @@
+const MarketDataProvider = require('./baseProvider');
+
+/**
+ * CoinGecko market data provider
+ * Uses the public /coins/markets endpoint
+ */
+class CoinGeckoProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super({
+      name: 'coingecko',
+      baseUrl: 'https://api.coingecko.com/api/v3',
+      requestsPerMinute: 10,
+      currencies: ['*'],
+      maxIdsPerRequest: 250,
+      ...options
+    });
+  }
+
+  /**
+   * Send the demo API key, which raises the public rate limit
+   * @returns {Object} Request headers
+   */
+  getAuthHeaders() {
+    return { 'x-cg-demo-api-key': this.apiKey };
+  }
+
+  /**
+   * Fetch raw market data from CoinGecko
+   * @param {Object} options - Fetch options ({ page, perPage, currency })
+   * @returns {Promise<Array>} Raw /coins/markets response body
+   */
+  async fetchMarkets({ page = 1, perPage = 100, currency = 'usd' } = {}) {
+    const response = await this.request('/coins/markets', {
+      vs_currency: currency,
+      order: 'market_cap_desc',
+      per_page: perPage,
+      page,
+      sparkline: false,
+      price_change_percentage: '24h'
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Fetch raw market data for specific coins from CoinGecko
+   * @param {Array<string>} ids - CoinGecko coin ids
+   * @param {Object} options - Fetch options ({ currency })
+   * @returns {Promise<Array>} Raw /coins/markets response body
+   */
+  async fetchQuotes(ids, { currency = 'usd' } = {}) {
+    const response = await this.request('/coins/markets', {
+      vs_currency: currency,
+      ids: ids.join(','),
+      per_page: ids.length,
+      page: 1,
+      sparkline: false,
+      price_change_percentage: '24h'
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Fetch the full coin list including contract addresses per chain
+   * @returns {Promise<Array>} Raw /coins/list response body
+   */
+  async fetchCoinList() {
+    const response = await this.request('/coins/list', { include_platform: true });
+    return response.data;
+  }
+
+  /**
+   * List every CoinGecko coin for mapping other providers' coins onto CoinGecko ids
+   * @returns {Promise<Array>} Coins as { id, symbol, name }
+   */
+  async fetchCoinListing() {
+    const coins = await this.fetchCoinList();
+    return (coins || []).map(coin => ({ id: coin.id, symbol: coin.symbol, name: coin.name }));
+  }
+
+  /**
+   * Map a /coins/markets response onto Crypto documents
+   * @param {Array} raw - Raw /coins/markets response body
+   * @returns {Array} Array of crypto data objects
+   */
+  normalize(raw) {
+    const timestamp = new Date();
+
+    return (raw || []).map(coin => ({
+      name: coin.name,
+      symbol: coin.symbol.toUpperCase(),
+      price: coin.current_price || 0,
+      marketCap: coin.market_cap || 0,
+      change24h: coin.price_change_percentage_24h || 0,
+      volume24h: coin.total_volume || 0,
+      rank: coin.market_cap_rank || 0,
+      image: coin.image || '',
+      externalId: { provider: this.name, id: coin.id },
+      source: this.name,
+      timestamp,
+      isActive: true
+    }));
+  }
+}
+
+module.exports = CoinGeckoProvider;
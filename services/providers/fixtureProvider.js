@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const MarketDataProvider = require('./baseProvider');
+
+/**
+ * Local JSON fixture provider
+ * Replays a recorded upstream response through that provider's normalize(),
+ * so deployments and tests can run without network access
+ *
+ * Fixture files look like: { "provider": "coingecko", "pages": [ <raw page 1>, ... ] }
+ * with optional per-currency recordings under "currencies": { "eur": { "pages": [...] } }
+ */
+class FixtureProvider extends MarketDataProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.fixturePath - Path to the recorded fixture file
+   * @param {Function} options.resolveProvider - Creates the provider whose normalize() is replayed
+   */
+  constructor(options = {}) {
+    super({
+      name: 'fixture',
+      requestsPerMinute: 6000,
+      ...options
+    });
+    this.fixturePath = options.fixturePath || path.join(__dirname, '..', '..', 'fixtures', 'coingecko-markets.json');
+    this.resolveProvider = options.resolveProvider;
+    this.fixture = null;
+  }
+
+  /**
+   * Load the fixture file (cached after the first read)
+   * @returns {Object} Parsed fixture
+   */
+  loadFixture() {
+    if (!this.fixture) {
+      this.fixture = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+      this.currencies = ['usd', ...Object.keys(this.fixture.currencies || {})];
+    }
+    return this.fixture;
+  }
+
+  /**
+   * Check whether the fixture holds recordings for a currency
+   * @param {string} currency - Quote currency code
+   * @returns {boolean} True if recorded
+   */
+  supportsCurrency(currency) {
+    this.loadFixture();
+    return super.supportsCurrency(currency);
+  }
+
+  /**
+   * Return the recorded page for the requested page number
+   * @param {Object} options - Fetch options ({ page, currency })
+   * @returns {Promise<*>} Recorded raw response body
+   */
+  async fetchMarkets({ page = 1, currency = 'usd' } = {}) {
+    const fixture = this.loadFixture();
+    const recording = currency === 'usd' ? fixture : (fixture.currencies || {})[currency];
+    return recording ? recording.pages[page - 1] || null : null;
+  }
+
+  /**
+   * Find specific coins in the recorded pages
+   * @param {Array<string>} ids - Coin ids of the recording provider
+   * @param {Object} options - Fetch options ({ currency })
+   * @returns {Promise<Array>} Array of crypto data objects for the coins found
+   */
+  async getQuotes(ids, { currency = 'usd' } = {}) {
+    const fixture = this.loadFixture();
+    const recording = currency === 'usd' ? fixture : (fixture.currencies || {})[currency];
+    const wanted = new Set(ids);
+
+    return (recording ? recording.pages : [])
+      .flatMap(page => this.normalize(page))
+      .filter(crypto => crypto.externalId && wanted.has(crypto.externalId.id));
+  }
+
+  /**
+   * Normalize a recorded page with the recording provider's mapping
+   * External ids keep the recording provider's namespace so assets resolve the same way
+   * @param {*} raw - Recorded raw response body
+   * @returns {Array} Array of crypto data objects
+   */
+  normalize(raw) {
+    if (!raw) {
+      return [];
+    }
+
+    const fixture = this.loadFixture();
+    const recordedProvider = this.resolveProvider(fixture.provider);
+
+    return recordedProvider.normalize(raw).map(crypto => ({
+      ...crypto,
+      source: this.name
+    }));
+  }
+}
+
+module.exports = FixtureProvider;
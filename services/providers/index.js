@@ -0,0 +1,70 @@
+const config = require('../../config');
+const CoinGeckoProvider = require('./coinGeckoProvider');
+const CoinCapProvider = require('./coinCapProvider');
+const BinanceProvider = require('./binanceProvider');
+const FixtureProvider = require('./fixtureProvider');
+
+// Registry of available market data providers, keyed by deployment name
+const providers = {
+  coingecko: CoinGeckoProvider,
+  coincap: CoinCapProvider,
+  binance: BinanceProvider,
+  fixture: FixtureProvider
+};
+
+/**
+ * API keys, request budgets and fixture path from the config, keyed by provider name
+ * Unset settings are left out so each provider keeps its own defaults
+ * @param {string} name - Provider name
+ * @returns {Object} Provider options
+ */
+const getConfiguredOptions = (name) => {
+  const configured = {
+    coingecko: { apiKey: config.COINGECKO_API_KEY, requestsPerMinute: config.COINGECKO_REQUESTS_PER_MINUTE },
+    coincap: { apiKey: config.COINCAP_API_KEY, requestsPerMinute: config.COINCAP_REQUESTS_PER_MINUTE },
+    binance: { requestsPerMinute: config.BINANCE_REQUESTS_PER_MINUTE },
+    fixture: { fixturePath: config.MARKET_FIXTURE_PATH }
+  }[name] || {};
+
+  return Object.fromEntries(Object.entries(configured).filter(([, value]) => value !== undefined && value !== ''));
+};
+
+/**
+ * Register an additional provider adapter
+ * @param {string} name - Provider name used in configuration
+ * @param {Function} ProviderClass - Class extending MarketDataProvider
+ */
+const registerProvider = (name, ProviderClass) => {
+  providers[name.toLowerCase()] = ProviderClass;
+};
+
+/**
+ * Create a provider instance by name
+ * @param {string} name - Provider name (e.g. 'coingecko')
+ * @param {Object} options - Provider options
+ * @returns {MarketDataProvider} Provider instance
+ */
+const createProvider = (name, options = {}) => {
+  const ProviderClass = providers[name.toLowerCase()];
+  if (!ProviderClass) {
+    throw new Error(`Unknown market data provider: ${name}`);
+  }
+
+  return new ProviderClass({ resolveProvider: createProvider, ...getConfiguredOptions(name.toLowerCase()), ...options });
+};
+
+/**
+ * Create providers in fallback order
+ * @param {Array<string>} names - Provider names, most preferred first
+ * @param {Object} options - Options keyed by provider name
+ * @returns {Array<MarketDataProvider>} Provider instances
+ */
+const createProviders = (names, options = {}) => {
+  return names.map(name => createProvider(name.trim(), options[name.trim()] || {}));
+};
+
+module.exports = {
+  registerProvider,
+  createProvider,
+  createProviders
+};
@@ -0,0 +1,26 @@
+const RateLimitStore = require('./rateLimitStore');
+const MemoryRateLimitStore = require('./memoryRateLimitStore');
+const MongoRateLimitStore = require('./mongoRateLimitStore');
+
+/**
+ * Create a rate limit store by name
+ * @param {string} type - 'memory' or 'mongo'
+ * @returns {RateLimitStore} Store instance
+ */
+const createRateLimitStore = (type) => {
+  if (type === 'mongo') {
+    return new MongoRateLimitStore();
+  }
+  if (type === 'memory') {
+    return new MemoryRateLimitStore();
+  }
+
+  throw new Error(`Unknown rate limit store: ${type}`);
+};
+
+module.exports = {
+  createRateLimitStore,
+  RateLimitStore,
+  MemoryRateLimitStore,
+  MongoRateLimitStore
+};
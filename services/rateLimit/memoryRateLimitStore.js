@@ -0,0 +1,75 @@
+const RateLimitStore = require('./rateLimitStore');
+
+/**
+ * Rate limit store held in memory (one instance, counts lost on restart)
+ */
+class MemoryRateLimitStore extends RateLimitStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.maxBuckets - Buckets kept before full ones are pruned
+   */
+  constructor(options = {}) {
+    super();
+    this.maxBuckets = options.maxBuckets || 10000;
+    this.buckets = new Map();
+    this.usage = new Map();
+  }
+
+  async consume(key, limits, cost = 1) {
+    const now = Date.now();
+    const bucket = RateLimitStore.take(this.buckets.get(key), limits, cost, now);
+
+    this.buckets.set(key, { ...bucket, limits });
+    if (this.buckets.size > this.maxBuckets) {
+      this.prune(now);
+    }
+
+    return RateLimitStore.describe(bucket.tokens, limits, bucket.allowed, cost);
+  }
+
+  /**
+   * Drop buckets that have refilled completely, since a new bucket starts full anyway
+   * @param {number} now - Current time in ms
+   */
+  prune(now) {
+    this.buckets.forEach((bucket, key) => {
+      const refilled = bucket.tokens + (now - bucket.refilledAt) / 1000 * bucket.limits.refillPerSecond;
+      if (refilled >= bucket.limits.capacity) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+
+  recordUsage(client, allowed) {
+    const day = RateLimitStore.dayOf();
+    const key = `${client.id}|${day}`;
+    const usage = this.usage.get(key) || {
+      client: client.id,
+      name: client.name,
+      role: client.role,
+      day,
+      requests: 0,
+      limited: 0
+    };
+
+    usage.requests++;
+    if (!allowed) {
+      usage.limited++;
+    }
+    usage.lastRequestAt = new Date();
+    this.usage.set(key, usage);
+  }
+
+  async getUsage({ from, to, client } = {}) {
+    return Array.from(this.usage.values())
+      .filter(usage =>
+        (!from || usage.day >= from) &&
+        (!to || usage.day <= to) &&
+        (!client || usage.client === client)
+      )
+      .sort((a, b) => b.day.localeCompare(a.day) || b.requests - a.requests)
+      .map(usage => ({ ...usage }));
+  }
+}
+
+module.exports = MemoryRateLimitStore;
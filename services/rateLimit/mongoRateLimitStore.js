@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const RateLimitBucket = require('../../models/RateLimitBucket');
+const ClientUsage = require('../../models/ClientUsage');
+const RateLimitStore = require('./rateLimitStore');
+const MemoryRateLimitStore = require('./memoryRateLimitStore');
+
+/**
+ * Rate limit store in MongoDB, so every instance draws from the same buckets
+ * Each request refills and takes from its bucket in one atomic update. Usage
+ * counts are batched in memory and flushed periodically. While MongoDB is
+ * unavailable, buckets fall back to memory so reads keep being served
+ */
+class MongoRateLimitStore extends RateLimitStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.flushIntervalMs - How often pending usage counts are written
+   */
+  constructor(options = {}) {
+    super();
+    this.flushIntervalMs = options.flushIntervalMs || 10000;
+    this.fallback = new MemoryRateLimitStore();
+    this.pendingUsage = new Map();
+
+    this.flushTimer = setInterval(() => {
+      this.flush().catch(error => console.error('Error flushing client usage:', error.message));
+    }, this.flushIntervalMs);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * Check whether MongoDB can be used right now
+   * @returns {boolean} True while connected
+   */
+  isConnected() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  async consume(key, limits, cost = 1) {
+    if (!this.isConnected()) {
+      return this.fallback.consume(key, limits, cost);
+    }
+
+    const now = new Date();
+    const elapsedSeconds = { $divide: [{ $subtract: [now, { $ifNull: ['$refilledAt', now] }] }, 1000] };
+    const refilled = {
+      $min: [
+        limits.capacity,
+        { $add: [{ $ifNull: ['$tokens', limits.capacity] }, { $multiply: [elapsedSeconds, limits.refillPerSecond] }] }
+      ]
+    };
+
+    // The native collection is used because Mongoose would try to cast the pipeline stages
+    const bucket = await RateLimitBucket.collection.findOneAndUpdate(
+      { key },
+      [
+        { $set: { tokens: refilled, refilledAt: now } },
+        { $set: { allowed: { $gte: ['$tokens', cost] } } },
+        {
+          $set: {
+            tokens: { $cond: ['$allowed', { $subtract: ['$tokens', cost] }, '$tokens'] },
+            expiresAt: new Date(now.getTime() + Math.ceil(limits.capacity / limits.refillPerSecond) * 1000)
+          }
+        }
+      ],
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    return RateLimitStore.describe(bucket.tokens, limits, bucket.allowed, cost);
+  }
+
+  recordUsage(client, allowed) {
+    const day = RateLimitStore.dayOf();
+    const key = `${client.id}|${day}`;
+    const pending = this.pendingUsage.get(key) || { client, day, requests: 0, limited: 0 };
+
+    pending.requests++;
+    if (!allowed) {
+      pending.limited++;
+    }
+    pending.lastRequestAt = new Date();
+    this.pendingUsage.set(key, pending);
+  }
+
+  /**
+   * Write pending usage counts
+   * Counts stay pending while MongoDB is unavailable and are written once it is back
+   */
+  async flush() {
+    if (this.pendingUsage.size === 0 || !this.isConnected()) {
+      return;
+    }
+
+    const pending = Array.from(this.pendingUsage.values());
+    this.pendingUsage.clear();
+
+    try {
+      await ClientUsage.bulkWrite(pending.map(usage => ({
+        updateOne: {
+          filter: { client: usage.client.id, day: usage.day },
+          update: {
+            $inc: { requests: usage.requests, limited: usage.limited },
+            $set: { name: usage.client.name, role: usage.client.role, lastRequestAt: usage.lastRequestAt }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+    } catch (error) {
+      // Put the counts back so the next flush retries them
+      pending.forEach(usage => {
+        const key = `${usage.client.id}|${usage.day}`;
+        const current = this.pendingUsage.get(key);
+        if (current) {
+          current.requests += usage.requests;
+          current.limited += usage.limited;
+        } else {
+          this.pendingUsage.set(key, usage);
+        }
+      });
+      throw error;
+    }
+  }
+
+  async getUsage({ from, to, client } = {}) {
+    await this.flush();
+
+    const query = {};
+    if (from || to) {
+      query.day = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      };
+    }
+    if (client) {
+      query.client = client;
+    }
+
+    return ClientUsage.find(query)
+      .sort({ day: -1, requests: -1 })
+      .select('-_id -__v')
+      .lean();
+  }
+
+  async close() {
+    clearInterval(this.flushTimer);
+    await this.flush();
+  }
+}
+
+module.exports = MongoRateLimitStore;
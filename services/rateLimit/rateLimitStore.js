@@ -0,0 +1,91 @@
+/**
+ * Rate limit store interface
+ * Holds one token bucket per client and the per-day request counts used for
+ * usage reports. The in-memory store suits a single instance; the MongoDB store
+ * lets several instances share buckets and counts
+ */
+class RateLimitStore {
+  /**
+   * Take tokens from a client's bucket, refilling it for the time since the last request
+   * @param {string} key - Client key
+   * @param {Object} limits - { capacity, refillPerSecond }
+   * @param {number} cost - Tokens the request costs
+   * @returns {Promise<Object>} { allowed, remaining, resetMs, retryAfterMs }
+   */
+  async consume(key, limits, cost) {
+    throw new Error(`${this.constructor.name} must implement consume()`);
+  }
+
+  /**
+   * Count one request towards a client's usage for today
+   * @param {Object} client - { id, name, role }
+   * @param {boolean} allowed - False if the request was rate limited
+   */
+  recordUsage(client, allowed) {
+    throw new Error(`${this.constructor.name} must implement recordUsage()`);
+  }
+
+  /**
+   * Get per-client request counts per day
+   * @param {Object} filter - { from, to (YYYY-MM-DD, inclusive), client }
+   * @returns {Promise<Array>} [{ client, name, role, day, requests, limited }] newest day first
+   */
+  async getUsage(filter) {
+    throw new Error(`${this.constructor.name} must implement getUsage()`);
+  }
+
+  /**
+   * Release timers and persist anything pending
+   */
+  async close() {}
+
+  /**
+   * Refill a bucket and try to take tokens from it
+   * @param {Object} bucket - { tokens, refilledAt (ms) }, or null for a new client
+   * @param {Object} limits - { capacity, refillPerSecond }
+   * @param {number} cost - Tokens the request costs
+   * @param {number} now - Current time in ms
+   * @returns {Object} { tokens, refilledAt, allowed }
+   */
+  static take(bucket, limits, cost, now) {
+    const elapsedSeconds = bucket ? Math.max(now - bucket.refilledAt, 0) / 1000 : 0;
+    const refilled = bucket
+      ? Math.min(limits.capacity, bucket.tokens + elapsedSeconds * limits.refillPerSecond)
+      : limits.capacity;
+    const allowed = refilled >= cost;
+
+    return {
+      tokens: allowed ? refilled - cost : refilled,
+      refilledAt: now,
+      allowed
+    };
+  }
+
+  /**
+   * Describe a bucket for the RateLimit headers
+   * @param {number} tokens - Tokens left
+   * @param {Object} limits - { capacity, refillPerSecond }
+   * @param {boolean} allowed - Whether the request was allowed
+   * @param {number} cost - Tokens the request costs
+   * @returns {Object} { allowed, remaining, resetMs, retryAfterMs }
+   */
+  static describe(tokens, limits, allowed, cost) {
+    return {
+      allowed,
+      remaining: Math.floor(tokens),
+      resetMs: Math.ceil((limits.capacity - tokens) / limits.refillPerSecond * 1000),
+      retryAfterMs: allowed ? 0 : Math.ceil((cost - tokens) / limits.refillPerSecond * 1000)
+    };
+  }
+
+  /**
+   * Get the UTC day a timestamp falls on
+   * @param {Date} date - Timestamp
+   * @returns {string} YYYY-MM-DD
+   */
+  static dayOf(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+}
+
+module.exports = RateLimitStore;
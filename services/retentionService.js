@@ -0,0 +1,407 @@
+const Crypto = require('../models/Crypto');
+const Candle = require('../models/Candle');
+const CryptoRollup = require('../models/CryptoRollup');
+const CrawlState = require('../models/CrawlState');
+const config = require('../config');
+const { CANDLE_RESOLUTIONS, bucketExpression, floorDate } = require('../utils/timeBuckets');
+
+const { ROLLUP_RESOLUTIONS } = CryptoRollup;
+const HOUR_MS = ROLLUP_RESOLUTIONS['1h'];
+const DAY_MS = ROLLUP_RESOLUTIONS['1d'];
+
+/**
+ * Build the $group stage summarizing rows into rollup buckets
+ * @param {Object} source - Field paths of the rows: { time, open, high, low, close, samples }
+ * @param {number} bucketMs - Rollup size
+ * @returns {Object} $group stage
+ */
+const rollupGroup = (source, bucketMs) => ({
+  $group: {
+    _id: {
+      symbol: '$symbol',
+      asset: '$asset',
+      openTime: bucketExpression(source.time, bucketMs)
+    },
+    name: { $last: '$name' },
+    open: { $first: source.open },
+    high: { $max: source.high },
+    low: { $min: source.low },
+    close: { $last: source.close },
+    marketCap: { $last: '$marketCap' },
+    volume24h: { $last: '$volume24h' },
+    change24h: { $last: '$change24h' },
+    rank: { $last: '$rank' },
+    quotes: { $last: '$quotes' },
+    samples: { $sum: source.samples },
+    firstAt: { $min: source.firstAt },
+    lastAt: { $max: source.lastAt }
+  }
+});
+
+// Raw snapshots carry one price; hourly rollups carry their own OHLC, sample counts and sample times
+const RAW_SOURCE = {
+  time: '$timestamp',
+  open: '$price',
+  high: '$price',
+  low: '$price',
+  close: '$price',
+  samples: 1,
+  firstAt: '$timestamp',
+  lastAt: '$timestamp'
+};
+const HOURLY_SOURCE = {
+  time: '$openTime',
+  open: '$open',
+  high: '$high',
+  low: '$low',
+  close: '$close',
+  samples: '$samples',
+  firstAt: { $ifNull: ['$firstAt', '$openTime'] },
+  lastAt: { $ifNull: ['$lastAt', '$openTime'] }
+};
+
+// Fields of a rollup that describe its last snapshot
+const LAST_FIELDS = ['name', 'close', 'marketCap', 'volume24h', 'change24h', 'rank', 'quotes'];
+
+/**
+ * Build the update pipeline merging a summary into its rollup bucket. A new bucket
+ * takes the summary as is; an existing one keeps the earliest open, the extreme
+ * high and low, the latest closing values, and adds up the samples
+ * @param {Object} summary - Summary of rows in the bucket, from rollupGroup
+ * @returns {Array} Update pipeline
+ */
+const mergeRollup = (summary) => {
+  const value = field => ({ $literal: summary[field] });
+  const isNew = { $eq: [{ $type: '$open' }, 'missing'] };
+  const startsEarlier = { $or: [isNew, { $lt: [value('firstAt'), { $ifNull: ['$firstAt', '$openTime'] }] }] };
+  const endsLater = { $or: [isNew, { $gte: [value('lastAt'), { $ifNull: ['$lastAt', '$openTime'] }] }] };
+
+  return [{
+    $set: {
+      open: { $cond: [startsEarlier, value('open'), '$open'] },
+      high: { $max: ['$high', value('high')] },
+      low: { $min: ['$low', value('low')] },
+      samples: { $add: [{ $ifNull: ['$samples', 0] }, value('samples')] },
+      firstAt: { $min: ['$firstAt', value('firstAt')] },
+      lastAt: { $max: ['$lastAt', value('lastAt')] },
+      ...Object.fromEntries(LAST_FIELDS.map(field => [field, { $cond: [endsLater, value(field), `$${field}`] }])),
+      closeTime: value('closeTime'),
+      // Mongoose appends updatedAt to update pipelines, but not createdAt
+      createdAt: { $ifNull: ['$createdAt', '$$NOW'] }
+    }
+  }];
+};
+
+/**
+ * Retention tiers for crypto price data. Raw snapshots are kept for rawDays,
+ * then compacted into hourly rollups and deleted; hourly rollups are kept for
+ * hourlyDays, then compacted into daily rollups and deleted; daily rollups are
+ * kept for dailyDays (0 keeps them forever). Work is done one day at a time,
+ * and each day's rows are only deleted once its rollups are saved. Candles are
+ * deleted once older than their resolution's tier in candleDays
+ */
+class RetentionService {
+  /**
+   * @param {Object} tiers - Retention tiers (default: from config)
+   * @param {number} tiers.rawDays - Days raw snapshots are kept
+   * @param {number} tiers.hourlyDays - Days hourly rollups are kept
+   * @param {number} tiers.dailyDays - Days daily rollups are kept (0: forever)
+   * @param {Object} tiers.candleDays - Days candles are kept per tier: { intraday, hourly, daily } (0: forever)
+   */
+  constructor(tiers = {}) {
+    this.rawDays = tiers.rawDays || config.CRYPTO_RAW_RETENTION_DAYS;
+    this.hourlyDays = tiers.hourlyDays || config.CRYPTO_HOURLY_RETENTION_DAYS;
+    this.dailyDays = tiers.dailyDays ?? config.CRYPTO_DAILY_RETENTION_DAYS;
+    this.candleDays = tiers.candleDays || {
+      intraday: config.CANDLE_INTRADAY_RETENTION_DAYS,
+      hourly: config.CANDLE_HOURLY_RETENTION_DAYS,
+      daily: config.CANDLE_DAILY_RETENTION_DAYS
+    };
+  }
+
+  /**
+   * Work out each tier's cutoff. Cutoffs are aligned to the rollup they feed, so
+   * a bucket is never compacted while part of it is still kept
+   * @param {Date} now - Reference time
+   * @returns {Object} { raw, hourly, daily, candles } cutoff dates, where candles is keyed by
+   * resolution (daily and candle cutoffs are null when kept forever)
+   */
+  getCutoffs(now = new Date()) {
+    const candles = {};
+    Object.entries(CANDLE_RESOLUTIONS).forEach(([resolution, bucketMs]) => {
+      const days = this.candleDays[Candle.RETENTION_TIERS[resolution]];
+      candles[resolution] = days > 0 ? floorDate(new Date(now.getTime() - days * DAY_MS), bucketMs) : null;
+    });
+
+    return {
+      raw: floorDate(new Date(now.getTime() - this.rawDays * DAY_MS), HOUR_MS),
+      hourly: floorDate(new Date(now.getTime() - this.hourlyDays * DAY_MS), DAY_MS),
+      daily: this.dailyDays > 0 ? floorDate(new Date(now.getTime() - this.dailyDays * DAY_MS), DAY_MS) : null,
+      candles
+    };
+  }
+
+  /**
+   * Summarize rows into rollups and save them, merging into rollups of the same buckets
+   * @param {Model} Model - Crypto or CryptoRollup
+   * @param {Object} match - Rows to summarize
+   * @param {Object} source - Field paths of the rows
+   * @param {string} resolution - Rollup resolution to write
+   * @returns {Promise<number>} Rollups written
+   */
+  async writeRollups(Model, match, source, resolution) {
+    const bucketMs = ROLLUP_RESOLUTIONS[resolution];
+    const rows = await Model.aggregate([
+      { $match: match },
+      { $sort: { [source.time.slice(1)]: 1 } },
+      rollupGroup(source, bucketMs)
+    ]).allowDiskUse(true);
+
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    await CryptoRollup.bulkWrite(rows.map(({ _id, ...summary }) => {
+      const openTime = new Date(_id.openTime);
+      const key = { symbol: _id.symbol, asset: _id.asset || null, resolution, openTime };
+
+      return {
+        updateOne: {
+          filter: key,
+          update: mergeRollup({ ...summary, closeTime: new Date(openTime.getTime() + bucketMs) }),
+          upsert: true
+        }
+      };
+    }), { ordered: false });
+
+    return rows.length;
+  }
+
+  /**
+   * Count the rollup buckets some rows would produce
+   * @param {Model} Model - Crypto or CryptoRollup
+   * @param {Object} match - Rows to summarize
+   * @param {string} timeField - Time field path of the rows
+   * @param {number} bucketMs - Rollup size
+   * @returns {Promise<number>} Bucket count
+   */
+  async countBuckets(Model, match, timeField, bucketMs) {
+    const [result] = await Model.aggregate([
+      { $match: match },
+      { $group: { _id: { symbol: '$symbol', asset: '$asset', openTime: bucketExpression(timeField, bucketMs) } } },
+      { $count: 'buckets' }
+    ]).allowDiskUse(true);
+
+    return result ? result.buckets : 0;
+  }
+
+  /**
+   * Compact rows older than a cutoff into rollups, one day at a time, deleting each day once rolled up
+   * @param {Model} Model - Crypto or CryptoRollup
+   * @param {Object} filter - Rows of the tier (e.g. { resolution: '1h' })
+   * @param {Object} source - Field paths of the rows
+   * @param {string} resolution - Rollup resolution to write
+   * @param {Date} cutoff - Rows before this are compacted
+   * @returns {Promise<Object>} { rolledUp, removed }
+   */
+  async compact(Model, filter, source, resolution, cutoff) {
+    const timeField = source.time.slice(1);
+    const result = { rolledUp: 0, removed: 0 };
+
+    const oldest = await Model.findOne({ ...filter, [timeField]: { $lt: cutoff } }).sort({ [timeField]: 1 }).select(timeField);
+    if (!oldest) {
+      return result;
+    }
+
+    for (let day = floorDate(oldest[timeField], DAY_MS); day < cutoff; day = new Date(day.getTime() + DAY_MS)) {
+      const end = new Date(Math.min(day.getTime() + DAY_MS, cutoff.getTime()));
+      const match = { ...filter, [timeField]: { $gte: day, $lt: end } };
+
+      result.rolledUp += await this.writeRollups(Model, match, source, resolution);
+      const deleted = await Model.deleteMany(match);
+      result.removed += deleted.deletedCount;
+    }
+
+    return result;
+  }
+
+  /**
+   * Mark the market snapshots whose rows were compacted away, so they are no
+   * longer served as if they were whole
+   * @param {Date} cutoff - Raw tier cutoff
+   * @param {Date} now - When they were pruned
+   * @returns {Promise<number>} Snapshots marked
+   */
+  async pruneSnapshots(cutoff, now) {
+    const result = await CrawlState.updateMany(
+      { version: { $ne: null }, prunedAt: null, startedAt: { $lt: cutoff } },
+      { prunedAt: now }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Delete candles older than their resolution's cutoff
+   * @param {Object} cutoffs - Cutoff per resolution (null: kept forever)
+   * @returns {Promise<Object>} { cutoff, removed } per resolution
+   */
+  async pruneCandles(cutoffs) {
+    const result = {};
+    for (const [resolution, cutoff] of Object.entries(cutoffs)) {
+      result[resolution] = { cutoff, removed: 0 };
+      if (cutoff) {
+        const deleted = await Candle.deleteMany({ resolution, openTime: { $lt: cutoff } });
+        result[resolution].removed = deleted.deletedCount;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Count the candles a retention run would delete
+   * @param {Object} cutoffs - Cutoff per resolution (null: kept forever)
+   * @returns {Promise<Object>} { cutoff, remove } per resolution
+   */
+  async countCandles(cutoffs) {
+    const counts = await Promise.all(Object.entries(cutoffs).map(([resolution, cutoff]) =>
+      cutoff ? Candle.countDocuments({ resolution, openTime: { $lt: cutoff } }) : 0
+    ));
+
+    return Object.fromEntries(Object.entries(cutoffs).map(([resolution, cutoff], i) =>
+      [resolution, { cutoff, remove: counts[i] }]
+    ));
+  }
+
+  /**
+   * Describe what a retention run would do, without changing anything
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Report per tier
+   */
+  async dryRun(now = new Date()) {
+    const cutoffs = this.getCutoffs(now);
+    const rawMatch = { timestamp: { $lt: cutoffs.raw } };
+    const hourlyMatch = { resolution: '1h', openTime: { $lt: cutoffs.hourly } };
+    // Raw rows old enough to pass straight through the hourly tier
+    const rawPastHourly = { timestamp: { $lt: cutoffs.hourly } };
+    // Market snapshots lose their rows with the raw tier
+    const snapshotMatch = { version: { $ne: null }, prunedAt: null, startedAt: { $lt: cutoffs.raw } };
+
+    // Daily rollups come from old hourly rollups and from raw rows old enough to pass straight through
+    const dailyBuckets = CryptoRollup.aggregate([
+      { $match: hourlyMatch },
+      { $project: { symbol: 1, asset: 1, time: '$openTime' } },
+      {
+        $unionWith: {
+          coll: Crypto.collection.name,
+          pipeline: [{ $match: rawPastHourly }, { $project: { symbol: 1, asset: 1, time: '$timestamp' } }]
+        }
+      },
+      { $group: { _id: { symbol: '$symbol', asset: '$asset', openTime: bucketExpression('$time', DAY_MS) } } },
+      { $count: 'buckets' }
+    ]).allowDiskUse(true);
+
+    const [rawRemoved, rawRange, hourlyCreated, hourlyExisting, hourlyFromRaw, [daily], dailyRemoved, snapshots, candles] = await Promise.all([
+      Crypto.countDocuments(rawMatch),
+      Crypto.aggregate([
+        { $match: rawMatch },
+        { $group: { _id: null, oldest: { $min: '$timestamp' }, newest: { $max: '$timestamp' } } }
+      ]),
+      this.countBuckets(Crypto, rawMatch, '$timestamp', HOUR_MS),
+      CryptoRollup.countDocuments(hourlyMatch),
+      this.countBuckets(Crypto, rawPastHourly, '$timestamp', HOUR_MS),
+      dailyBuckets,
+      cutoffs.daily ? CryptoRollup.countDocuments({ resolution: '1d', openTime: { $lt: cutoffs.daily } }) : 0,
+      CrawlState.countDocuments(snapshotMatch),
+      this.countCandles(cutoffs.candles)
+    ]);
+
+    return {
+      dryRun: true,
+      tiers: this.describeTiers(),
+      raw: {
+        cutoff: cutoffs.raw,
+        remove: rawRemoved,
+        oldest: rawRange.length > 0 ? rawRange[0].oldest : null,
+        newest: rawRange.length > 0 ? rawRange[0].newest : null,
+        hourlyRollups: hourlyCreated,
+        snapshotsPruned: snapshots
+      },
+      hourly: {
+        cutoff: cutoffs.hourly,
+        // Includes the hourly rollups made from raw rows that are already past this tier
+        remove: hourlyExisting + hourlyFromRaw,
+        dailyRollups: daily ? daily.buckets : 0
+      },
+      daily: {
+        cutoff: cutoffs.daily,
+        remove: dailyRemoved
+      },
+      candles
+    };
+  }
+
+  /**
+   * Apply the retention tiers
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Result per tier
+   */
+  async apply(now = new Date()) {
+    try {
+      const cutoffs = this.getCutoffs(now);
+
+      const raw = await this.compact(Crypto, {}, RAW_SOURCE, '1h', cutoffs.raw);
+      raw.snapshotsPruned = await this.pruneSnapshots(cutoffs.raw, now);
+      const hourly = await this.compact(CryptoRollup, { resolution: '1h' }, HOURLY_SOURCE, '1d', cutoffs.hourly);
+      const daily = { removed: 0 };
+      if (cutoffs.daily) {
+        const deleted = await CryptoRollup.deleteMany({ resolution: '1d', openTime: { $lt: cutoffs.daily } });
+        daily.removed = deleted.deletedCount;
+      }
+      const candles = await this.pruneCandles(cutoffs.candles);
+      const candlesRemoved = Object.values(candles).reduce((sum, { removed }) => sum + removed, 0);
+
+      const message = `Compacted ${raw.removed} snapshots into ${raw.rolledUp} hourly rollups, ` +
+        `${hourly.removed} hourly rollups into ${hourly.rolledUp} daily rollups, removed ${daily.removed} daily rollups ` +
+        `and ${candlesRemoved} candles`;
+      console.log(message);
+
+      return {
+        success: true,
+        message,
+        tiers: this.describeTiers(),
+        raw: { cutoff: cutoffs.raw, ...raw },
+        hourly: { cutoff: cutoffs.hourly, ...hourly },
+        daily: { cutoff: cutoffs.daily, ...daily },
+        candles
+      };
+
+    } catch (error) {
+      console.error('Error applying retention:', error.message);
+      return {
+        success: false,
+        message: `Retention failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Describe the configured tiers
+   * @returns {Object} { rawDays, hourlyDays, dailyDays, candleDays } where tiers kept forever are null
+   */
+  describeTiers() {
+    const forever = days => (days > 0 ? days : null);
+
+    return {
+      rawDays: this.rawDays,
+      hourlyDays: this.hourlyDays,
+      dailyDays: forever(this.dailyDays),
+      candleDays: {
+        intraday: forever(this.candleDays.intraday),
+        hourly: forever(this.candleDays.hourly),
+        daily: forever(this.candleDays.daily)
+      }
+    };
+  }
+}
+
+module.exports = RetentionService;
@@ -1,6 +1,10 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const Article = require('../models/Article');
+const BulkIngestor = require('./bulkIngestor');
+const ScrapeRun = require('../models/ScrapeRun');
+const config = require('../config');
+const { EVENTS, publish } = require('./eventBus');
 
 /**
  * Web scraper service for Hacker News
@@ -8,8 +12,39 @@ const Article = require('../models/Article');
  */
 class WebScraper {
   constructor() {
-    this.baseUrl = 'https://news.ycombinator.com';
+    this.baseUrl = config.TARGET_URL;
+    this.lastStatus = null;
     this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+    // Existing articles (matched by link) only get their score, comments and scrape time refreshed
+    this.ingestor = new BulkIngestor(Article, {
+      getKey: article => article.link,
+      onInserted: articles => {
+        articles.forEach(article => publish(EVENTS.ARTICLE_NEW, {
+          title: article.title,
+          link: article.link,
+          author: article.author,
+          score: article.score,
+          scrapedAt: article.scrapedAt
+        }));
+      },
+      buildOperation: (article, fields) => ({
+        filter: { link: fields.link },
+        update: {
+          $set: {
+            score: fields.score,
+            comments: fields.comments,
+            scrapedAt: fields.scrapedAt,
+            isActive: true
+          },
+          $setOnInsert: {
+            title: fields.title,
+            author: fields.author,
+            publishedAt: fields.publishedAt
+          }
+        }
+      })
+    });
   }
 
   /**
@@ -19,6 +54,7 @@ class WebScraper {
   async scrapeArticles() {
     try {
       console.log('Starting web scraping...');
+      this.lastStatus = null;
       
       const response = await axios.get(this.baseUrl, {
         headers: {
@@ -31,6 +67,7 @@ class WebScraper {
         },
         timeout: 10000
       });
+      this.lastStatus = response.status;
 
       const $ = cheerio.load(response.data);
       const articles = [];
@@ -50,7 +87,7 @@ class WebScraper {
           const fullLink = link && link.startsWith('http') 
             ? link 
             : link && link.startsWith('/') 
-              ? `https://news.ycombinator.com${link}`
+              ? new URL(link, this.baseUrl).href
               : link;
 
           // Extract score and comments from the next row
@@ -87,6 +124,9 @@ class WebScraper {
 
     } catch (error) {
       console.error('Error during scraping:', error.message);
+      if (error.response) {
+        this.lastStatus = error.response.status;
+      }
       throw new Error(`Scraping failed: ${error.message}`);
     }
   }
@@ -98,41 +138,13 @@ class WebScraper {
    */
   async saveArticles(articles) {
     try {
-      let savedCount = 0;
-      let updatedCount = 0;
-      let skippedCount = 0;
+      const result = await this.ingestor.ingest(articles);
 
-      for (const articleData of articles) {
-        try {
-          // Check if article already exists
-          const existingArticle = await Article.findOne({ link: articleData.link });
-          
-          if (existingArticle) {
-            // Update existing article with new data
-            existingArticle.score = articleData.score;
-            existingArticle.comments = articleData.comments;
-            existingArticle.scrapedAt = articleData.scrapedAt;
-            existingArticle.isActive = true;
-            await existingArticle.save();
-            updatedCount++;
-          } else {
-            // Create new article
-            const article = new Article(articleData);
-            await article.save();
-            savedCount++;
-          }
-        } catch (error) {
-          console.error('Error saving article:', error.message);
-          skippedCount++;
-        }
-      }
+      result.errors.forEach(error => {
+        console.error(`Error saving article ${error.key}:`, error.message);
+      });
 
-      return {
-        saved: savedCount,
-        updated: updatedCount,
-        skipped: skippedCount,
-        total: articles.length
-      };
+      return result;
 
     } catch (error) {
       console.error('Error saving articles to database:', error.message);
@@ -141,10 +153,24 @@ class WebScraper {
   }
 
   /**
-   * Perform complete scraping operation
+   * Perform complete scraping operation, recording it in the scrape run ledger
+   * @param {Object} options - { trigger: 'cron', 'manual' or 'api' }
+   * @returns {Promise<Object>} Operation result with the runId of its ledger entry
+   */
+  async performScraping({ trigger = 'cron' } = {}) {
+    const run = await ScrapeRun.begin({ source: 'articles', trigger });
+    const outcome = await this.runScraping();
+    const source = { provider: new URL(this.baseUrl).hostname, httpStatus: this.lastStatus };
+    await ScrapeRun.finish(run, { ...outcome, result: { ...outcome.result, ...source } });
+
+    return { ...outcome, runId: run ? run._id : null };
+  }
+
+  /**
+   * Scrape and save articles
    * @returns {Promise<Object>} Operation result
    */
-  async performScraping() {
+  async runScraping() {
     try {
       console.log('Starting complete scraping operation...');
       
@@ -152,6 +178,7 @@ class WebScraper {
       const articles = await this.scrapeArticles();
       
       if (articles.length === 0) {
+        publish(EVENTS.SCRAPE_FAILED, { source: 'articles', message: 'No articles found during scraping' });
         return {
           success: false,
           message: 'No articles found during scraping',
@@ -163,6 +190,7 @@ class WebScraper {
       const saveResult = await this.saveArticles(articles);
       
       console.log('Scraping operation completed successfully');
+      publish(EVENTS.SCRAPE_COMPLETED, { source: 'articles', result: saveResult });
       return {
         success: true,
         message: 'Scraping completed successfully',
@@ -171,6 +199,7 @@ class WebScraper {
 
     } catch (error) {
       console.error('Scraping operation failed:', error.message);
+      publish(EVENTS.SCRAPE_FAILED, { source: 'articles', message: error.message });
       return {
         success: false,
         message: `Scraping failed: ${error.message}`,
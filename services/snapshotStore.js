@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const { EVENTS, eventBus } = require('./eventBus');
+
+/**
+ * On-disk snapshot of the last successful scrape
+ * Rewritten after every completed scrape so the API can keep serving the latest
+ * coins and articles read-only while MongoDB is unavailable
+ */
+class SnapshotStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.path - Snapshot file path
+   * @param {number} options.articleLimit - Newest articles kept in the snapshot
+   * @param {EventEmitter} options.events - Source of scrape.completed events (default: the event bus)
+   */
+  constructor(options = {}) {
+    this.path = options.path || path.join(__dirname, '..', 'data', 'snapshot.json');
+    this.articleLimit = options.articleLimit || 500;
+    this.events = options.events || eventBus;
+    this.snapshot = null;
+    this.repositories = null;
+
+    this.listener = () => {
+      this.capture().catch(error => {
+        console.error('Error writing data snapshot:', error.message);
+      });
+    };
+  }
+
+  /**
+   * Load the snapshot written by a previous run
+   * @returns {Object|null} { savedAt, cryptos, articles }, or null if there is none
+   */
+  load() {
+    try {
+      this.snapshot = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      console.log(`Loaded data snapshot from ${this.snapshot.savedAt}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Error reading data snapshot:', error.message);
+      }
+      this.snapshot = null;
+    }
+
+    return this.snapshot;
+  }
+
+  /**
+   * Write a snapshot, replacing the file atomically so a crash never leaves half of one
+   * @param {Object} snapshot - { savedAt, cryptos, articles }
+   */
+  async save(snapshot) {
+    const tempPath = `${this.path}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+    await fs.promises.rename(tempPath, this.path);
+    this.snapshot = snapshot;
+  }
+
+  /**
+   * Snapshot the latest coins and newest articles from the database
+   * @param {Object} repositories - { crypto, articles } MongoDB repositories
+   * @returns {Promise<Object|null>} Saved snapshot, or null if the database was empty
+   */
+  async capture(repositories = this.repositories) {
+    const [cryptos, { items }] = await Promise.all([
+      repositories.crypto.getLatestSnapshots(),
+      repositories.articles.list({ page: 1, limit: this.articleLimit, search: '', sortBy: 'scrapedAt', sortOrder: -1 })
+    ]);
+
+    // Never replace a useful snapshot with an empty one
+    if (cryptos.length === 0 && items.length === 0) {
+      return null;
+    }
+
+    const snapshot = {
+      savedAt: new Date().toISOString(),
+      cryptos,
+      articles: items.map(article => article.toObject())
+    };
+
+    await this.save(snapshot);
+    console.log(`Data snapshot saved (${cryptos.length} coins, ${items.length} articles)`);
+    return snapshot;
+  }
+
+  /**
+   * Capture a snapshot after every completed scrape
+   * @param {Object} repositories - { crypto, articles } MongoDB repositories
+   */
+  start(repositories) {
+    this.repositories = repositories;
+    this.events.on(EVENTS.SCRAPE_COMPLETED, this.listener);
+  }
+
+  /**
+   * Stop capturing snapshots
+   */
+  stop() {
+    this.events.off(EVENTS.SCRAPE_COMPLETED, this.listener);
+  }
+
+  /**
+   * Get when the current snapshot was taken
+   * @returns {string|null} ISO timestamp, or null without a snapshot
+   */
+  getSavedAt() {
+    return this.snapshot ? this.snapshot.savedAt : null;
+  }
+}
+
+module.exports = SnapshotStore;
@@ -0,0 +1,86 @@
+const Crypto = require('../models/Crypto');
+
+/**
+ * Read a snapshot's market figures in a currency
+ * @param {Object} snapshot - Crypto snapshot (plain object)
+ * @param {string} currency - Currency code
+ * @returns {Object|null} { price, marketCap, change24h }, or null if not quoted in that currency
+ */
+const getQuote = (snapshot, currency) => {
+  if (currency === Crypto.BASE_CURRENCY) {
+    return { price: snapshot.price, marketCap: snapshot.marketCap, change24h: snapshot.change24h };
+  }
+
+  const quote = snapshot.quotes && snapshot.quotes[currency];
+  return quote
+    ? { price: quote.price, marketCap: quote.marketCap, change24h: quote.change24h ?? snapshot.change24h }
+    : null;
+};
+
+/**
+ * Watchlist service for summarizing the coins of a watchlist at their latest prices
+ */
+class WatchlistService {
+  /**
+   * @param {Object} options - Service options
+   * @param {CryptoRepository} options.cryptoRepository - Where the latest prices are read
+   */
+  constructor({ cryptoRepository }) {
+    this.cryptoRepository = cryptoRepository;
+  }
+
+  /**
+   * Get aggregate stats for a watchlist. Symbols shared by several coins count
+   * the best-ranked one
+   * @param {Watchlist} watchlist - Watchlist
+   * @param {string} currency - Currency of the figures
+   * @param {number} performers - How many best and worst performers to list
+   * @returns {Promise<Object>} { currency, count, totalMarketCap, averageChange24h, best, worst, missing }
+   */
+  async getStats(watchlist, currency = Crypto.BASE_CURRENCY, performers = 3) {
+    const snapshots = watchlist.symbols.length > 0
+      ? await this.cryptoRepository.getLatestSnapshots(watchlist.symbols)
+      : [];
+
+    const coins = [];
+    const missing = [];
+
+    watchlist.symbols.forEach(symbol => {
+      const matches = snapshots.filter(snapshot => snapshot.symbol === symbol);
+      const snapshot = matches.find(match => match.rank > 0) || matches[0];
+      const quote = snapshot ? getQuote(snapshot, currency) : null;
+
+      if (!quote) {
+        missing.push(symbol);
+        return;
+      }
+
+      coins.push({
+        symbol,
+        name: snapshot.name,
+        rank: snapshot.rank,
+        price: quote.price,
+        marketCap: quote.marketCap || 0,
+        change24h: quote.change24h || 0,
+        timestamp: snapshot.timestamp
+      });
+    });
+
+    const byChange = [...coins].sort((a, b) => b.change24h - a.change24h);
+
+    return {
+      currency,
+      count: coins.length,
+      totalMarketCap: coins.reduce((total, coin) => total + coin.marketCap, 0),
+      averageChange24h: coins.length > 0
+        ? coins.reduce((total, coin) => total + coin.change24h, 0) / coins.length
+        : null,
+      best: byChange.slice(0, performers),
+      worst: byChange.slice(-performers).reverse(),
+      // Symbols with no current price in this currency
+      missing
+    };
+  }
+}
+
+module.exports = WatchlistService;
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { EVENTS, eventBus } = require('./eventBus');
+
+/**
+ * Webhook delivery service
+ * Turns domain events into HMAC-signed POSTs to registered webhooks, retrying
+ * failed deliveries with exponential backoff and keeping a delivery log
+ */
+class WebhookService {
+  /**
+   * @param {Object} options - Delivery options
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {number} options.maxAttempts - Attempts before a delivery is marked failed
+   * @param {number} options.backoffBaseMs - Delay before the first retry (doubles each attempt)
+   */
+  constructor(options = {}) {
+    this.timeout = options.timeout || 10000;
+    this.maxAttempts = options.maxAttempts || 6;
+    this.backoffBaseMs = options.backoffBaseMs || 30000;
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to domain events on the event bus
+   */
+  start() {
+    if (this.listeners.size > 0) {
+      return;
+    }
+
+    Object.values(EVENTS).forEach(event => {
+      const listener = data => {
+        this.dispatch(event, data).catch(error => {
+          console.error(`Error dispatching ${event} webhooks:`, error.message);
+        });
+      };
+      eventBus.on(event, listener);
+      this.listeners.set(event, listener);
+    });
+
+    console.log('Webhook service subscribed to events');
+  }
+
+  /**
+   * Unsubscribe from domain events
+   */
+  stop() {
+    this.listeners.forEach((listener, event) => eventBus.off(event, listener));
+    this.listeners.clear();
+  }
+
+  /**
+   * Sign a payload for a receiver
+   * Receivers verify by computing HMAC-SHA256 over `${timestamp}.${body}` with their secret
+   * @param {string} secret - Webhook secret
+   * @param {string} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} Signature header value
+   */
+  static sign(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+  }
+
+  /**
+   * Generate a random webhook secret
+   * @returns {string} Secret
+   */
+  static generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Create deliveries for every webhook subscribed to an event and send them
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   * @returns {Promise<Array>} Created deliveries
+   */
+  async dispatch(event, data) {
+    const webhooks = await Webhook.getSubscribers(event);
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const eventId = crypto.randomUUID();
+    const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhook: webhook._id,
+      event,
+      eventId,
+      payload: data,
+      maxAttempts: this.maxAttempts
+    })));
+
+    await Promise.all(deliveries.map(delivery => this.attemptDelivery(delivery._id)));
+    return deliveries;
+  }
+
+  /**
+   * Try to send one delivery. The delivery is claimed first so a concurrent
+   * retry sweep cannot send it twice
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} Updated delivery, or null if another worker claimed it
+   */
+  async attemptDelivery(deliveryId) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + this.timeout * 2) } },
+      { new: true }
+    );
+
+    if (!delivery) {
+      return null;
+    }
+
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook || !webhook.isActive) {
+      delivery.status = 'failed';
+      delivery.lastError = 'Webhook no longer active';
+      return delivery.save();
+    }
+
+    const body = JSON.stringify({
+      id: delivery.eventId,
+      event: delivery.event,
+      createdAt: delivery.createdAt,
+      data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+
+    delivery.attempts += 1;
+
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'crypto-scraper-webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': WebhookService.sign(webhook.secret, timestamp, body)
+        },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      delivery.responseStatus = response.status;
+      delivery.responseBody = typeof response.data === 'string'
+        ? response.data.slice(0, 1000)
+        : JSON.stringify(response.data || '').slice(0, 1000);
+
+      if (response.status < 200 || response.status >= 300) {
+        throw new Error(`Receiver responded with HTTP ${response.status}`);
+      }
+
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+      delivery.lastError = '';
+
+    } catch (error) {
+      delivery.lastError = error.message;
+
+      if (delivery.attempts >= delivery.maxAttempts) {
+        delivery.status = 'failed';
+        console.error(`Webhook delivery ${delivery._id} failed permanently:`, error.message);
+      } else {
+        const delay = this.backoffBaseMs * Math.pow(2, delivery.attempts - 1);
+        delivery.nextAttemptAt = new Date(Date.now() + delay);
+      }
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+    return delivery.save();
+  }
+
+  /**
+   * Retry every pending delivery whose backoff has elapsed
+   * @returns {Promise<Object>} Retry result
+   */
+  async processDueDeliveries() {
+    const due = await WebhookDelivery.getDueDeliveries();
+    let succeeded = 0;
+    let failed = 0;
+
+    for (const delivery of due) {
+      const result = await this.attemptDelivery(delivery._id);
+      if (result && result.status === 'succeeded') {
+        succeeded++;
+      } else if (result) {
+        failed++;
+      }
+    }
+
+    return {
+      processed: due.length,
+      succeeded,
+      failed
+    };
+  }
+
+  /**
+   * Replay a delivery as a new delivery with the same event id and payload
+   * @param {string} deliveryId - Delivery to replay
+   * @returns {Promise<Object|null>} New delivery, or null if the original does not exist
+   */
+  async replay(deliveryId) {
+    const original = await WebhookDelivery.findById(deliveryId);
+    if (!original) {
+      return null;
+    }
+
+    const replay = await WebhookDelivery.create({
+      webhook: original.webhook,
+      event: original.event,
+      eventId: original.eventId,
+      payload: original.payload,
+      maxAttempts: this.maxAttempts,
+      replayOf: original._id
+    });
+
+    return this.attemptDelivery(replay._id);
+  }
+
+  /**
+   * Send a test event to one webhook
+   * @param {string} webhookId - Webhook ID
+   * @returns {Promise<Object|null>} Delivery, or null if the webhook does not exist
+   */
+  async sendTest(webhookId) {
+    const webhook = await Webhook.findById(webhookId);
+    if (!webhook) {
+      return null;
+    }
+
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: 'webhook.test',
+      eventId: crypto.randomUUID(),
+      payload: { message: 'Test delivery', webhook: webhook._id },
+      maxAttempts: 1
+    });
+
+    return this.attemptDelivery(delivery._id);
+  }
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,360 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const Crypto = require('../models/Crypto');
+const PriceStream = require('./priceStream');
+const { EVENTS, STREAM_EVENTS, eventBus } = require('./eventBus');
+
+/**
+ * WebSocket subscription broadcaster
+ * Clients subscribe to channels (price:BTC, top:10, articles:new) and receive
+ * updates fed by the crypto and article save paths through the event bus (or the event relay).
+ * Slow connections have updates dropped, and are terminated if they never catch up
+ */
+class WsBroadcaster {
+  /**
+   * @param {Object} options - Broadcaster options
+   * @param {string} options.path - Upgrade path on the HTTP server
+   * @param {number} options.maxBufferedBytes - Unsent bytes above which updates are dropped
+   * @param {number} options.maxDroppedMessages - Consecutive drops before a connection is terminated
+   * @param {number} options.maxSubscriptions - Channels one connection may subscribe to
+   * @param {number} options.maxTop - Largest N accepted for top:N
+   * @param {number} options.heartbeatMs - Interval between pings
+   * @param {EventEmitter} options.events - Source of price and article events (default: the event bus)
+   */
+  constructor(options = {}) {
+    this.path = options.path || '/ws';
+    this.maxBufferedBytes = options.maxBufferedBytes || 1024 * 1024;
+    this.maxDroppedMessages = options.maxDroppedMessages || 100;
+    this.maxSubscriptions = options.maxSubscriptions || 50;
+    this.maxTop = options.maxTop || 100;
+    this.heartbeatMs = options.heartbeatMs || 30000;
+    this.events = options.events || eventBus;
+
+    this.wss = null;
+    this.clients = new Set();
+    this.prices = new Map();
+    this.seeded = false;
+    this.lastTop = new Map();
+    this.heartbeat = null;
+
+    this.listeners = {
+      [STREAM_EVENTS.PRICES_UPDATED]: data => this.handlePrices(data.cryptos),
+      [EVENTS.ARTICLE_NEW]: article => this.broadcast('articles:new', { type: 'article', channel: 'articles:new', data: article })
+    };
+  }
+
+  /**
+   * Accept WebSocket connections on an HTTP server and start listening for updates
+   * @param {http.Server} server - HTTP server the Express app listens on
+   */
+  attach(server) {
+    if (this.wss) {
+      return;
+    }
+
+    this.wss = new WebSocketServer({ server, path: this.path });
+    this.wss.on('connection', ws => this.handleConnection(ws));
+
+    Object.entries(this.listeners).forEach(([event, listener]) => this.events.on(event, listener));
+
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => {
+        if (!client.isAlive) {
+          client.ws.terminate();
+          return;
+        }
+        client.isAlive = false;
+        client.ws.ping();
+      });
+    }, this.heartbeatMs);
+
+    console.log(`WebSocket broadcaster listening on ${this.path}`);
+  }
+
+  /**
+   * Close every connection and stop listening for updates
+   */
+  close() {
+    Object.entries(this.listeners).forEach(([event, listener]) => this.events.off(event, listener));
+
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    if (this.wss) {
+      this.clients.forEach(client => client.ws.terminate());
+      this.clients.clear();
+      this.wss.close();
+      this.wss = null;
+    }
+  }
+
+  /**
+   * Validate and normalize a channel name
+   * @param {string} channel - Requested channel
+   * @returns {Object} { channel } or { error }
+   */
+  parseChannel(channel) {
+    const [type, argument] = String(channel || '').split(':');
+
+    if (type === 'articles' && argument === 'new') {
+      return { channel: 'articles:new' };
+    }
+
+    if (type === 'price' && argument && /^[A-Za-z0-9.-]{1,20}$/.test(argument)) {
+      return { channel: `price:${argument.toUpperCase()}` };
+    }
+
+    if (type === 'top') {
+      const limit = parseInt(argument, 10);
+      if (limit >= 1 && limit <= this.maxTop && String(limit) === argument) {
+        return { channel: `top:${limit}` };
+      }
+      return { error: `top:N requires 1 <= N <= ${this.maxTop}` };
+    }
+
+    return { error: `Unknown channel ${channel}. Use price:<SYMBOL>, top:<N> or articles:new` };
+  }
+
+  /**
+   * Register a new connection
+   * @param {WebSocket} ws - Client socket
+   */
+  handleConnection(ws) {
+    const client = {
+      ws,
+      channels: new Set(),
+      isAlive: true,
+      dropped: 0
+    };
+
+    this.clients.add(client);
+    ws.on('pong', () => { client.isAlive = true; });
+    ws.on('message', raw => this.handleMessage(client, raw));
+    ws.on('close', () => this.clients.delete(client));
+    ws.on('error', error => console.error('WebSocket client error:', error.message));
+
+    this.send(client, { type: 'welcome', channels: ['price:<SYMBOL>', 'top:<N>', 'articles:new'] });
+  }
+
+  /**
+   * Handle a subscribe, unsubscribe or ping message
+   * @param {Object} client - Connection state
+   * @param {Buffer} raw - Raw message
+   */
+  async handleMessage(client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      return this.send(client, { type: 'error', message: 'Messages must be JSON' });
+    }
+
+    if (!message || typeof message !== 'object') {
+      return this.send(client, { type: 'error', message: 'Messages must be JSON objects' });
+    }
+
+    const requested = [].concat(message.channels || message.channel || []);
+
+    switch (message.action) {
+      case 'ping':
+        return this.send(client, { type: 'pong', timestamp: new Date().toISOString() });
+
+      case 'unsubscribe': {
+        const channels = requested.map(channel => this.parseChannel(channel).channel).filter(Boolean);
+        channels.forEach(channel => client.channels.delete(channel));
+        return this.send(client, { type: 'unsubscribed', channels, subscriptions: Array.from(client.channels) });
+      }
+
+      case 'subscribe': {
+        const parsed = requested.map(channel => this.parseChannel(channel));
+        const invalid = parsed.find(result => result.error);
+        if (invalid || parsed.length === 0) {
+          return this.send(client, { type: 'error', message: invalid ? invalid.error : 'No channels given' });
+        }
+
+        const channels = parsed.map(result => result.channel).filter(channel => !client.channels.has(channel));
+        if (client.channels.size + channels.length > this.maxSubscriptions) {
+          return this.send(client, { type: 'error', message: `At most ${this.maxSubscriptions} subscriptions per connection` });
+        }
+
+        channels.forEach(channel => client.channels.add(channel));
+        this.send(client, { type: 'subscribed', channels, subscriptions: Array.from(client.channels) });
+
+        try {
+          await this.sendInitialState(client, channels);
+        } catch (error) {
+          console.error('Error sending WebSocket initial state:', error.message);
+        }
+        return;
+      }
+
+      default:
+        return this.send(client, { type: 'error', message: 'Unknown action. Use subscribe, unsubscribe or ping' });
+    }
+  }
+
+  /**
+   * Send the current state of newly subscribed price and top channels
+   * @param {Object} client - Connection state
+   * @param {Array<string>} channels - Newly subscribed channels
+   */
+  async sendInitialState(client, channels) {
+    if (!channels.some(channel => channel !== 'articles:new')) {
+      return;
+    }
+
+    await this.seed();
+
+    channels.forEach(channel => {
+      const [type, argument] = channel.split(':');
+
+      if (type === 'price') {
+        this.getPrices(argument).forEach(entry => this.send(client, { type: 'price', channel, data: entry }));
+      } else if (type === 'top') {
+        this.send(client, { type: 'top', channel, data: this.getTop(parseInt(argument, 10)) });
+      }
+    });
+  }
+
+  /**
+   * Load the latest stored prices the first time a price or top channel is used
+   */
+  async seed() {
+    if (this.seeded) {
+      return;
+    }
+
+    const snapshots = await Crypto.getLatestSnapshots();
+    snapshots.forEach(snapshot => {
+      const key = PriceStream.keyOf(snapshot);
+      if (!this.prices.has(key)) {
+        this.prices.set(key, PriceStream.toEntry(snapshot));
+      }
+    });
+    this.seeded = true;
+  }
+
+  /**
+   * Get the known prices of every coin trading under a symbol
+   * @param {string} symbol - Upper-case symbol
+   * @returns {Array} Price entries
+   */
+  getPrices(symbol) {
+    return Array.from(this.prices.values()).filter(entry => entry.symbol === symbol);
+  }
+
+  /**
+   * Get the top ranked coins
+   * @param {number} limit - Number of coins
+   * @returns {Array} Price entries ordered by rank
+   */
+  getTop(limit) {
+    return Array.from(this.prices.values())
+      .filter(entry => entry.rank > 0)
+      .sort((a, b) => a.rank - b.rank)
+      .slice(0, limit);
+  }
+
+  /**
+   * Push changed prices to price:<SYMBOL> channels and changed rankings to top:<N> channels
+   * @param {Array} cryptos - Crypto data committed by a save
+   */
+  handlePrices(cryptos) {
+    cryptos.forEach(crypto => {
+      const key = PriceStream.keyOf(crypto);
+      const entry = PriceStream.toEntry(crypto);
+
+      if (PriceStream.hasChanged(this.prices.get(key), entry)) {
+        this.broadcast(`price:${entry.symbol}`, { type: 'price', channel: `price:${entry.symbol}`, data: entry });
+      }
+      this.prices.set(key, entry);
+    });
+
+    const topChannels = new Set();
+    this.clients.forEach(client => {
+      client.channels.forEach(channel => {
+        if (channel.startsWith('top:')) {
+          topChannels.add(channel);
+        }
+      });
+    });
+
+    topChannels.forEach(channel => {
+      const top = this.getTop(parseInt(channel.split(':')[1], 10));
+      const signature = JSON.stringify(top.map(entry => [entry.symbol, entry.asset, entry.price, entry.rank]));
+
+      if (this.lastTop.get(channel) !== signature) {
+        this.lastTop.set(channel, signature);
+        this.broadcast(channel, { type: 'top', channel, data: top });
+      }
+    });
+  }
+
+  /**
+   * Send a message to every connection subscribed to a channel
+   * @param {string} channel - Channel name
+   * @param {Object} message - Message to send
+   */
+  broadcast(channel, message) {
+    let payload = null;
+
+    this.clients.forEach(client => {
+      if (client.channels.has(channel)) {
+        payload = payload || JSON.stringify(message);
+        this.send(client, payload);
+      }
+    });
+  }
+
+  /**
+   * Send a message to one connection, applying backpressure.
+   * Messages are dropped while the socket is backed up and the client is told how
+   * many it missed once it drains; clients that never drain are terminated
+   * @param {Object} client - Connection state
+   * @param {Object|string} message - Message or serialized payload
+   */
+  send(client, message) {
+    const { ws } = client;
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    if (ws.bufferedAmount > this.maxBufferedBytes) {
+      client.dropped++;
+      if (client.dropped > this.maxDroppedMessages) {
+        console.log('Terminating WebSocket client that stopped reading');
+        ws.terminate();
+      }
+      return;
+    }
+
+    if (client.dropped > 0) {
+      ws.send(JSON.stringify({ type: 'dropped', count: client.dropped }));
+      client.dropped = 0;
+    }
+
+    ws.send(typeof message === 'string' ? message : JSON.stringify(message));
+  }
+
+  /**
+   * Get broadcaster status
+   * @returns {Object} Connection and subscription counts
+   */
+  getStatus() {
+    const subscriptions = {};
+    this.clients.forEach(client => {
+      client.channels.forEach(channel => {
+        subscriptions[channel] = (subscriptions[channel] || 0) + 1;
+      });
+    });
+
+    return {
+      path: this.path,
+      clients: this.clients.size,
+      subscriptions
+    };
+  }
+}
+
+module.exports = WsBroadcaster;
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('../services/providers');
+const CryptoScraper = require('../services/cryptoScraper');
+
+const recording = file => JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', file), 'utf8')).pages[0];
+
+/**
+ * Replace a provider's upstream call with a recorded response or a failure
+ * @param {MarketDataProvider} provider - Provider to stub
+ * @param {Array} calls - Names of the providers called, in order
+ * @param {*} response - Raw body to answer with, or an Error to fail with
+ * @returns {MarketDataProvider} The provider
+ */
+const stubUpstream = (provider, calls, response) => {
+  provider.fetchMarkets = async () => {
+    calls.push(provider.name);
+    if (response instanceof Error) {
+      throw response;
+    }
+    return response;
+  };
+  return provider;
+};
+
+const httpError = (status) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status };
+  return error;
+};
+
+describe('CryptoScraper.scrapeWithFallback', () => {
+  let calls;
+
+  const createScraper = providers => new CryptoScraper({
+    providers,
+    currencies: [],
+    consensus: null,
+    assetRegistry: {},
+    alertService: {}
+  });
+
+  beforeEach(() => {
+    calls = [];
+  });
+
+  it('serves the page from the first provider that answers', async () => {
+    const scraper = createScraper([
+      stubUpstream(createProvider('coingecko'), calls, recording('coingecko-markets.json')),
+      stubUpstream(createProvider('coincap'), calls, recording('coincap-assets.json'))
+    ]);
+
+    const { provider, cryptoData, providerErrors } = await scraper.scrapeWithFallback({ page: 1, perPage: 10 });
+
+    assert.strictEqual(provider.name, 'coingecko');
+    assert.deepStrictEqual(calls, ['coingecko']);
+    assert.strictEqual(cryptoData.length, 10);
+    assert.deepStrictEqual(cryptoData[0].quotes.usd, { price: 43250.5, marketCap: 847500000000, volume24h: 28500000000, change24h: 2.45 });
+    assert.deepStrictEqual(providerErrors, []);
+  });
+
+  it('falls back in the configured order and records why each provider was skipped', async () => {
+    const scraper = createScraper([
+      stubUpstream(createProvider('coingecko'), calls, httpError(429)),
+      stubUpstream(createProvider('coincap'), calls, { data: [] }),
+      stubUpstream(createProvider('binance'), calls, recording('binance-ticker.json')),
+      stubUpstream(createProvider('coincap'), calls, recording('coincap-assets.json'))
+    ]);
+
+    const { provider, cryptoData, providerErrors } = await scraper.scrapeWithFallback({ page: 1, perPage: 10 });
+
+    assert.strictEqual(provider.name, 'binance');
+    assert.deepStrictEqual(calls, ['coingecko', 'coincap', 'binance']);
+    assert.strictEqual(cryptoData[0].externalId.id, 'BTCUSDT');
+    assert.deepStrictEqual(providerErrors, [
+      { provider: 'coingecko', httpStatus: 429, message: 'Request failed with status code 429' },
+      { provider: 'coincap', httpStatus: null, message: 'Provider returned no data' }
+    ]);
+  });
+
+  it('fails with every provider error when none answers', async () => {
+    const scraper = createScraper([
+      stubUpstream(createProvider('coingecko'), calls, httpError(503)),
+      stubUpstream(createProvider('coincap'), calls, new Error('timeout of 15000ms exceeded'))
+    ]);
+
+    await assert.rejects(scraper.scrapeWithFallback({ page: 1, perPage: 10 }), error => {
+      assert.strictEqual(error.message,
+        'Crypto scraping failed: coingecko: Request failed with status code 503; coincap: timeout of 15000ms exceeded');
+      assert.deepStrictEqual(error.providerErrors.map(failure => [failure.provider, failure.httpStatus]), [
+        ['coingecko', 503],
+        ['coincap', null]
+      ]);
+      return true;
+    });
+    assert.deepStrictEqual(calls, ['coingecko', 'coincap']);
+  });
+});
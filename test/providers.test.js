@@ -0,0 +1,127 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('../services/providers');
+
+/**
+ * Load the first page of a recorded upstream response
+ * @param {string} file - Fixture file name
+ * @returns {*} Raw response body
+ */
+const loadPage = (file) => {
+  const fixture = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', file), 'utf8'));
+  return fixture.pages[0];
+};
+
+describe('CoinGeckoProvider.normalize', () => {
+  const provider = createProvider('coingecko');
+  const cryptoData = provider.normalize(loadPage('coingecko-markets.json'));
+
+  it('maps every coin of a /coins/markets page', () => {
+    assert.strictEqual(cryptoData.length, 10);
+  });
+
+  it('maps the market fields onto the Crypto shape', () => {
+    const [bitcoin] = cryptoData;
+
+    assert.strictEqual(bitcoin.name, 'Bitcoin');
+    assert.strictEqual(bitcoin.symbol, 'BTC');
+    assert.strictEqual(bitcoin.price, 43250.5);
+    assert.strictEqual(bitcoin.marketCap, 847500000000);
+    assert.strictEqual(bitcoin.change24h, 2.45);
+    assert.strictEqual(bitcoin.volume24h, 28500000000);
+    assert.strictEqual(bitcoin.rank, 1);
+    assert.strictEqual(bitcoin.image, 'https://assets.coingecko.com/coins/images/1/large/bitcoin.png');
+    assert.deepStrictEqual(bitcoin.externalId, { provider: 'coingecko', id: 'bitcoin' });
+    assert.strictEqual(bitcoin.source, 'coingecko');
+    assert.strictEqual(bitcoin.isActive, true);
+  });
+
+  it('defaults missing numbers to 0', () => {
+    const [coin] = provider.normalize([{ id: 'new-coin', symbol: 'new', name: 'New Coin', current_price: null }]);
+
+    assert.strictEqual(coin.price, 0);
+    assert.strictEqual(coin.marketCap, 0);
+    assert.strictEqual(coin.rank, 0);
+    assert.strictEqual(coin.image, '');
+  });
+
+  it('treats a missing body as no coins', () => {
+    assert.deepStrictEqual(provider.normalize(null), []);
+  });
+});
+
+describe('CoinCapProvider.normalize', () => {
+  const provider = createProvider('coincap');
+  const cryptoData = provider.normalize(loadPage('coincap-assets.json'));
+
+  it('maps every asset of an /assets page', () => {
+    assert.strictEqual(cryptoData.length, 10);
+  });
+
+  it('parses the numbers CoinCap sends as strings', () => {
+    const [bitcoin] = cryptoData;
+
+    assert.strictEqual(bitcoin.symbol, 'BTC');
+    assert.strictEqual(bitcoin.price, 43285.1004);
+    assert.strictEqual(bitcoin.marketCap, 848178000000);
+    assert.strictEqual(bitcoin.change24h, 2.48);
+    assert.strictEqual(bitcoin.volume24h, 27645000000);
+    assert.strictEqual(bitcoin.rank, 1);
+    assert.deepStrictEqual(bitcoin.externalId, { provider: 'coincap', id: 'bitcoin' });
+    assert.strictEqual(bitcoin.source, 'coincap');
+  });
+
+  it('defaults unparseable numbers to 0', () => {
+    const [asset] = provider.normalize({ data: [{ id: 'x', symbol: 'x', name: 'X', priceUsd: null, rank: '' }] });
+
+    assert.strictEqual(asset.price, 0);
+    assert.strictEqual(asset.rank, 0);
+  });
+
+  it('treats a body without data as no assets', () => {
+    assert.deepStrictEqual(provider.normalize({}), []);
+  });
+});
+
+describe('BinanceProvider.normalize', () => {
+  const provider = createProvider('binance');
+  const cryptoData = provider.normalize(loadPage('binance-ticker.json'));
+
+  it('keeps only the USDT pairs', () => {
+    assert.deepStrictEqual(cryptoData.map(crypto => crypto.symbol), ['BTC', 'ETH', 'BNB', 'ADA', 'SOL']);
+  });
+
+  it('maps a ticker onto the Crypto shape, keyed by its pair', () => {
+    const [bitcoin] = cryptoData;
+
+    assert.strictEqual(bitcoin.name, 'BTC');
+    assert.strictEqual(bitcoin.price, 43285.1);
+    assert.strictEqual(bitcoin.change24h, 2.48);
+    assert.strictEqual(bitcoin.volume24h, 1338421975.52);
+    assert.strictEqual(bitcoin.marketCap, 0);
+    assert.strictEqual(bitcoin.rank, 0);
+    assert.deepStrictEqual(bitcoin.externalId, { provider: 'binance', id: 'BTCUSDT' });
+    assert.strictEqual(bitcoin.source, 'binance');
+  });
+
+  it('uses the configured quote asset', () => {
+    const busd = createProvider('binance', { quoteAsset: 'BUSD' });
+
+    assert.deepStrictEqual(busd.normalize(loadPage('binance-ticker.json')).map(crypto => crypto.externalId.id), ['BTCBUSD']);
+    assert.strictEqual(busd.coinIdFor({ symbol: 'BTC' }), 'BTCBUSD');
+  });
+});
+
+describe('FixtureProvider', () => {
+  it('replays a recording through the recording provider and tags the rows as fixture data', async () => {
+    const provider = createProvider('fixture', { fixturePath: path.join(__dirname, '..', 'fixtures', 'binance-ticker.json') });
+    const cryptoData = await provider.getMarkets({ page: 1 });
+
+    assert.strictEqual(cryptoData.length, 5);
+    assert.deepStrictEqual(cryptoData[0].externalId, { provider: 'binance', id: 'BTCUSDT' });
+    assert.strictEqual(cryptoData[0].source, 'fixture');
+    assert.deepStrictEqual(await provider.getMarkets({ page: 2 }), []);
+  });
+});
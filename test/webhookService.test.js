@@ -0,0 +1,206 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const WebhookService = require('../services/webhookService');
+
+const SECRET = 'whsec_test_secret';
+const BACKOFF_MS = 60000;
+
+/**
+ * Keep deliveries in memory instead of MongoDB, for the queries WebhookService makes
+ * @returns {Map} Deliveries keyed by id
+ */
+const stubDeliveries = () => {
+  const deliveries = new Map();
+  const isDue = (delivery, now) => delivery.status === 'pending' && delivery.nextAttemptAt <= now;
+
+  mock.method(WebhookDelivery.prototype, 'save', async function() {
+    deliveries.set(this._id.toString(), this);
+    return this;
+  });
+  mock.method(WebhookDelivery, 'create', async data => new WebhookDelivery(data).save());
+  mock.method(WebhookDelivery, 'findById', async id => deliveries.get(id.toString()) || null);
+  mock.method(WebhookDelivery, 'getDueDeliveries', async () =>
+    [...deliveries.values()].filter(delivery => isDue(delivery, new Date())));
+  mock.method(WebhookDelivery, 'findOneAndUpdate', async (filter, update) => {
+    const delivery = deliveries.get(filter._id.toString());
+    if (!delivery || !isDue(delivery, filter.nextAttemptAt.$lte)) {
+      return null;
+    }
+    Object.assign(delivery, update.$set);
+    return delivery;
+  });
+
+  return deliveries;
+};
+
+/**
+ * Make a pending delivery due now, as if its backoff had elapsed
+ * @param {WebhookDelivery} delivery - Delivery
+ */
+const elapseBackoff = (delivery) => {
+  delivery.nextAttemptAt = new Date(Date.now() - 1);
+};
+
+describe('WebhookService delivery', () => {
+  let server;
+  let requests;
+  let statuses;
+  let webhook;
+  let service;
+
+  before(async () => {
+    // Answers with the queued statuses in turn, then 200
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, headers: req.headers, body });
+        res.statusCode = statuses.shift() || 200;
+        res.end(res.statusCode < 300 ? 'ok' : 'unavailable');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    statuses = [];
+    webhook = new Webhook({
+      name: 'Receiver',
+      url: `http://127.0.0.1:${server.address().port}/hooks`,
+      secret: SECRET,
+      events: ['*']
+    });
+    service = new WebhookService({ timeout: 2000, maxAttempts: 3, backoffBaseMs: BACKOFF_MS });
+
+    stubDeliveries();
+    mock.method(Webhook, 'findById', () => ({ select: async () => webhook }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const createDelivery = (overrides = {}) => WebhookDelivery.create({
+    webhook: webhook._id,
+    event: 'prices.updated',
+    eventId: crypto.randomUUID(),
+    payload: { count: 2 },
+    maxAttempts: service.maxAttempts,
+    ...overrides
+  });
+
+  it('signs the body with the webhook secret', async () => {
+    const delivery = await createDelivery();
+    const result = await service.attemptDelivery(delivery._id);
+
+    assert.strictEqual(result.status, 'succeeded');
+    assert.strictEqual(requests.length, 1);
+
+    const [{ method, headers, body }] = requests;
+    const timestamp = headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+    assert.strictEqual(method, 'POST');
+    assert.match(timestamp, /^\d+$/);
+    assert.strictEqual(headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.strictEqual(headers['x-webhook-signature'], WebhookService.sign(SECRET, timestamp, body));
+    assert.notStrictEqual(headers['x-webhook-signature'], WebhookService.sign('whsec_other', timestamp, body));
+    assert.strictEqual(headers['x-webhook-event'], 'prices.updated');
+    assert.strictEqual(headers['x-webhook-id'], delivery.eventId);
+    assert.strictEqual(headers['x-webhook-delivery'], delivery._id.toString());
+    assert.deepStrictEqual(JSON.parse(body).data, { count: 2 });
+  });
+
+  it('retries a 5xx response with exponential backoff until it succeeds', async () => {
+    statuses = [503, 500];
+    const delivery = await createDelivery();
+
+    let before = Date.now();
+    let result = await service.attemptDelivery(delivery._id);
+    assert.strictEqual(result.status, 'pending');
+    assert.strictEqual(result.attempts, 1);
+    assert.strictEqual(result.responseStatus, 503);
+    assert.strictEqual(result.lastError, 'Receiver responded with HTTP 503');
+    assert.ok(result.nextAttemptAt.getTime() >= before + BACKOFF_MS);
+    assert.ok(result.nextAttemptAt.getTime() <= Date.now() + BACKOFF_MS);
+
+    // Not retried before the backoff elapses
+    assert.deepStrictEqual(await service.processDueDeliveries(), { processed: 0, succeeded: 0, failed: 0 });
+    assert.strictEqual(requests.length, 1);
+
+    elapseBackoff(result);
+    before = Date.now();
+    assert.deepStrictEqual(await service.processDueDeliveries(), { processed: 1, succeeded: 0, failed: 1 });
+    result = await WebhookDelivery.findById(delivery._id);
+    assert.strictEqual(result.attempts, 2);
+    assert.strictEqual(result.responseStatus, 500);
+    assert.ok(result.nextAttemptAt.getTime() >= before + 2 * BACKOFF_MS);
+    assert.ok(result.nextAttemptAt.getTime() <= Date.now() + 2 * BACKOFF_MS);
+
+    elapseBackoff(result);
+    assert.deepStrictEqual(await service.processDueDeliveries(), { processed: 1, succeeded: 1, failed: 0 });
+    result = await WebhookDelivery.findById(delivery._id);
+    assert.strictEqual(result.status, 'succeeded');
+    assert.strictEqual(result.attempts, 3);
+    assert.strictEqual(result.responseStatus, 200);
+    assert.strictEqual(requests.length, 3);
+    // Every attempt carries the same delivery id
+    assert.strictEqual(new Set(requests.map(request => request.headers['x-webhook-delivery'])).size, 1);
+  });
+
+  it('fails a delivery once its attempts run out', async () => {
+    statuses = [502, 502, 502];
+    const delivery = await createDelivery();
+
+    let result = await service.attemptDelivery(delivery._id);
+    for (let attempt = 2; attempt <= service.maxAttempts; attempt++) {
+      elapseBackoff(result);
+      result = await service.attemptDelivery(delivery._id);
+    }
+
+    assert.strictEqual(result.status, 'failed');
+    assert.strictEqual(result.attempts, 3);
+    assert.strictEqual(result.lastError, 'Receiver responded with HTTP 502');
+    assert.strictEqual(await service.attemptDelivery(delivery._id), null);
+    assert.strictEqual(requests.length, 3);
+  });
+
+  it('replays a delivery as a new delivery of the same event', async () => {
+    statuses = [503, 503, 503];
+    const original = await createDelivery({ maxAttempts: 1 });
+    const failed = await service.attemptDelivery(original._id);
+    assert.strictEqual(failed.status, 'failed');
+
+    const replay = await service.replay(original._id);
+
+    assert.notStrictEqual(replay._id.toString(), original._id.toString());
+    assert.strictEqual(replay.replayOf.toString(), original._id.toString());
+    assert.strictEqual(replay.eventId, original.eventId);
+    assert.deepStrictEqual(replay.payload, original.payload);
+    assert.strictEqual(replay.status, 'pending');
+    assert.strictEqual(replay.maxAttempts, service.maxAttempts);
+
+    statuses = [];
+    elapseBackoff(replay);
+    const delivered = await service.attemptDelivery(replay._id);
+    assert.strictEqual(delivered.status, 'succeeded');
+
+    const [first, second, third] = requests;
+    assert.strictEqual(requests.length, 3);
+    const { id, event, data } = JSON.parse(first.body);
+    assert.strictEqual(second.headers['x-webhook-id'], first.headers['x-webhook-id']);
+    assert.strictEqual(second.headers['x-webhook-delivery'], replay._id.toString());
+    assert.strictEqual(third.headers['x-webhook-delivery'], replay._id.toString());
+    assert.deepStrictEqual(JSON.parse(third.body), { id, event, data });
+    assert.strictEqual(await WebhookDelivery.findById(original._id), failed);
+  });
+
+  it('answers null when replaying an unknown delivery', async () => {
+    assert.strictEqual(await service.replay(new WebhookDelivery()._id), null);
+  });
+});
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const cron = require('node-cron');
+
+/**
+ * Configuration loader
+ * Resolves every setting in a schema from the environment, then an optional
+ * JSON config file, then the schema default, and validates the result so a
+ * misconfigured server fails at startup with every problem listed at once
+ */
+
+/**
+ * Raised when the configuration is invalid
+ */
+class ConfigError extends Error {
+  /**
+   * @param {Array<string>} problems - One message per invalid setting
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Parsers per setting type. Each returns the parsed value or throws with the reason
+const PARSERS = {
+  string: (value, setting) => {
+    const text = String(value);
+    if (setting.minLength !== undefined && text.length < setting.minLength) {
+      throw new Error(`must be at least ${setting.minLength} characters long`);
+    }
+    return text;
+  },
+
+  integer: (value, setting) => {
+    const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isInteger(parsed)) {
+      throw new Error(`expected an integer, got "${value}"`);
+    }
+    return checkMin(parsed, setting);
+  },
+
+  number: (value, setting) => {
+    const parsed = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isFinite(parsed)) {
+      throw new Error(`expected a number, got "${value}"`);
+    }
+    return checkMin(parsed, setting);
+  },
+
+  boolean: value => {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const text = String(value).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(text)) {
+      return true;
+    }
+    if (['false', '0', 'no'].includes(text)) {
+      return false;
+    }
+    throw new Error(`expected true or false, got "${value}"`);
+  },
+
+  enum: (value, setting) => {
+    const text = String(value).trim().toLowerCase();
+    if (!setting.values.includes(text)) {
+      throw new Error(`expected one of ${setting.values.join(', ')}, got "${value}"`);
+    }
+    return text;
+  },
+
+  list: (value, setting) => {
+    const items = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean)
+      .map(item => setting.lowercase ? item.toLowerCase() : item);
+
+    const unknown = setting.values ? items.filter(item => !setting.values.includes(item)) : [];
+    if (unknown.length > 0) {
+      throw new Error(`unknown ${unknown.join(', ')} (expected any of ${setting.values.join(', ')})`);
+    }
+    return items;
+  },
+
+  cron: value => {
+    const text = String(value).trim();
+    if (!cron.validate(text)) {
+      throw new Error(`"${value}" is not a valid cron expression`);
+    }
+    return text;
+  },
+
+  url: (value, setting) => {
+    const text = String(value).trim();
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      throw new Error(`"${redactUrl(text)}" is not a valid URL`);
+    }
+    const protocols = setting.protocols || ['http:', 'https:'];
+    if (!protocols.includes(url.protocol)) {
+      throw new Error(`expected a ${protocols.join(' or ')} URL`);
+    }
+    return text;
+  }
+};
+
+/**
+ * Enforce a setting's minimum
+ * @param {number} value - Parsed number
+ * @param {Object} setting - Schema entry
+ * @returns {number} The value
+ */
+const checkMin = (value, setting) => {
+  if (setting.min !== undefined && value < setting.min) {
+    throw new Error(`must be at least ${setting.min}, got ${value}`);
+  }
+  return value;
+};
+
+/**
+ * Mask the password in a URL's credentials
+ * @param {string} text - URL
+ * @returns {string} URL with the password replaced
+ */
+const redactUrl = (text) => text.replace(/\/\/([^:/@]+):[^@/]*@/, '//$1:****@');
+
+/**
+ * Read the optional JSON config file
+ * @param {string} filePath - Path to the file (relative to the working directory)
+ * @param {Object} schema - Config schema, used to reject unknown keys
+ * @returns {Object} Settings from the file
+ */
+const readConfigFile = (filePath, schema) => {
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  } catch (error) {
+    throw new ConfigError([`config file ${filePath}: ${error.message}`]);
+  }
+
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new ConfigError([`config file ${filePath}: expected a JSON object of settings`]);
+  }
+
+  const unknown = Object.keys(values).filter(key => !schema[key]);
+  if (unknown.length > 0) {
+    throw new ConfigError(unknown.map(key => `config file ${filePath}: unknown setting ${key}`));
+  }
+
+  return values;
+};
+
+/**
+ * Resolve and validate every setting in a schema
+ * Settings are resolved in schema order, so a default function can read the
+ * settings declared before it
+ * @param {Object} schema - Settings keyed by name: { type, default, env, min, values, secret, ... }
+ * @param {Object} options - Loader options
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @param {string} options.file - Optional JSON config file path
+ * @param {Object} options.overrides - Values taking precedence over everything else (e.g. command line flags)
+ * @returns {Object} Resolved settings, with a non-enumerable redacted() for printing
+ * @throws {ConfigError} If any setting is invalid
+ */
+const loadConfig = (schema, options = {}) => {
+  const env = options.env || process.env;
+  const fileValues = options.file ? readConfigFile(options.file, schema) : {};
+  const overrides = options.overrides || {};
+  const values = {};
+  const problems = [];
+
+  Object.entries(schema).forEach(([key, setting]) => {
+    const envName = setting.env || key;
+    const fromEnv = env[envName] !== undefined && env[envName] !== '' ? env[envName] : undefined;
+    const raw = [overrides[key], fromEnv, fileValues[key]].find(value => value !== undefined);
+
+    if (raw === undefined) {
+      values[key] = typeof setting.default === 'function' ? setting.default(values) : setting.default;
+      if (values[key] === undefined && setting.required) {
+        problems.push(`${envName} is required${setting.description ? ` (${setting.description})` : ''}`);
+      }
+      return;
+    }
+
+    try {
+      values[key] = PARSERS[setting.type](raw, setting);
+    } catch (error) {
+      problems.push(`${envName}: ${error.message}`);
+    }
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  Object.defineProperty(values, 'redacted', {
+    value: () => redactConfig(schema, values),
+    enumerable: false
+  });
+
+  return values;
+};
+
+/**
+ * Copy the settings with secrets masked, for logging
+ * @param {Object} schema - Config schema
+ * @param {Object} values - Resolved settings
+ * @returns {Object} Settings safe to print
+ */
+const redactConfig = (schema, values) => {
+  const redacted = {};
+
+  Object.entries(schema).forEach(([key, setting]) => {
+    const value = values[key];
+    if (!setting.secret || value === undefined || value === '') {
+      redacted[key] = value;
+    } else if (setting.type === 'url') {
+      redacted[key] = redactUrl(value);
+    } else {
+      redacted[key] = '****';
+    }
+  });
+
+  return redacted;
+};
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  redactConfig
+};
@@ -0,0 +1,196 @@
+// Cost basis accounting for portfolio transactions
+
+// Ways of choosing which units a sale or transfer out takes
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+
+// Quantities below this are rounding noise, not holdings
+const EPSILON = 1e-12;
+
+/**
+ * Key a transaction or position by coin: the registry asset when known, else the symbol.
+ * Transactions get their asset from the registry when recorded, so both keys never split one coin
+ * @param {Object} entry - Transaction or position with symbol and asset
+ * @returns {string} Position key
+ */
+const positionKey = (entry) => entry.asset ? `asset:${entry.asset}` : `symbol:${entry.symbol}`;
+
+/**
+ * Check whether a transaction adds units to a position
+ * @param {Object} transaction - Portfolio transaction
+ * @returns {boolean} True for buys and transfers in
+ */
+const isInflow = (transaction) => transaction.type === 'buy' ||
+  (transaction.type === 'transfer' && transaction.direction === 'in');
+
+/**
+ * Replays portfolio transactions in order, keeping the open lots of every
+ * position and the P&L realized by sales. Buys and transfers in open lots at
+ * their unit cost (fees included); sales and transfers out close lots by the
+ * chosen method, and only sales realize P&L
+ */
+class CostBasisLedger {
+  /**
+   * @param {string} method - fifo, lifo or average
+   */
+  constructor(method = 'fifo') {
+    if (!COST_BASIS_METHODS.includes(method)) {
+      throw new Error(`Unknown cost basis method: ${method}. Use one of: ${COST_BASIS_METHODS.join(', ')}`);
+    }
+
+    this.method = method;
+    this.positions = new Map();
+  }
+
+  /**
+   * Get the position a transaction belongs to, opening it if needed
+   * @param {Object} transaction - Portfolio transaction
+   * @returns {Object} Position
+   */
+  getPosition(transaction) {
+    const key = positionKey(transaction);
+
+    if (!this.positions.has(key)) {
+      this.positions.set(key, {
+        symbol: transaction.symbol,
+        asset: transaction.asset || null,
+        quantity: 0,
+        costBasis: 0,
+        realizedPnl: 0,
+        lots: []
+      });
+    }
+
+    return this.positions.get(key);
+  }
+
+  /**
+   * Apply one transaction
+   * @param {Object} transaction - { type, direction, symbol, asset, quantity, price, fee, executedAt }
+   * @throws {Error} If it takes more units than the position holds
+   */
+  apply(transaction) {
+    const position = this.getPosition(transaction);
+    const fee = transaction.fee || 0;
+
+    if (isInflow(transaction)) {
+      const cost = transaction.quantity * (transaction.price || 0) + fee;
+      this.addLot(position, {
+        quantity: transaction.quantity,
+        unitCost: cost / transaction.quantity,
+        acquiredAt: transaction.executedAt
+      });
+      return;
+    }
+
+    if (transaction.quantity > position.quantity + EPSILON) {
+      throw new Error(
+        `Cannot ${transaction.type === 'sell' ? 'sell' : 'transfer out'} ${transaction.quantity} ${transaction.symbol}` +
+        ` on ${new Date(transaction.executedAt).toISOString()}: only ${position.quantity} held`
+      );
+    }
+
+    const cost = this.removeUnits(position, transaction.quantity);
+
+    if (transaction.type === 'sell') {
+      position.realizedPnl += transaction.quantity * transaction.price - fee - cost;
+    }
+  }
+
+  /**
+   * Add a lot to a position (average cost keeps a single pooled lot)
+   * @param {Object} position - Position
+   * @param {Object} lot - { quantity, unitCost, acquiredAt }
+   */
+  addLot(position, lot) {
+    position.quantity += lot.quantity;
+    position.costBasis += lot.quantity * lot.unitCost;
+
+    if (this.method === 'average') {
+      position.lots = [{
+        quantity: position.quantity,
+        unitCost: position.costBasis / position.quantity,
+        acquiredAt: position.lots.length > 0 ? position.lots[0].acquiredAt : lot.acquiredAt
+      }];
+      return;
+    }
+
+    position.lots.push({ ...lot });
+  }
+
+  /**
+   * Take units out of a position's lots
+   * @param {Object} position - Position
+   * @param {number} quantity - Units to take
+   * @returns {number} Cost basis of the units taken
+   */
+  removeUnits(position, quantity) {
+    let remaining = quantity;
+    let cost = 0;
+
+    while (remaining > EPSILON && position.lots.length > 0) {
+      const index = this.method === 'lifo' ? position.lots.length - 1 : 0;
+      const lot = position.lots[index];
+      const taken = Math.min(lot.quantity, remaining);
+
+      cost += taken * lot.unitCost;
+      lot.quantity -= taken;
+      remaining -= taken;
+
+      if (lot.quantity <= EPSILON) {
+        position.lots.splice(index, 1);
+      }
+    }
+
+    position.quantity = position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    position.costBasis = position.lots.reduce((sum, lot) => sum + lot.quantity * lot.unitCost, 0);
+
+    return cost;
+  }
+
+  /**
+   * List every position the transactions touched, including closed ones
+   * @returns {Array<Object>} { symbol, asset, quantity, costBasis, averageCost, realizedPnl, lots }
+   */
+  getPositions() {
+    return [...this.positions.values()].map(position => ({
+      symbol: position.symbol,
+      asset: position.asset,
+      quantity: position.quantity,
+      costBasis: position.costBasis,
+      averageCost: position.quantity > EPSILON ? position.costBasis / position.quantity : null,
+      realizedPnl: position.realizedPnl,
+      lots: position.lots.map(lot => ({ ...lot }))
+    }));
+  }
+}
+
+/**
+ * Sort transactions into the order they are replayed in (execution time, then insertion)
+ * @param {Array<Object>} transactions - Portfolio transactions
+ * @returns {Array<Object>} Sorted copy
+ */
+const sortTransactions = (transactions) => transactions
+  .map((transaction, index) => ({ transaction, index }))
+  .sort((a, b) => new Date(a.transaction.executedAt) - new Date(b.transaction.executedAt) || a.index - b.index)
+  .map(({ transaction }) => transaction);
+
+/**
+ * Replay transactions and return the resulting positions
+ * @param {Array<Object>} transactions - Portfolio transactions, in any order
+ * @param {string} method - fifo, lifo or average
+ * @returns {Array<Object>} Positions (see CostBasisLedger#getPositions)
+ * @throws {Error} If a sale or transfer out exceeds the units held at the time
+ */
+const replayTransactions = (transactions, method = 'fifo') => {
+  const ledger = new CostBasisLedger(method);
+  sortTransactions(transactions).forEach(transaction => ledger.apply(transaction));
+  return ledger.getPositions();
+};
+
+module.exports = {
+  COST_BASIS_METHODS,
+  CostBasisLedger,
+  positionKey,
+  sortTransactions,
+  replayTransactions
+};
@@ -0,0 +1,151 @@
+// Cron expression helpers for the job scheduler. Jobs run in UTC
+const cron = require('node-cron');
+
+// How far ahead to look for the next run before giving up (e.g. 0 0 31 2 *)
+const SEARCH_YEARS = 5;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Fields of a 6-field expression: second, minute, hour, day of month, month, day of week
+const FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: MONTH_NAMES, firstName: 1 },
+  { min: 0, max: 7, names: WEEKDAY_NAMES, firstName: 0 }
+];
+
+/**
+ * Read one field of a cron expression into the values it matches, the way
+ * node-cron reads it: names (jan, monday), *, ranges and lists, with steps
+ * keeping the values divisible by the step, and 7 meaning Sunday
+ * @param {string} text - Field text
+ * @param {Object} field - Field bounds and names
+ * @returns {Set<number>} Matching values
+ */
+const parseField = (text, field) => {
+  const named = text.toLowerCase().replace(/[a-z]+/g, name => {
+    const index = field.names ? field.names.indexOf(name.slice(0, 3)) : -1;
+    return index === -1 ? name : String(index + field.firstName);
+  });
+
+  const values = new Set();
+  named.split(',').forEach(part => {
+    const [range, step] = part.split('/');
+    const [first, last] = range === '*'
+      ? [field.min, field.max]
+      : range.split('-').map(Number).concat(Number(range)).slice(0, 2);
+    const divisor = step === undefined ? 1 : Number(step);
+
+    for (let value = Math.min(first, last); value <= Math.max(first, last); value++) {
+      if (value % divisor === 0) {
+        values.add(field.names === WEEKDAY_NAMES && value === 7 ? 0 : value);
+      }
+    }
+  });
+
+  return values;
+};
+
+/**
+ * Read a cron expression into the values each field matches
+ * @param {string} expression - Valid cron expression (5 or 6 fields)
+ * @returns {Array<Set<number>>} Second, minute, hour, day, month and weekday values
+ */
+const parseSchedule = (expression) => {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length === 5) {
+    fields.unshift('0');
+  }
+  return fields.map((text, index) => parseField(text, FIELDS[index]));
+};
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression - Cron expression (5 or 6 fields)
+ * @returns {boolean} True if node-cron accepts it
+ */
+const isValidSchedule = (expression) => {
+  return typeof expression === 'string' && cron.validate(expression);
+};
+
+/**
+ * Find the next time a cron expression fires
+ * @param {string} expression - Valid cron expression (5 or 6 fields)
+ * @param {Date} from - Start searching after this time (default: now)
+ * @returns {Date|null} Next run in UTC, or null if it never fires
+ */
+const nextRun = (expression, from = new Date()) => {
+  const [seconds, minutes, hours, days, months, weekDays] = parseSchedule(expression);
+
+  const date = new Date(Math.floor(from.getTime() / 1000) * 1000 + 1000);
+  const limit = from.getTime() + SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+
+  // Advance the largest field that does not match, resetting the smaller ones
+  while (date.getTime() <= limit) {
+    if (!months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0);
+    } else if (!days.has(date.getUTCDate()) || !weekDays.has(date.getUTCDay())) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0);
+    } else if (!hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0);
+    } else if (!minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0);
+    } else if (!seconds.has(date.getUTCSeconds())) {
+      date.setUTCSeconds(date.getUTCSeconds() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a cron expression fires at a time
+ * @param {string} expression - Valid cron expression (5 or 6 fields)
+ * @param {Date} time - Time, to the second
+ * @returns {boolean} True if it fires then (UTC)
+ */
+const firesAt = (expression, time) => {
+  const [seconds, minutes, hours, days, months, weekDays] = parseSchedule(expression);
+
+  return seconds.has(time.getUTCSeconds()) &&
+    minutes.has(time.getUTCMinutes()) &&
+    hours.has(time.getUTCHours()) &&
+    days.has(time.getUTCDate()) &&
+    months.has(time.getUTCMonth() + 1) &&
+    weekDays.has(time.getUTCDay());
+};
+
+/**
+ * Find the last time a cron expression fired, at or before a time
+ * @param {string} expression - Valid cron expression (5 or 6 fields)
+ * @param {Date} to - Latest time to consider (default: now)
+ * @param {number} lookbackMs - How far back to search (default: a minute)
+ * @returns {Date|null} Last run in UTC, or null if it did not fire within the lookback
+ */
+const previousRun = (expression, to = new Date(), lookbackMs = 60 * 1000) => {
+  const date = new Date(Math.floor(to.getTime() / 1000) * 1000);
+  const limit = to.getTime() - lookbackMs;
+
+  while (date.getTime() >= limit) {
+    if (firesAt(expression, date)) {
+      return date;
+    }
+    date.setUTCSeconds(date.getUTCSeconds() - 1);
+  }
+
+  return null;
+};
+
+module.exports = {
+  isValidSchedule,
+  nextRun,
+  firesAt,
+  previousRun
+};
@@ -0,0 +1,69 @@
+// Currency formatting helpers for quote currencies
+
+// Display prefixes for supported quote currencies
+const CURRENCY_SYMBOLS = {
+  usd: '$',
+  eur: '€',
+  gbp: '£',
+  inr: '₹',
+  jpy: '¥',
+  btc: '₿',
+  eth: 'Ξ'
+};
+
+// Crypto-denominated quotes need more precision than fiat
+const CRYPTO_CURRENCIES = ['btc', 'eth'];
+
+/**
+ * Get the display prefix for a currency
+ * @param {string} currency - Currency code (e.g. 'eur')
+ * @returns {string} Prefix such as '€', or the upper-case code followed by a space
+ */
+const getCurrencySymbol = (currency = 'usd') => {
+  const code = currency.toLowerCase();
+  return CURRENCY_SYMBOLS[code] || `${code.toUpperCase()} `;
+};
+
+/**
+ * Format a price in the given currency
+ * @param {number} amount - Amount to format
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted price
+ */
+const formatPrice = (amount, currency = 'usd') => {
+  const symbol = getCurrencySymbol(currency);
+  if (!amount) {
+    return `${symbol}0`;
+  }
+
+  const maximumFractionDigits = CRYPTO_CURRENCIES.includes(currency.toLowerCase()) ? 8 : 6;
+  return `${symbol}${amount.toLocaleString('en-US', { maximumFractionDigits })}`;
+};
+
+/**
+ * Format a large amount (market cap, volume) with T/B/M suffixes
+ * @param {number} amount - Amount to format
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted amount
+ */
+const formatCompact = (amount, currency = 'usd') => {
+  const symbol = getCurrencySymbol(currency);
+  const value = amount || 0;
+
+  if (value >= 1e12) {
+    return `${symbol}${(value / 1e12).toFixed(2)}T`;
+  } else if (value >= 1e9) {
+    return `${symbol}${(value / 1e9).toFixed(2)}B`;
+  } else if (value >= 1e6) {
+    return `${symbol}${(value / 1e6).toFixed(2)}M`;
+  } else {
+    return `${symbol}${value.toLocaleString()}`;
+  }
+};
+
+module.exports = {
+  CURRENCY_SYMBOLS,
+  getCurrencySymbol,
+  formatPrice,
+  formatCompact
+};
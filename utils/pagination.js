@@ -0,0 +1,42 @@
+/**
+ * List query helpers shared by the paginated routers
+ */
+
+/**
+ * Parse ?page, ?limit, ?search, ?sortBy and ?sortOrder
+ * @param {Object} query - Express req.query
+ * @param {Object} defaults - { sortBy, limit }
+ * @returns {Object} { page, limit, search, sortBy, sortOrder (1 or -1) }
+ */
+const parseListQuery = (query, defaults = {}) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.max(parseInt(query.limit) || defaults.limit || 20, 1),
+  search: query.search || '',
+  sortBy: query.sortBy || defaults.sortBy,
+  sortOrder: query.sortOrder === 'asc' ? 1 : -1
+});
+
+/**
+ * Build the pagination block of a list response
+ * @param {number} page - Current page
+ * @param {number} limit - Page size
+ * @param {number} total - Total matching items
+ * @returns {Object} Pagination metadata
+ */
+const buildPagination = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    currentPage: page,
+    totalPages,
+    totalItems: total,
+    itemsPerPage: limit,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1
+  };
+};
+
+module.exports = {
+  parseListQuery,
+  buildPagination
+};
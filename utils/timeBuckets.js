@@ -0,0 +1,82 @@
+// Time bucket helpers shared by the history and aggregation queries
+
+// Supported bucket sizes in milliseconds ('raw' means no bucketing)
+const INTERVALS = {
+  raw: 0,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Supported candle resolutions in milliseconds
+const CANDLE_RESOLUTIONS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+/**
+ * Check whether an interval name is supported
+ * @param {string} interval - Interval name (raw, 5m, 1h, 1d)
+ * @param {Object} intervals - Interval map to check against
+ * @returns {boolean} True if supported
+ */
+const isValidInterval = (interval, intervals = INTERVALS) => {
+  return Object.prototype.hasOwnProperty.call(intervals, interval);
+};
+
+/**
+ * Build an aggregation expression that floors a date field to its bucket start
+ * @param {string} field - Date field path (e.g. '$timestamp')
+ * @param {number} bucketMs - Bucket size in milliseconds
+ * @returns {Object} Aggregation expression evaluating to a Date
+ */
+const bucketExpression = (field, bucketMs) => ({
+  $subtract: [field, { $mod: [{ $toLong: field }, bucketMs] }]
+});
+
+/**
+ * Floor a date to the start of its bucket
+ * @param {Date} date - Date to floor
+ * @param {number} bucketMs - Bucket size in milliseconds
+ * @returns {Date} Bucket start
+ */
+const floorDate = (date, bucketMs) => {
+  const time = date.getTime();
+  return new Date(time - (time % bucketMs));
+};
+
+/**
+ * Parse from/to query parameters into a validated date range
+ * @param {Object} query - Request query with optional from/to values
+ * @param {number} defaultSpanMs - Span used when `from` is omitted
+ * @returns {Object} { from, to } or { error } when a value is invalid
+ */
+const parseDateRange = (query, defaultSpanMs = 24 * 60 * 60 * 1000) => {
+  const to = query.to ? new Date(query.to) : new Date();
+  if (isNaN(to.getTime())) {
+    return { error: 'Invalid "to" date' };
+  }
+
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultSpanMs);
+  if (isNaN(from.getTime())) {
+    return { error: 'Invalid "from" date' };
+  }
+
+  if (from > to) {
+    return { error: '"from" must be before "to"' };
+  }
+
+  return { from, to };
+};
+
+module.exports = {
+  INTERVALS,
+  CANDLE_RESOLUTIONS,
+  isValidInterval,
+  bucketExpression,
+  floorDate,
+  parseDateRange
+};